@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// --- Audit Log Schema ---
+// Append-only record of sensitive actions (consent changes, right-to-be-forgotten requests, ...).
+// Entries are never updated or deleted by the API.
+const AuditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true, index: true }, // e.g. "person.forget"
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  targetType: { type: String }, // e.g. "Person"
+  targetId: { type: mongoose.Schema.Types.ObjectId },
+  details: { type: mongoose.Schema.Types.Mixed }, // Never put personal data that was asked to be removed here
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+export const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+// --- End Audit Log Schema ---
+
+// Writes an audit entry. Failures are logged but never break the action being audited.
+export async function recordAudit({ action, actor, targetType, targetId, details }) {
+  try {
+    await AuditLog.create({ action, actor: actor?._id ?? actor, targetType, targetId, details });
+  } catch (error) {
+    console.error(`Error writing audit entry for ${action}:`, error);
+  }
+}
@@ -0,0 +1,62 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { User } from "./user.js";
+import { hasPermission } from "./permissions.js";
+
+// Read lazily: this module is imported before server.js loads the .env file
+let jwtSecret = null;
+function getJwtSecret() {
+  if (!jwtSecret) {
+    jwtSecret = process.env.JWT_SECRET;
+    if (!jwtSecret) {
+      // Without JWT_SECRET tokens only survive until the next restart
+      console.warn("JWT_SECRET is not set. Using a random secret; all logins end when the server restarts.");
+      jwtSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+  return jwtSecret;
+}
+
+export function signToken(user) {
+  return jwt.sign({ sub: String(user._id) }, getJwtSecret(), { expiresIn: process.env.JWT_EXPIRES_IN || '7d' });
+}
+
+// Reads "Authorization: Bearer <token>" and resolves to the user, or null
+async function userFromRequest(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  try {
+    const payload = jwt.verify(token, getJwtSecret());
+    return await User.findById(payload.sub);
+  } catch (error) {
+    if (error.name !== 'JsonWebTokenError' && error.name !== 'TokenExpiredError') {
+      throw error;
+    }
+    return null; // Invalid or expired token
+  }
+}
+
+// Rejects requests without a valid token; sets req.user otherwise
+export async function requireAuth(req, res, next) {
+  try {
+    const user = await userFromRequest(req);
+    if (!user) {
+      return res.status(401).json({ message: "Please log in to continue." });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Rejects users whose role lacks the permission (see permissions.js). Use after requireAuth.
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ message: "Your role does not allow this action." });
+    }
+    next();
+  };
+}
@@ -0,0 +1,71 @@
+import express from "express";
+import { User } from "./user.js";
+import { requireAuth, signToken } from "./middleware.js";
+
+const router = express.Router();
+
+// Maps errors from saving a user to a response
+export function sendUserSaveError(res, error) {
+  if (error.code === 11000) {
+    return res.status(409).json({ message: "That username is already taken." });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(e => e.message);
+    return res.status(400).json({ message: "Validation Error", errors: messages });
+  }
+  if (error.status === 400) {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: "Server error saving user.", error: error.message });
+}
+
+export async function createUser({ username, displayName, password, role }) {
+  const user = new User({ username, displayName: displayName || username, role });
+  await user.setPassword(password);
+  return user.save();
+}
+
+// POST /api/auth/login - Exchange username/password for a token
+router.post("/login", async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) {
+    return res.status(400).json({ message: "Username and password are required." });
+  }
+  try {
+    const user = await User.findOne({ username: String(username).trim().toLowerCase() });
+    // Same message for unknown users and wrong passwords
+    if (!user || !(await user.checkPassword(password))) {
+      console.log(`Failed login attempt for "${username}".`);
+      return res.status(401).json({ message: "Invalid username or password." });
+    }
+    console.log(`User "${user.username}" logged in.`);
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({ message: "Server error logging in.", error: error.message });
+  }
+});
+
+// POST /api/auth/register - Self sign-up, only when ALLOW_REGISTRATION=true.
+// New accounts can only read until an admin gives them another role.
+router.post("/register", async (req, res) => {
+  if (process.env.ALLOW_REGISTRATION !== 'true') {
+    return res.status(403).json({ message: "Registration is disabled. Ask an admin for an account." });
+  }
+  try {
+    const { username, displayName, password } = req.body;
+    const user = await createUser({ username, displayName, password, role: 'viewer' });
+    console.log(`User "${user.username}" registered.`);
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    console.error("Error registering user:", error);
+    sendUserSaveError(res, error);
+  }
+});
+
+// GET /api/auth/me - The logged in user (used to validate stored tokens)
+router.get("/me", requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import { ROLES } from "./permissions.js";
+
+// --- User Schema ---
+const UserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required.'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9._-]{3,32}$/, 'Username must be 3-32 characters (letters, numbers, ".", "_" or "-").'],
+  },
+  displayName: { type: String, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: 'contributor' },
+}, { timestamps: true });
+
+// Never send the password hash to clients
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+UserSchema.methods.setPassword = async function (password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    const error = new Error('Password must be at least 8 characters long.');
+    error.status = 400;
+    throw error;
+  }
+  this.passwordHash = await bcrypt.hash(password, 12);
+};
+
+UserSchema.methods.checkPassword = function (password) {
+  return typeof password === 'string' && bcrypt.compare(password, this.passwordHash);
+};
+
+export const User = mongoose.model("User", UserSchema);
+// --- End User Schema ---
+
+// Creates the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when there are no users yet
+export async function seedAdminUser() {
+  try {
+    // Accounts from before roles existed had the role "user", which could create entries
+    const { modifiedCount } = await User.updateMany({ role: 'user' }, { $set: { role: 'contributor' } });
+    if (modifiedCount > 0) console.log(`Migrated ${modifiedCount} users to the contributor role.`);
+
+    const userCount = await User.countDocuments();
+    if (userCount > 0) return;
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn("No users exist yet. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.");
+      return;
+    }
+    const admin = new User({ username: ADMIN_USERNAME, displayName: ADMIN_USERNAME, role: 'admin' });
+    await admin.setPassword(ADMIN_PASSWORD);
+    await admin.save();
+    console.log(`Created admin user "${admin.username}".`);
+  } catch (error) {
+    console.error("Error creating admin user:", error);
+  }
+}
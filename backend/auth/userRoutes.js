@@ -0,0 +1,70 @@
+import express from "express";
+import mongoose from "mongoose";
+import { User } from "./user.js";
+import { ROLES } from "./permissions.js";
+import { requirePermission } from "./middleware.js";
+import { createUser, sendUserSaveError } from "./routes.js";
+
+// User management for admins, mounted at /api/users (after requireAuth)
+const router = express.Router();
+router.use(requirePermission('users:manage'));
+
+// GET /api/users - All users with their roles
+router.get("/", async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    res.json({ users, roles: ROLES });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ message: "Server error fetching users.", error: error.message });
+  }
+});
+
+// POST /api/users - Create an account for someone
+router.post("/", async (req, res) => {
+  try {
+    const { username, displayName, password, role } = req.body;
+    const user = await createUser({ username, displayName, password, role });
+    console.log(`Admin "${req.user.username}" created user "${user.username}" (${user.role}).`);
+    res.status(201).json(user);
+  } catch (error) {
+    console.error("Error creating user:", error);
+    sendUserSaveError(res, error);
+  }
+});
+
+// PATCH /api/users/:id - Change role, display name or password
+router.patch("/:id", async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: "Invalid user id." });
+  }
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found." });
+    }
+    const { role, displayName, password } = req.body;
+
+    if (role !== undefined && role !== user.role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}.` });
+      }
+      // Never lock everyone out of user management
+      if (user.role === 'admin' && await User.countDocuments({ role: 'admin' }) <= 1) {
+        return res.status(400).json({ message: "The last admin can't be given another role." });
+      }
+      user.role = role;
+    }
+    if (displayName !== undefined) user.displayName = displayName;
+    if (password) await user.setPassword(password);
+
+    const savedUser = await user.save();
+    console.log(`Admin "${req.user.username}" updated user "${savedUser.username}" (${savedUser.role}).`);
+    res.json(savedUser);
+  } catch (error) {
+    console.error("Error updating user:", error);
+    sendUserSaveError(res, error);
+  }
+});
+
+export default router;
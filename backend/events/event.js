@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import { TEXT_INDEX_WEIGHTS } from "./search.js";
+import { imageRenditions } from "../media/images.js";
+import { signMediaPath } from "../media/signedUrls.js";
+
+// --- Event Schema ---
+// New entries wait in the moderation queue as "pending" until a moderator approves them
+export const EVENT_STATUSES = ['pending', 'approved', 'rejected', 'hidden'];
+
+// Maximum number of images on one event
+export const MAX_IMAGES = 20;
+
+// Images are kept in display order; `order` mirrors the position in the array
+const ImageSchema = new mongoose.Schema({
+  path: { type: String, required: true }, // Original rendition, like '/uploads/<hash>.jpg' (see media/images.js)
+  caption: { type: String, trim: true, maxlength: [500, 'Captions can be at most 500 characters.'] },
+  alt: { type: String, trim: true, maxlength: [500, 'Alt texts can be at most 500 characters.'] },
+  order: { type: Number, default: 0 },
+}, { id: false });
+
+// URLs of every rendition: { original, medium, thumbnail }.
+// Images of entries that aren't public are only served with a signed, expiring URL.
+ImageSchema.virtual('urls').get(function () {
+  const urls = imageRenditions(this.path);
+  if (this.ownerDocument()?.status === 'approved') return urls;
+  return Object.fromEntries(Object.entries(urls).map(([name, url]) => [name, signMediaPath(url)]));
+});
+ImageSchema.set('toJSON', { virtuals: true });
+
+const EventSchema = new mongoose.Schema({
+  title: { type: String, required: [true, 'Event title is required.'] },
+  description: { type: String }, // Description field (optional)
+  people: [String],
+  date: { type: Date, required: [true, 'Event date is required.'] },
+  location: {
+    address: { type: String, required: [true, 'Event address is required.'] },
+    // Coordinates: [longitude, latitude] for GeoJSON
+    coordinates: {
+        type: [Number],
+        index: "2dsphere", // Geospatial index
+        required: [true, 'Event coordinates are required after geocoding.'],
+        validate: {
+            validator: function(coords) {
+                // Basic validation: array of 2 numbers
+                return Array.isArray(coords) && coords.length === 2 && typeof coords[0] === 'number' && typeof coords[1] === 'number';
+            },
+            message: 'Coordinates must be an array of two numbers [longitude, latitude].'
+        }
+    },
+  },
+  tags: [String],
+  images: [ImageSchema],
+  // Moderation: only approved events are shown to viewers and contributors
+  status: { type: String, enum: EVENT_STATUSES, default: 'pending', index: true },
+  moderationReason: { type: String },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  moderatedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true, id: false });
+
+EventSchema.pre('validate', function () {
+  this.images.forEach((image, index) => { image.order = index; });
+});
+EventSchema.set('toJSON', { virtuals: true });
+
+// Author fields are sent to clients as { _id, username, displayName }
+export const AUTHOR_FIELDS = [
+  { path: 'createdBy', select: 'username displayName' },
+  { path: 'updatedBy', select: 'username displayName' },
+  { path: 'moderatedBy', select: 'username displayName' },
+];
+
+// Text index used by the search parameter of GET /api/events
+EventSchema.index(
+  { title: 'text', description: 'text', people: 'text', tags: 'text', "location.address": 'text' },
+  { name: 'EventTextIndex', weights: TEXT_INDEX_WEIGHTS }
+);
+
+export const Event = mongoose.model("Event", EventSchema);
+// --- End Event Schema ---
@@ -0,0 +1,203 @@
+// Writes events (as returned by the API, i.e. already redacted for the user) to files for
+// GET /api/events/export. CSV columns match what events/import.js reads, so exports can be imported again.
+
+import path from "path";
+import archiver from "archiver";
+import { imageRenditions } from "../media/images.js";
+
+// Content type and file extension of every format
+export const EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics' },
+  zip: { contentType: 'application/zip', extension: 'zip' },
+};
+
+const eventUrl = (event, baseUrl) => `${baseUrl}/events/${event._id}`;
+
+// Dates are days unless an event has a time of day
+function formatDate(date) {
+  const iso = new Date(date).toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// --- GeoJSON ---
+export function toGeoJson(events, { baseUrl }) {
+  return {
+    type: 'FeatureCollection',
+    features: events.map(event => ({
+      type: 'Feature',
+      id: String(event._id),
+      geometry: { type: 'Point', coordinates: event.location.coordinates }, // Already [lon, lat]
+      properties: {
+        title: event.title,
+        description: event.description || '',
+        date: formatDate(event.date),
+        address: event.location.address,
+        people: event.people || [],
+        tags: event.tags || [],
+        status: event.status,
+        url: eventUrl(event, baseUrl),
+      },
+    })),
+  };
+}
+
+// --- KML ---
+export function toKml(events, { baseUrl, siteName }) {
+  const placemarks = events.map(event => {
+    const details = [
+      event.description,
+      event.location.address,
+      event.people?.length ? `People: ${event.people.join(', ')}` : null,
+      event.tags?.length ? `Tags: ${event.tags.join(', ')}` : null,
+      eventUrl(event, baseUrl),
+    ].filter(Boolean).join('\n');
+    const [lon, lat] = event.location.coordinates;
+    return `    <Placemark id="${escapeXml(event._id)}">
+      <name>${escapeXml(event.title)}</name>
+      <description>${escapeXml(details)}</description>
+      <address>${escapeXml(event.location.address)}</address>
+      <TimeStamp><when>${formatDate(event.date)}</when></TimeStamp>
+      <Point><coordinates>${lon},${lat}</coordinates></Point>
+    </Placemark>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(siteName)}</name>
+${placemarks.join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+// --- CSV ---
+const CSV_COLUMNS = ['id', 'title', 'date', 'address', 'lat', 'lon', 'people', 'tags', 'description', 'status', 'url'];
+
+// Quotes values where needed. Text starting like a formula gets a leading ' so spreadsheets don't run it.
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(events, { baseUrl }) {
+  const rows = events.map(event => ({
+    id: String(event._id),
+    title: event.title,
+    date: formatDate(event.date),
+    address: event.location.address,
+    lat: event.location.coordinates[1],
+    lon: event.location.coordinates[0],
+    people: (event.people || []).join(', '),
+    tags: (event.tags || []).join(', '),
+    description: event.description || '',
+    status: event.status,
+    url: eventUrl(event, baseUrl),
+  }));
+  return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => csvValue(row[column])).join(','))]
+    .join('\r\n') + '\r\n';
+}
+
+// --- iCalendar ---
+const escapeIcsText = (text) => String(text ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 bytes are folded onto continuation lines starting with a space
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const icsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+const icsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Every event as an all-day calendar entry on its date
+export function toIcs(events, { baseUrl, siteName }) {
+  const host = new URL(baseUrl).host;
+  const now = icsTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeIcsText(siteName)}//Event Export//EN`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcsText(siteName)}`,
+  ];
+  for (const event of events) {
+    const start = new Date(event.date);
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    const [lon, lat] = event.location.coordinates;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event._id}@${host}`,
+      `DTSTAMP:${now}`,
+      `DTSTART;VALUE=DATE:${icsDate(start)}`,
+      `DTEND;VALUE=DATE:${icsDate(end)}`,
+      `SUMMARY:${escapeIcsText(event.title)}`,
+      ...(event.description ? [`DESCRIPTION:${escapeIcsText(event.description)}`] : []),
+      `LOCATION:${escapeIcsText(event.location.address)}`,
+      `GEO:${lat};${lon}`,
+      ...(event.tags?.length ? [`CATEGORIES:${event.tags.map(escapeIcsText).join(',')}`] : []),
+      `URL:${eventUrl(event, baseUrl)}`,
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// --- ZIP ---
+/**
+ * A ZIP archive (a readable stream) with events.json and an uploads/ folder holding every
+ * rendition of the events' images, named as in their paths. Files missing from the storage
+ * are skipped. `storage` is the media storage (see media/storage/index.js).
+ */
+export function createZipExport(events, { storage }) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.append(JSON.stringify(events, null, 2), { name: 'events.json' });
+
+  const fileNames = new Set(events.flatMap(event => (event.images || [])
+    .flatMap(image => Object.values(imageRenditions(image.path)))
+    .map(imagePath => path.basename(imagePath))));
+
+  // Files are added one after another so only one storage stream is open at a time
+  (async () => {
+    for (const fileName of fileNames) {
+      const file = await storage.get(fileName);
+      if (!file) continue;
+      await new Promise((resolve, reject) => {
+        const onEntry = () => { archive.off('error', onError); resolve(); };
+        const onError = (error) => { archive.off('entry', onEntry); reject(error); };
+        archive.once('entry', onEntry);
+        archive.once('error', onError);
+        archive.append(file.body, { name: `uploads/${fileName}` });
+      });
+    }
+    await archive.finalize();
+  })().catch(error => archive.destroy(error));
+
+  return archive;
+}
@@ -0,0 +1,280 @@
+// Reads events from files for POST /api/events/import.
+//
+// Supported formats:
+//   csv      a header row, then one event per row. Columns are matched to fields by name
+//            (see COLUMN_NAMES) unless a mapping { field: "Column header" } says otherwise.
+//            Comma, semicolon and tab separated files work.
+//   json     an array of events (or { events: [...] }) with the fields below; people and tags may be
+//            arrays or comma separated, coordinates may also be given as location: { address, coordinates }
+//   geojson  a FeatureCollection of Point features; the fields are read from the properties
+//
+// Fields: title, description, date, address, people, tags, lat, lon.
+// Rows without coordinates are geocoded by address (see geocodeRows).
+
+import path from "path";
+import { parseCsv } from "../geocoding/localGeocoder.js";
+
+export const IMPORT_FORMATS = ['csv', 'json', 'geojson'];
+export const MAX_IMPORT_ROWS = 1000;
+// Geocoding runs while the request waits, so it may only take about this long at the geocoder's
+// pace (see geocodeRows); files with more addresses to look up must add coordinates or be split
+export const MAX_IMPORT_GEOCODE_MS = 30 * 1000;
+export const IMPORT_FIELDS = ['title', 'description', 'date', 'address', 'people', 'tags', 'lat', 'lon'];
+
+// Column headers recognized without a mapping (compared case-insensitively)
+const COLUMN_NAMES = {
+  title: ['title', 'name', 'event', 'subject'],
+  description: ['description', 'details', 'notes', 'text'],
+  date: ['date', 'day', 'when'],
+  address: ['address', 'location', 'place', 'where'],
+  people: ['people', 'persons', 'who', 'participants'],
+  tags: ['tags', 'tag', 'categories', 'labels'],
+  lat: ['lat', 'latitude'],
+  lon: ['lon', 'lng', 'long', 'longitude'],
+};
+
+// Errors about the file as a whole carry status 400 so the route can report them as bad requests
+function importError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Format from the explicit choice, else from the file name, else from the content
+export function detectFormat(text, { format, fileName } = {}) {
+  if (format) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw importError(`format must be one of ${IMPORT_FORMATS.join(', ')}.`);
+    }
+    return format;
+  }
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.csv' || extension === '.tsv') return 'csv';
+  if (extension === '.geojson') return 'geojson';
+  const start = text.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) {
+    return /"FeatureCollection"/.test(start.slice(0, 2000)) ? 'geojson' : 'json';
+  }
+  return 'csv';
+}
+
+// Whichever of comma, semicolon and tab occurs most in the header line
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// Index of the column each field is read from: the mapping's column, else a recognized header
+function columnIndexes(header, mapping = {}) {
+  const headers = header.map(column => column.trim().toLowerCase());
+  const indexes = {};
+  for (const field of IMPORT_FIELDS) {
+    const mapped = mapping[field];
+    if (mapped) {
+      const index = headers.indexOf(String(mapped).trim().toLowerCase());
+      if (index === -1) {
+        throw importError(`Column "${mapped}" (mapped to ${field}) is not in the file.`);
+      }
+      indexes[field] = index;
+    } else if (mapped === undefined) {
+      const index = headers.findIndex(column => COLUMN_NAMES[field].includes(column));
+      if (index !== -1) indexes[field] = index;
+    }
+    // An empty mapping ("" or null) leaves the field out on purpose
+  }
+  return indexes;
+}
+
+function readCsv(text, mapping) {
+  const [header, ...rows] = parseCsv(text, detectDelimiter(text));
+  if (!header) throw importError('The file is empty.');
+  const indexes = columnIndexes(header, mapping);
+  // Row numbers as a spreadsheet shows them, the header being row 1
+  return rows.map((values, i) => ({
+    row: i + 2,
+    record: Object.fromEntries(Object.entries(indexes).map(([field, index]) => [field, values[index]])),
+  }));
+}
+
+// JSON records use the field names, or the event shape the API returns (location.address/coordinates)
+function fromJsonRecord(record) {
+  if (!record || typeof record !== 'object') return {};
+  const coordinates = record.location?.coordinates;
+  return {
+    ...record,
+    address: record.address ?? record.location?.address,
+    lat: record.lat ?? record.latitude ?? (Array.isArray(coordinates) ? coordinates[1] : undefined),
+    lon: record.lon ?? record.lng ?? record.longitude ?? (Array.isArray(coordinates) ? coordinates[0] : undefined),
+  };
+}
+
+function readJson(text) {
+  const data = parseJson(text);
+  const records = Array.isArray(data) ? data : data?.events;
+  if (!Array.isArray(records)) throw importError('JSON imports must be an array of events or { "events": [...] }.');
+  return records.map((record, i) => ({ row: i + 1, record: fromJsonRecord(record) }));
+}
+
+function readGeoJson(text) {
+  const data = parseJson(text);
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw importError('GeoJSON imports must be a FeatureCollection.');
+  }
+  return data.features.map((feature, i) => {
+    const point = feature?.geometry?.type === 'Point' ? feature.geometry.coordinates : null;
+    const record = fromJsonRecord(feature?.properties || {});
+    return {
+      row: i + 1,
+      record: point ? { ...record, lon: point[0], lat: point[1] } : record,
+      // Features without geometry are geocoded by address; lines and polygons aren't events
+      ...(feature?.geometry && !point && { errors: ['Only Point geometries are supported.'] }),
+    };
+  });
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw importError(`The file is not valid JSON: ${error.message}`);
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const toList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(/[,;|]/))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// ISO dates (and date-times) plus the day-first D.M.YYYY spreadsheets often use
+function parseDate(value) {
+  const text = String(value).trim();
+  const dayFirst = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  if (dayFirst) {
+    const [day, month, year] = dayFirst.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Date.UTC rolls 31.2. over into March
+    return date.getUTCDate() === day && date.getUTCMonth() === month - 1 ? date : null;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Checks one raw record and turns it into event fields. Problems are collected in `errors`.
+function normalizeRecord(record, errors) {
+  const fields = {
+    title: isBlank(record.title) ? '' : String(record.title).trim(),
+    description: isBlank(record.description) ? '' : String(record.description).trim(),
+    address: isBlank(record.address) ? '' : String(record.address).trim(),
+    people: toList(record.people),
+    tags: toList(record.tags),
+    date: null,
+    coordinates: null,
+  };
+  if (!fields.title) errors.push('Title is missing.');
+  if (isBlank(record.date)) {
+    errors.push('Date is missing.');
+  } else {
+    fields.date = parseDate(record.date);
+    if (!fields.date) errors.push(`"${record.date}" is not a valid date (use YYYY-MM-DD).`);
+  }
+  if (!isBlank(record.lat) || !isBlank(record.lon)) {
+    const latitude = parseFloat(record.lat);
+    const longitude = parseFloat(record.lon);
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      errors.push('lat and lon must both be valid numbers (latitude -90 to 90, longitude -180 to 180).');
+    } else {
+      fields.coordinates = [longitude, latitude];
+    }
+  }
+  if (!fields.address) {
+    if (fields.coordinates) {
+      // Events need an address; a pin without one is labeled with its coordinates
+      fields.address = `${fields.coordinates[1].toFixed(5)}, ${fields.coordinates[0].toFixed(5)}`;
+    } else {
+      errors.push('Address (or lat/lon) is missing.');
+    }
+  }
+  return fields;
+}
+
+/**
+ * Reads an uploaded file into rows of { row, fields, errors }. `fields` has title, description,
+ * date (a Date), address, people, tags and coordinates ([lon, lat] or null until geocoded).
+ * Throws an error with status 400 if the file as a whole can't be read.
+ */
+export function parseImport(buffer, { format, fileName, mapping } = {}) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, ''); // Spreadsheet apps like to add a BOM
+  const records = {
+    csv: () => readCsv(text, mapping),
+    json: () => readJson(text),
+    geojson: () => readGeoJson(text),
+  }[detectFormat(text, { format, fileName })]();
+
+  if (records.length === 0) throw importError('The file contains no events.');
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw importError(`At most ${MAX_IMPORT_ROWS} events can be imported at once; split the file.`);
+  }
+  return records.map(({ row, record, errors = [] }) => {
+    const rowErrors = [...errors];
+    const fields = normalizeRecord(record, rowErrors);
+    return { row, fields, errors: rowErrors };
+  });
+}
+
+// Same title on the same day counts as the same event
+export const duplicateKey = ({ title, date }) =>
+  `${title.trim().replace(/\s+/g, ' ').toLowerCase()}|${date.toISOString().slice(0, 10)}`;
+
+/**
+ * Geocodes the addresses of rows without errors or coordinates, `batchSize` distinct addresses at a
+ * time with a pause of `delayMs` between batches. The defaults are the pace of the public Nominatim
+ * (1 request per second). `geocode(address)` resolves to [lon, lat] or null. Failures become row errors.
+ * Throws (status 400) if the addresses would take longer than MAX_IMPORT_GEOCODE_MS at that pace.
+ */
+export async function geocodeRows(rows, geocode, { batchSize = 1, delayMs = 1000 } = {}) {
+  const pending = rows.filter(row => row.errors.length === 0 && !row.fields.coordinates);
+  const addresses = [...new Set(pending.map(row => row.fields.address))];
+  const maxAddresses = delayMs > 0 ? batchSize * (Math.floor(MAX_IMPORT_GEOCODE_MS / delayMs) + 1) : Infinity;
+  if (addresses.length > maxAddresses) {
+    throw importError(`The file has ${addresses.length} addresses without coordinates; the geocoder allows ${maxAddresses} per import. Add lat/lon or split the file.`);
+  }
+  const results = new Map();
+  for (let i = 0; i < addresses.length; i += batchSize) {
+    if (i > 0 && delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+    const batch = addresses.slice(i, i + batchSize);
+    const coordinates = await Promise.all(batch.map(address => geocode(address).catch(() => undefined)));
+    batch.forEach((address, index) => results.set(address, coordinates[index]));
+  }
+  for (const row of pending) {
+    const coordinates = results.get(row.fields.address);
+    if (coordinates) {
+      row.fields.coordinates = coordinates;
+    } else {
+      row.errors.push(coordinates === null
+        ? `Could not geocode "${row.fields.address}". Add lat/lon or a more precise address.`
+        : 'The geocoding service failed. Please try again later.');
+    }
+  }
+}
+
+// Reads the optional "mapping" form field: JSON { field: "Column header" } for CSV files
+export function parseMapping(value) {
+  if (value === undefined || value === '') return undefined;
+  let mapping;
+  try {
+    mapping = JSON.parse(value);
+  } catch {
+    mapping = null;
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw importError('mapping must be a JSON object like { "title": "Column header" }.');
+  }
+  const unknown = Object.keys(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw importError(`Unknown fields in mapping: ${unknown.join(', ')}. Use ${IMPORT_FIELDS.join(', ')}.`);
+  }
+  return mapping;
+}
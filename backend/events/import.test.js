@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseImport, parseMapping, geocodeRows, detectFormat, MAX_IMPORT_ROWS } from "./import.js";
+
+const csv = (text, options) => parseImport(Buffer.from(text), { format: 'csv', ...options });
+
+test("CSV delimiters are detected from the header", () => {
+  for (const delimiter of [',', ';', '\t']) {
+    const [row] = csv(['title', 'date', 'address', 'tags'].join(delimiter) + '\n' + ['Picnic', '2024-05-03', 'Park', 'a, b'].join(delimiter));
+    assert.equal(row.fields.title, 'Picnic', `delimiter ${JSON.stringify(delimiter)}`);
+    assert.equal(row.fields.address, 'Park');
+  }
+});
+
+test("quoted fields, a BOM and known column names are read", () => {
+  const [row] = parseImport(Buffer.from('\uFEFFName;When;Where;Who\n"Dinner; late";2024-05-03;"Main St ""5""";Ann|Bob\n'), { fileName: 'old.csv' });
+  assert.deepEqual(row.errors, []);
+  assert.equal(row.row, 2);
+  assert.equal(row.fields.title, 'Dinner; late');
+  assert.equal(row.fields.address, 'Main St "5"');
+  assert.deepEqual(row.fields.people, ['Ann', 'Bob']);
+});
+
+test("day-first D.M.YYYY dates are UTC days, impossible ones are row errors", () => {
+  const rows = csv('title,date,address\nA,3.5.2024,X\nB,31.2.2024,X\nC,soon,X\nD,,X');
+  assert.deepEqual(rows[0].fields.date, new Date('2024-05-03T00:00:00Z'));
+  assert.deepEqual(rows[1].errors, ['"31.2.2024" is not a valid date (use YYYY-MM-DD).']);
+  assert.deepEqual(rows[2].errors, ['"soon" is not a valid date (use YYYY-MM-DD).']);
+  assert.deepEqual(rows[3].errors, ['Date is missing.']);
+});
+
+test("coordinates are checked and stand in for a missing address", () => {
+  const rows = csv('title,date,lat,lon\nA,2024-05-03,52.5,13.4\nB,2024-05-03,95,13.4\nC,2024-05-03,,');
+  assert.deepEqual(rows[0].fields.coordinates, [13.4, 52.5]);
+  assert.equal(rows[0].fields.address, '52.50000, 13.40000');
+  assert.match(rows[1].errors[0], /^lat and lon must both be valid numbers/);
+  assert.deepEqual(rows[2].errors, ['Address (or lat/lon) is missing.']);
+});
+
+test("a mapping picks columns or leaves a field out", () => {
+  const text = 'Headline,Day,Place,Notes\nA,2024-05-03,X,hello';
+  const [row] = csv(text, { mapping: parseMapping('{"title":"Headline","date":"day","address":"Place","description":""}') });
+  assert.equal(row.fields.title, 'A');
+  assert.equal(row.fields.description, '');
+  assert.throws(() => csv(text, { mapping: { title: 'Missing' } }), { status: 400, message: 'Column "Missing" (mapped to title) is not in the file.' });
+});
+
+test("parseMapping rejects anything but an object of known fields", () => {
+  assert.equal(parseMapping(''), undefined);
+  assert.throws(() => parseMapping('[1]'), { status: 400 });
+  assert.throws(() => parseMapping('{oops'), { status: 400 });
+  assert.throws(() => parseMapping('{"when":"Date"}'), { status: 400, message: /^Unknown fields in mapping: when\./ });
+});
+
+test("JSON and GeoJSON imports", () => {
+  const [json] = parseImport(Buffer.from(JSON.stringify({ events: [{ title: 'A', date: '2024-05-03', location: { address: 'X', coordinates: [1, 2] } }] })));
+  assert.deepEqual(json.fields.coordinates, [1, 2]);
+
+  const geojson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [3, 4] }, properties: { title: 'B', date: '2024-05-03' } },
+      { type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: { title: 'C', date: '2024-05-03', address: 'Y' } },
+    ],
+  });
+  const [point, line] = parseImport(Buffer.from(geojson), { fileName: 'trip.json' });
+  assert.deepEqual(point.fields.coordinates, [3, 4]);
+  assert.deepEqual(line.errors, ['Only Point geometries are supported.']);
+  assert.throws(() => parseImport(Buffer.from('{"type":"Feature"'), { format: 'json' }), { status: 400, message: /^The file is not valid JSON/ });
+});
+
+test("detectFormat", () => {
+  assert.equal(detectFormat('a,b', { fileName: 'x.TSV' }), 'csv');
+  assert.equal(detectFormat(' [{"title":"x"}]'), 'json');
+  assert.equal(detectFormat('{"type":"FeatureCollection","features":[]}'), 'geojson');
+  assert.throws(() => detectFormat('', { format: 'xml' }), { status: 400 });
+});
+
+test("files that are empty or too long are rejected", () => {
+  assert.throws(() => csv('title,date,address\n'), { status: 400, message: 'The file contains no events.' });
+  const rows = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => `E${i},2024-05-03,X`);
+  assert.throws(() => csv(`title,date,address\n${rows.join('\n')}`), { status: 400, message: /^At most 1000 events/ });
+});
+
+test("geocodeRows looks each address up once and records failures", async () => {
+  const rows = csv('title,date,address,lat,lon\nA,2024-05-03,Park,,\nB,2024-05-04,Park,,\nC,2024-05-05,Nowhere,,\nD,2024-05-06,Down,,\nE,2024-05-07,Pinned,1,2\nF,,Park,,');
+  const looked = [];
+  await geocodeRows(rows, async (address) => {
+    looked.push(address);
+    if (address === 'Down') throw new Error('429');
+    return address === 'Park' ? [10, 20] : null;
+  }, { batchSize: 2, delayMs: 0 });
+
+  assert.deepEqual(looked, ['Park', 'Nowhere', 'Down']); // Not the pinned row or the one with errors
+  assert.deepEqual(rows[0].fields.coordinates, [10, 20]);
+  assert.deepEqual(rows[1].fields.coordinates, [10, 20]);
+  assert.match(rows[2].errors[0], /^Could not geocode "Nowhere"/);
+  assert.deepEqual(rows[3].errors, ['The geocoding service failed. Please try again later.']);
+  assert.deepEqual(rows[4].fields.coordinates, [2, 1]);
+  assert.equal(rows[5].fields.coordinates, null);
+});
+
+test("geocodeRows refuses more addresses than fit in the time limit at the geocoder's pace", async () => {
+  const rows = csv(`title,date,address\n${Array.from({ length: 32 }, (_, i) => `E${i},2024-05-03,Street ${i}`).join('\n')}`);
+  const geocode = async () => [0, 0];
+  // One per second: 31 addresses in 30 seconds
+  await assert.rejects(geocodeRows(rows, geocode), { status: 400, message: /^The file has 32 addresses without coordinates; the geocoder allows 31/ });
+  // Without a pause there is no limit
+  await geocodeRows(rows, geocode, { batchSize: 5, delayMs: 0 });
+  assert.ok(rows.every(row => row.fields.coordinates));
+});
@@ -0,0 +1,61 @@
+// Open Graph and Twitter card tags for event permalinks, so links to /events/:id unfurl in chat apps.
+// Crawlers aren't logged in: the catch-all route only passes approved events, redacted the way viewers see them.
+
+const DESCRIPTION_LENGTH = 200;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+function truncate(text, length) {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.slice(0, length - 1).trimEnd()}…` : clean;
+}
+
+// Short summary for the preview: date and place, then the start of the description
+function describeEvent(event) {
+  const date = event.date ? new Date(event.date).toISOString().slice(0, 10) : null;
+  const parts = [[date, event.location?.address].filter(Boolean).join(' · '), event.description]
+    .filter(Boolean);
+  return truncate(parts.join(' — '), DESCRIPTION_LENGTH);
+}
+
+/**
+ * Meta tags for an event (as returned by the API) as an HTML string.
+ * `baseUrl` is the public origin, e.g. 'https://timeline.example.com'; crawlers need absolute URLs.
+ */
+export function openGraphTags(event, { baseUrl, siteName }) {
+  const image = event.images?.[0];
+  const imagePath = image?.urls?.medium || image?.path;
+  const tags = {
+    'og:type': 'article',
+    'og:site_name': siteName,
+    'og:title': event.title || 'Untitled Event',
+    'og:description': describeEvent(event),
+    'og:url': `${baseUrl}/events/${event._id}`,
+    ...(imagePath && {
+      'og:image': `${baseUrl}${imagePath}`,
+      'og:image:alt': image.alt || image.caption || event.title,
+    }),
+    'twitter:card': imagePath ? 'summary_large_image' : 'summary',
+  };
+  return Object.entries(tags)
+    .filter(([, content]) => content)
+    .map(([property, content]) => property.startsWith('twitter:')
+      ? `<meta name="${property}" content="${escapeHtml(content)}" />`
+      : `<meta property="${property}" content="${escapeHtml(content)}" />`)
+    .join('\n    ');
+}
+
+// Puts the tags into the app's index.html and uses the event title as the page title
+export function injectOpenGraphTags(html, event, options) {
+  const title = `<title>${escapeHtml(event.title || 'Untitled Event')} - ${escapeHtml(options.siteName)}</title>`;
+  // Replacement functions, so "$" in a title isn't read as a replacement pattern
+  const withTitle = /<title>[\s\S]*?<\/title>/.test(html)
+    ? html.replace(/<title>[\s\S]*?<\/title>/, () => title)
+    : html.replace('</head>', () => `${title}\n  </head>`);
+  return withTitle.replace('</head>', () => `  ${openGraphTags(event, options)}\n  </head>`);
+}
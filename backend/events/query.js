@@ -0,0 +1,283 @@
+// Parses the GET /api/events query string into a MongoDB filter, sort and page.
+//
+// Supported parameters:
+//   search              full-text search on title, description, people, tags and address
+//   date                events on a single day (YYYY-MM-DD, UTC)
+//   from, to            date range (inclusive; a date-only "to" covers the whole day)
+//   weekday             days of the week, 1 (Monday) to 7 (Sunday), comma separated and/or repeated (UTC)
+//   people, tags        comma separated and/or repeated values
+//   peopleMode, tagsMode  "any" (default) or "all"
+//   notPeople, notTags  events with any of these are left out (comma separated and/or repeated)
+//   bbox                minLon,minLat,maxLon,maxLat
+//   near, radius        lat,lon and a radius in meters (default 1000)
+//   sort                relevance, date, title or address; prefix with "-" for descending
+//                       (default relevance when searching, otherwise -date)
+//   limit               page size, 1-500 (default 100)
+//   cursor              opaque value from a previous response's nextCursor
+
+import mongoose from "mongoose";
+import { escapeRegExp, textSearchFilter } from "./search.js";
+
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 500;
+const EARTH_RADIUS_METERS = 6378100;
+
+// Public sort names mapped to document fields
+const SORT_FIELDS = {
+  date: "date",
+  title: "title",
+  address: "location.address",
+};
+
+// Errors from parsing carry status 400 so routes can report them as bad requests
+function queryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Accepts "a,b" as well as ?x=a&x=b and returns a trimmed list without empty values
+export function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(v => typeof v === 'string')
+    .flatMap(v => v.split(","))
+    .map(v => v.trim())
+    .filter(v => v);
+}
+
+function parseMode(value, name) {
+  if (value === undefined || value === '') return 'any';
+  if (value !== 'any' && value !== 'all') {
+    throw queryError(`${name} must be "any" or "all".`);
+  }
+  return value;
+}
+
+function parseNumbers(value, count, name) {
+  const numbers = String(value).split(",").map(v => parseFloat(v));
+  if (numbers.length !== count || numbers.some(n => isNaN(n))) {
+    throw queryError(`${name} must be ${count} comma separated numbers.`);
+  }
+  return numbers;
+}
+
+// Parses a date parameter; date-only values used as an upper bound cover the whole day
+function parseDate(value, name, { endOfDay = false } = {}) {
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) {
+    throw queryError(`${name} must be a valid date (e.g. 2024-07-15).`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    parsed.setUTCHours(23, 59, 59, 999);
+  }
+  return parsed;
+}
+
+// Matches a whole array element case-insensitively (names typed with different casing)
+const exactCaseInsensitive = (value) => new RegExp(`^${escapeRegExp(value)}$`, 'i');
+
+function listFilter(values, mode) {
+  const patterns = values.map(exactCaseInsensitive);
+  return mode === 'all' ? { $all: patterns } : { $in: patterns };
+}
+
+/**
+ * Builds the MongoDB filter for the filtering parameters (everything except sort/limit/cursor).
+ * Throws an error with status 400 for malformed parameters.
+ */
+export function buildEventFilter(params = {}) {
+  const conditions = [];
+  const { search, date, from, to, bbox, near, radius } = params;
+
+  // Text index search; user input is never turned into a regex
+  const textFilter = textSearchFilter(search);
+  if (textFilter) conditions.push(textFilter);
+
+  // Single day (kept for existing clients), or an explicit range
+  if (date) {
+    const startDate = parseDate(date, 'date');
+    startDate.setUTCHours(0, 0, 0, 0);
+    const endDate = new Date(startDate);
+    endDate.setUTCHours(23, 59, 59, 999);
+    conditions.push({ date: { $gte: startDate, $lte: endDate } });
+  }
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = parseDate(from, 'from');
+    if (to) range.$lte = parseDate(to, 'to', { endOfDay: true });
+    if (range.$gte && range.$lte && range.$gte > range.$lte) {
+      throw queryError('from must not be after to.');
+    }
+    conditions.push({ date: range });
+  }
+  const weekdays = parseList(params.weekday);
+  if (weekdays.length > 0) {
+    const days = weekdays.map(Number);
+    if (days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+      throw queryError('weekday must be a number from 1 (Monday) to 7 (Sunday).');
+    }
+    conditions.push({ $expr: { $in: [{ $isoDayOfWeek: "$date" }, days] } });
+  }
+
+  const people = parseList(params.people);
+  if (people.length > 0) {
+    conditions.push({ people: listFilter(people, parseMode(params.peopleMode, 'peopleMode')) });
+  }
+  const tags = parseList(params.tags);
+  if (tags.length > 0) {
+    conditions.push({ tags: listFilter(tags, parseMode(params.tagsMode, 'tagsMode')) });
+  }
+  const notPeople = parseList(params.notPeople);
+  if (notPeople.length > 0) {
+    conditions.push({ people: { $nin: notPeople.map(exactCaseInsensitive) } });
+  }
+  const notTags = parseList(params.notTags);
+  if (notTags.length > 0) {
+    conditions.push({ tags: { $nin: notTags.map(exactCaseInsensitive) } });
+  }
+
+  // Geo filters use $geoWithin, which works with the 2dsphere index and with countDocuments
+  if (bbox) {
+    const [minLon, minLat, maxLon, maxLat] = parseNumbers(bbox, 4, 'bbox');
+    if (minLat > maxLat || Math.abs(minLat) > 90 || Math.abs(maxLat) > 90) {
+      throw queryError('bbox must be minLon,minLat,maxLon,maxLat with valid latitudes.');
+    }
+    conditions.push({
+      "location.coordinates": {
+        $geoWithin: {
+          $geometry: {
+            type: "Polygon",
+            coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]],
+          },
+        },
+      },
+    });
+  }
+  if (near) {
+    const [lat, lon] = parseNumbers(near, 2, 'near');
+    const radiusMeters = radius === undefined ? 1000 : parseFloat(radius);
+    if (isNaN(radiusMeters) || radiusMeters <= 0) {
+      throw queryError('radius must be a positive number of meters.');
+    }
+    conditions.push({
+      "location.coordinates": { $geoWithin: { $centerSphere: [[lon, lat], radiusMeters / EARTH_RADIUS_METERS] } },
+    });
+  }
+
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// "-date" -> { field: "date", name: "date", direction: -1 }
+// "relevance" orders by text score (best first) and needs a search.
+export function parseSort(value = '-date', { searching = false } = {}) {
+  if (value.replace(/^[-+]/, '') === 'relevance') {
+    if (!searching) throw queryError('sort=relevance requires a search.');
+    return { name: 'relevance', field: 'score', direction: -1 };
+  }
+  const direction = value.startsWith('-') ? -1 : 1;
+  const name = value.replace(/^[-+]/, '');
+  const field = SORT_FIELDS[name];
+  if (!field) {
+    throw queryError(`sort must be one of: relevance, ${Object.keys(SORT_FIELDS).join(', ')} (prefix with "-" for descending).`);
+  }
+  return { name, field, direction };
+}
+
+export function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = parseInt(value, 10);
+  if (isNaN(limit) || limit < 1) {
+    throw queryError(`limit must be a number between 1 and ${MAX_LIMIT}.`);
+  }
+  return Math.min(limit, MAX_LIMIT);
+}
+
+// Cursors hold the sort value and _id of the last event on a page (keyset pagination).
+// Text scores can't be filtered on, so relevance cursors hold the offset of the next page instead.
+export function encodeCursor(event, sort, nextOffset) {
+  if (sort.name === 'relevance') {
+    return Buffer.from(JSON.stringify({ s: sort.name, o: nextOffset })).toString('base64url');
+  }
+  const value = sort.field.split('.').reduce((obj, key) => obj?.[key], event);
+  const payload = { s: sort.name, v: value instanceof Date ? value.toISOString() : value, id: String(event._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw queryError('cursor is invalid.');
+  }
+  if (payload?.s === 'relevance' && sort.name === 'relevance') {
+    if (!Number.isInteger(payload.o) || payload.o < 0) throw queryError('cursor is invalid.');
+    return { offset: payload.o };
+  }
+  if (!payload || payload.s !== sort.name || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw queryError('cursor does not match the requested sort.');
+  }
+  return { value: sort.name === 'date' ? new Date(payload.v) : payload.v, id: new mongoose.Types.ObjectId(payload.id) };
+}
+
+// Filter for documents after the cursor in the given sort order (ties broken by _id)
+export function cursorFilter(cursor, sort) {
+  const { value, id } = decodeCursor(cursor, sort);
+  const op = sort.direction === -1 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [sort.field]: { [op]: value } },
+      { [sort.field]: value, _id: { [op]: id } },
+    ],
+  };
+}
+
+/**
+ * Parses the full query string. Returns the filter (for counting), the page filter
+ * (filter + cursor), the Mongo sort/projection, skip and page size, and the parsed sort.
+ * `baseFilter` is added to the filter, e.g. to limit which events the user may see.
+ */
+export function parseEventQuery(params = {}, { baseFilter = {} } = {}) {
+  const requestFilter = buildEventFilter(params);
+  const filter = Object.keys(baseFilter).length === 0
+    ? requestFilter
+    : Object.keys(requestFilter).length === 0 ? baseFilter : { $and: [baseFilter, requestFilter] };
+  const searching = Boolean(textSearchFilter(params.search));
+  const requestedSort = typeof params.sort === 'string' && params.sort ? params.sort : null;
+  const sort = parseSort(requestedSort || (searching ? 'relevance' : '-date'), { searching });
+  const limit = parseLimit(params.limit);
+
+  // Expose the text score on results when searching
+  const projection = searching ? { score: { $meta: 'textScore' } } : {};
+
+  if (sort.name === 'relevance') {
+    const { offset = 0 } = params.cursor ? decodeCursor(params.cursor, sort) : {};
+    return {
+      filter,
+      pageFilter: filter,
+      mongoSort: { score: { $meta: 'textScore' }, _id: 1 },
+      projection,
+      skip: offset,
+      limit,
+      sort,
+    };
+  }
+
+  let pageFilter = filter;
+  if (params.cursor) {
+    const afterCursor = cursorFilter(params.cursor, sort);
+    pageFilter = Object.keys(filter).length ? { $and: [filter, afterCursor] } : afterCursor;
+  }
+
+  return {
+    filter,
+    pageFilter,
+    mongoSort: { [sort.field]: sort.direction, _id: sort.direction },
+    projection,
+    skip: 0,
+    limit,
+    sort,
+  };
+}
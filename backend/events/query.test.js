@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { parseList, buildEventFilter, parseSort, parseLimit, encodeCursor, parseEventQuery, MAX_LIMIT } from "./query.js";
+
+const badRequest = (message) => ({ status: 400, message });
+
+test("parseList accepts comma separated and repeated values", () => {
+  assert.deepEqual(parseList("a, b,,c "), ["a", "b", "c"]);
+  assert.deepEqual(parseList(["a,b", " c", ""]), ["a", "b", "c"]);
+  assert.deepEqual(parseList(undefined), []);
+  assert.deepEqual(parseList({ nested: "x" }), []);
+});
+
+test("date covers the whole UTC day", () => {
+  assert.deepEqual(buildEventFilter({ date: "2024-07-15" }), {
+    date: { $gte: new Date("2024-07-15T00:00:00.000Z"), $lte: new Date("2024-07-15T23:59:59.999Z") },
+  });
+});
+
+test("a date-only to is inclusive, a timestamp is taken as is", () => {
+  assert.deepEqual(buildEventFilter({ from: "2024-01-01", to: "2024-01-31" }), {
+    date: { $gte: new Date("2024-01-01T00:00:00.000Z"), $lte: new Date("2024-01-31T23:59:59.999Z") },
+  });
+  assert.deepEqual(buildEventFilter({ to: "2024-01-31T12:00:00Z" }), {
+    date: { $lte: new Date("2024-01-31T12:00:00Z") },
+  });
+});
+
+test("invalid dates and ranges are bad requests", () => {
+  assert.throws(() => buildEventFilter({ from: "yesterday" }), badRequest("from must be a valid date (e.g. 2024-07-15)."));
+  assert.throws(() => buildEventFilter({ from: "2024-02-01", to: "2024-01-31" }), badRequest("from must not be after to."));
+  // The same day for both is a one-day range
+  assert.doesNotThrow(() => buildEventFilter({ from: "2024-01-31", to: "2024-01-31" }));
+});
+
+test("weekday takes ISO day numbers", () => {
+  assert.deepEqual(buildEventFilter({ weekday: ["1", "7"] }), { $expr: { $in: [{ $isoDayOfWeek: "$date" }, [1, 7]] } });
+  assert.throws(() => buildEventFilter({ weekday: "0" }), { status: 400 });
+  assert.throws(() => buildEventFilter({ weekday: "mon" }), { status: 400 });
+});
+
+test("people and tags match whole values case-insensitively", () => {
+  const filter = buildEventFilter({ people: "Ann,Bo.b", peopleMode: "all", notTags: "work" });
+  const [people, notTags] = filter.$and;
+  assert.deepEqual(people.people.$all.map(String), ["/^Ann$/i", "/^Bo\\.b$/i"]);
+  assert.deepEqual(notTags.tags.$nin.map(String), ["/^work$/i"]);
+  assert.throws(() => buildEventFilter({ tags: "x", tagsMode: "some" }), badRequest('tagsMode must be "any" or "all".'));
+});
+
+test("bbox and near are validated", () => {
+  assert.throws(() => buildEventFilter({ bbox: "1,2,3" }), badRequest("bbox must be 4 comma separated numbers."));
+  assert.throws(() => buildEventFilter({ bbox: "0,50,1,40" }), { status: 400 });
+  assert.throws(() => buildEventFilter({ near: "52.5,13.4", radius: "-5" }), { status: 400 });
+  assert.ok(buildEventFilter({ near: "52.5,13.4" })["location.coordinates"].$geoWithin.$centerSphere);
+});
+
+test("parseSort and parseLimit", () => {
+  assert.deepEqual(parseSort("-title"), { name: "title", field: "title", direction: -1 });
+  assert.deepEqual(parseSort("address"), { name: "address", field: "location.address", direction: 1 });
+  assert.throws(() => parseSort("relevance"), badRequest("sort=relevance requires a search."));
+  assert.throws(() => parseSort("author"), { status: 400 });
+  assert.equal(parseLimit(undefined), 100);
+  assert.equal(parseLimit("9999"), MAX_LIMIT);
+  assert.throws(() => parseLimit("0"), { status: 400 });
+});
+
+test("a cursor continues after the last event of the page", () => {
+  const id = new mongoose.Types.ObjectId();
+  const date = new Date("2024-05-03T10:00:00Z");
+  const { sort } = parseEventQuery({});
+  const cursor = encodeCursor({ _id: id, date }, sort);
+
+  const { pageFilter, filter } = parseEventQuery({ cursor });
+  assert.deepEqual(filter, {});
+  assert.deepEqual(pageFilter, {
+    $or: [
+      { date: { $lt: date } },
+      { date, _id: { $lt: id } },
+    ],
+  });
+});
+
+test("tampered or mismatched cursors are bad requests", () => {
+  const id = new mongoose.Types.ObjectId();
+  const titleCursor = encodeCursor({ _id: id, title: "A" }, parseSort("title"));
+  assert.throws(() => parseEventQuery({ cursor: titleCursor }), badRequest("cursor does not match the requested sort."));
+  assert.throws(() => parseEventQuery({ cursor: "not json" }), badRequest("cursor is invalid."));
+
+  const forged = Buffer.from(JSON.stringify({ s: "date", v: "2024-01-01", id: "not-an-id" })).toString("base64url");
+  assert.throws(() => parseEventQuery({ cursor: forged }), { status: 400 });
+
+  const search = "picnic";
+  const relevance = parseEventQuery({ search }).sort;
+  assert.equal(parseEventQuery({ search, cursor: encodeCursor({}, relevance, 40) }).skip, 40);
+  const negative = Buffer.from(JSON.stringify({ s: "relevance", o: -1 })).toString("base64url");
+  assert.throws(() => parseEventQuery({ search, cursor: negative }), badRequest("cursor is invalid."));
+});
+
+test("the base filter is combined with the request's filter", () => {
+  const baseFilter = { status: "approved" };
+  assert.deepEqual(parseEventQuery({}, { baseFilter }).filter, baseFilter);
+  assert.deepEqual(parseEventQuery({ tags: "x" }, { baseFilter }).filter.$and[0], baseFilter);
+});
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+// --- Revision Schema ---
+// Append-only history of every change to an event. Revisions are never edited,
+// except when a person is forgotten (see people/routes.js) and their name is scrubbed.
+export const REVISION_ACTIONS = ['create', 'update', 'delete', 'moderate', 'restore'];
+
+// Fields that are compared between revisions (and put back when restoring)
+export const TRACKED_FIELDS = [
+  'title', 'description', 'people', 'date', 'location.address', 'location.coordinates',
+  'tags', 'images', 'status', 'moderationReason',
+];
+
+const ChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed },
+  to: { type: mongoose.Schema.Types.Mixed },
+}, { _id: false });
+
+const RevisionSchema = new mongoose.Schema({
+  event: { type: mongoose.Schema.Types.ObjectId, required: true, index: true }, // No ref: the event may be deleted
+  action: { type: String, enum: REVISION_ACTIONS, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changes: [ChangeSchema],
+  // The event as it was after this action (for deletes: as it was when deleted)
+  snapshot: { type: mongoose.Schema.Types.Mixed },
+  restoredFrom: { type: mongoose.Schema.Types.ObjectId }, // Revision that was put back, for "restore"
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+export const Revision = mongoose.model("Revision", RevisionSchema);
+// --- End Revision Schema ---
+
+const getPath = (obj, field) => field.split('.').reduce((value, key) => value?.[key], obj);
+
+// Copies the tracked fields (and the author and creation time) out of an event
+export function snapshotEvent(event) {
+  const plain = typeof event.toObject === 'function' ? event.toObject({ depopulate: true }) : event;
+  return {
+    title: plain.title,
+    description: plain.description,
+    people: [...(plain.people || [])],
+    date: plain.date,
+    location: { address: plain.location?.address, coordinates: [...(plain.location?.coordinates || [])] },
+    tags: [...(plain.tags || [])],
+    // Older revisions stored images as plain paths
+    images: (plain.images || []).map(image => typeof image === 'string'
+      ? { path: image }
+      : { _id: image._id, path: image.path, caption: image.caption, alt: image.alt }),
+    status: plain.status,
+    moderationReason: plain.moderationReason,
+    createdBy: plain.createdBy,
+    createdAt: plain.createdAt,
+  };
+}
+
+// Field-level diff between two snapshots (either may be null for create/delete)
+export function diffSnapshots(before, after) {
+  return TRACKED_FIELDS
+    .map(field => ({ field, from: before ? getPath(before, field) : undefined, to: after ? getPath(after, field) : undefined }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+}
+
+/**
+ * Appends a revision for an action on an event. `before` is the snapshot taken before
+ * the change (null for create); `event` is the saved event (null for delete).
+ * Events from before revisions were kept get their state before the change as a baseline
+ * revision first, so it can be restored too.
+ * Failures are logged but never break the action being recorded.
+ */
+export async function recordRevision({ action, actor, event, before = null, eventId, restoredFrom }) {
+  try {
+    const id = event?._id ?? eventId;
+    const after = event ? snapshotEvent(event) : null;
+    const changes = diffSnapshots(before, after);
+    if (action === 'update' && changes.length === 0) return; // Nothing actually changed
+
+    if (before && !(await Revision.exists({ event: id }))) {
+      await Revision.create({
+        event: id,
+        action: 'create',
+        actor: before.createdBy,
+        changes: diffSnapshots(null, before),
+        snapshot: before,
+        createdAt: before.createdAt,
+      });
+    }
+    await Revision.create({
+      event: id,
+      action,
+      actor: actor?._id ?? actor,
+      changes,
+      snapshot: after || before,
+      restoredFrom,
+    });
+  } catch (error) {
+    console.error(`Error recording ${action} revision:`, error);
+  }
+}
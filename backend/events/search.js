@@ -0,0 +1,82 @@
+// Full-text search helpers for events (backed by the text index on EventSchema).
+
+// Fields covered by the text index, with their relevance weights
+export const TEXT_INDEX_WEIGHTS = {
+  title: 10,
+  people: 5,
+  tags: 5,
+  description: 2,
+  "location.address": 1,
+};
+
+const FRAGMENT_RADIUS = 40; // Characters of context on each side of the first match
+const MAX_TERMS = 10;
+
+// Escapes regex metacharacters so user input is matched literally
+export const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Splits user input into plain words. Quotes and leading "-" have special meaning
+// in $text searches (phrases, negation), so they are dropped to search literally.
+export function searchTerms(search) {
+  if (typeof search !== 'string') return [];
+  const words = search
+    .split(/\s+/)
+    .map(word => word.replace(/["]/g, '').replace(/^-+/, ''))
+    .filter(word => word);
+  return [...new Set(words)].slice(0, MAX_TERMS);
+}
+
+// $text filter for the search terms, or null if there is nothing to search for
+export function textSearchFilter(search) {
+  const terms = searchTerms(search);
+  return terms.length > 0 ? { $text: { $search: terms.join(' ') } } : null;
+}
+
+// Finds words starting with any term (so "meet" marks the whole word "meeting")
+function findMatches(text, pattern) {
+  const matches = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    matches.push([match.index, match.index + match[0].length]);
+    if (match[0].length === 0) pattern.lastIndex++; // Never loop on empty matches
+  }
+  return matches;
+}
+
+// Cuts a fragment around the first match; match offsets are made relative to the fragment
+function fragmentFor(text, matches) {
+  const start = Math.max(0, matches[0][0] - FRAGMENT_RADIUS);
+  const end = Math.min(text.length, matches[0][1] + FRAGMENT_RADIUS);
+  return {
+    fragment: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    matches: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + (start > 0 ? 1 : 0), to - start + (start > 0 ? 1 : 0)]),
+  };
+}
+
+/**
+ * Returns highlight fragments for every indexed field of the event that contains a search term:
+ *   [{ field: "title", fragment: "Team Meeting @ Apple Park", matches: [[5, 12]] }]
+ * Match offsets are [start, end) character positions within the fragment.
+ */
+export function highlightEvent(event, search) {
+  const terms = searchTerms(search);
+  if (terms.length === 0) return [];
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+  const highlights = [];
+  const addHighlight = (field, text) => {
+    if (typeof text !== 'string' || !text) return;
+    const matches = findMatches(text, pattern);
+    if (matches.length > 0) highlights.push({ field, ...fragmentFor(text, matches) });
+  };
+
+  addHighlight('title', event.title);
+  addHighlight('description', event.description);
+  (event.people || []).forEach(person => addHighlight('people', person));
+  (event.tags || []).forEach(tag => addHighlight('tags', tag));
+  addHighlight('location.address', event.location?.address);
+  return highlights;
+}
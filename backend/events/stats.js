@@ -0,0 +1,203 @@
+// MongoDB aggregations for GET /api/stats/* and GET /api/events/facets. Every function takes the $match filter of the events
+// to count (built like the GET /api/events filter, see events/query.js). Dates are grouped in UTC.
+
+import { Event } from "./event.js";
+
+export const DEFAULT_STATS_LIMIT = 20;
+export const MAX_STATS_LIMIT = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function statsError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Number of entries per list (top people, tags, locations)
+export function parseStatsLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_STATS_LIMIT;
+  const limit = parseInt(value, 10);
+  if (isNaN(limit) || limit < 1) {
+    throw statsError(`limit must be a number between 1 and ${MAX_STATS_LIMIT}.`);
+  }
+  return Math.min(limit, MAX_STATS_LIMIT);
+}
+
+// Longest time between two consecutive dates (sorted), or null for fewer than two
+function longestGap(dates) {
+  let gap = null;
+  for (let i = 1; i < dates.length; i++) {
+    const days = Math.round((dates[i] - dates[i - 1]) / DAY_MS);
+    if (!gap || days > gap.days) gap = { days, from: dates[i - 1], to: dates[i] };
+  }
+  return gap;
+}
+
+/**
+ * Events per person and the longest gap between a person's events.
+ * `label(name)` gives the name to show for a stored name; names with the same label (aliases,
+ * other spellings, or people behind the same placeholder) are counted as one person.
+ *   -> { leaderboard: [{ name, count, first, last, longestGap }], longestGaps: [same, by gap] }
+ */
+export async function peopleStats(match, { label, limit }) {
+  const groups = await Event.aggregate([
+    { $match: match },
+    { $unwind: "$people" },
+    { $group: { _id: "$people", events: { $push: { id: "$_id", date: "$date" } } } },
+  ]);
+
+  // Label -> event id -> date (an event naming two spellings of someone counts once)
+  const byLabel = new Map();
+  groups.forEach(({ _id: name, events }) => {
+    const key = label(name);
+    if (!byLabel.has(key)) byLabel.set(key, new Map());
+    events.forEach(({ id, date }) => byLabel.get(key).set(String(id), date));
+  });
+
+  const people = [...byLabel.entries()].map(([name, events]) => {
+    const dates = [...events.values()].sort((a, b) => a - b);
+    return { name, count: dates.length, first: dates[0], last: dates[dates.length - 1], longestGap: longestGap(dates) };
+  });
+  return {
+    leaderboard: [...people]
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, limit),
+    longestGaps: people
+      .filter(person => person.longestGap)
+      .sort((a, b) => b.longestGap.days - a.longestGap.days || a.name.localeCompare(b.name))
+      .slice(0, limit),
+  };
+}
+
+/**
+ * Every person with their number of events, for the people filter. Names are grouped by
+ * `label` like in peopleStats. -> [{ value, count }] sorted by name
+ */
+export async function personCounts(match, { label }) {
+  const groups = await Event.aggregate([
+    { $match: match },
+    { $unwind: "$people" },
+    { $group: { _id: "$people", events: { $addToSet: "$_id" } } },
+  ]);
+  const byLabel = new Map();
+  groups.forEach(({ _id: name, events }) => {
+    const key = label(name);
+    if (!byLabel.has(key)) byLabel.set(key, new Set());
+    events.forEach(id => byLabel.get(key).add(String(id)));
+  });
+  return [...byLabel.entries()]
+    .map(([value, events]) => ({ value, count: events.size }))
+    .sort((a, b) => a.value.localeCompare(b.value));
+}
+
+// Every tag with its number of events, for the tags filter -> [{ value, count }] sorted by tag
+export async function tagCounts(match) {
+  const groups = await Event.aggregate([
+    { $match: match },
+    { $unwind: "$tags" },
+    { $group: { _id: { $toLower: "$tags" }, tag: { $first: "$tags" }, events: { $addToSet: "$_id" } } },
+  ]);
+  return groups
+    .map(({ tag, events }) => ({ value: tag, count: events.length }))
+    .sort((a, b) => a.value.localeCompare(b.value));
+}
+
+// Events per tag, tags differing only in case counted together -> [{ tag, count }]
+export async function tagStats(match, { limit }) {
+  const groups = await Event.aggregate([
+    { $match: match },
+    { $unwind: "$tags" },
+    { $group: { _id: { $toLower: "$tags" }, tag: { $first: "$tags" }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return groups.map(({ tag, count }) => ({ tag, count }));
+}
+
+// "2024-01" -> "2024-02"
+function nextMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Events per month (every month from the first to the last event, including empty ones)
+ * and per day of the week (1 = Monday to 7 = Sunday).
+ *   -> { total, months: [{ month: "2024-05", count }], weekdays: [{ weekday, count }] }
+ */
+export async function timelineStats(match) {
+  const [result] = await Event.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        months: [
+          { $group: { _id: { $dateToString: { format: "%Y-%m", date: "$date" } }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ],
+        weekdays: [{ $group: { _id: { $isoDayOfWeek: "$date" }, count: { $sum: 1 } } }],
+      },
+    },
+  ]);
+
+  const monthCounts = new Map(result.months.map(({ _id, count }) => [_id, count]));
+  const months = [];
+  if (result.months.length > 0) {
+    const last = result.months[result.months.length - 1]._id;
+    for (let month = result.months[0]._id; month <= last; month = nextMonth(month)) {
+      months.push({ month, count: monthCounts.get(month) || 0 });
+    }
+  }
+  const weekdayCounts = new Map(result.weekdays.map(({ _id, count }) => [_id, count]));
+  return {
+    total: result.months.reduce((sum, { count }) => sum + count, 0),
+    months,
+    weekdays: [1, 2, 3, 4, 5, 6, 7].map(weekday => ({ weekday, count: weekdayCounts.get(weekday) || 0 })),
+  };
+}
+
+// Events per day with events, for the timeline's histogram -> [{ date: "2024-05-03", count }] oldest first
+export async function dayStats(match) {
+  const groups = await Event.aggregate([
+    { $match: match },
+    { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$date" } }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+  return groups.map(({ _id, count }) => ({ date: _id, count }));
+}
+
+export const LOCATION_GROUPS = ['coordinates', 'address'];
+
+/**
+ * The places with the most events, grouped by coordinates rounded to `precision` decimals
+ * (3 is about 100 m) or by address (ignoring case and surrounding spaces).
+ *   -> [{ address, coordinates: [lon, lat], count }]; address is the one of the group's latest event,
+ *      coordinates are the rounded point or the average of an address's events
+ */
+export async function locationStats(match, { groupBy = 'coordinates', precision = 3, limit }) {
+  if (!LOCATION_GROUPS.includes(groupBy)) {
+    throw statsError(`groupBy must be one of: ${LOCATION_GROUPS.join(', ')}.`);
+  }
+  const decimals = precision === undefined || precision === '' ? 3 : Number(precision);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 6) {
+    throw statsError('precision must be a whole number from 0 to 6.');
+  }
+
+  const lon = { $arrayElemAt: ["$location.coordinates", 0] };
+  const lat = { $arrayElemAt: ["$location.coordinates", 1] };
+  const group = groupBy === 'address'
+    ? { _id: { $toLower: { $trim: { input: "$location.address" } } }, lon: { $avg: lon }, lat: { $avg: lat } }
+    : { _id: { lon: { $round: [lon, decimals] }, lat: { $round: [lat, decimals] } } };
+  const groups = await Event.aggregate([
+    { $match: match },
+    // So $first picks the latest event's address, whatever order the documents are read in
+    { $sort: { date: -1, _id: -1 } },
+    { $group: { ...group, address: { $first: "$location.address" }, count: { $sum: 1 } } },
+    { $sort: { count: -1, address: 1 } },
+    { $limit: limit },
+  ]);
+  return groups.map(({ _id, lon: avgLon, lat: avgLat, address, count }) => ({
+    address,
+    coordinates: groupBy === 'address' ? [avgLon, avgLat] : [_id.lon, _id.lat],
+    count,
+  }));
+}
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import { normalizeAddress } from "./localGeocoder.js";
+
+// --- Geocode Cache Schema ---
+// One document per normalized address. Expired entries are removed by MongoDB's TTL monitor.
+const GeocodeCacheSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // Normalized address
+  address: { type: String }, // Address as first entered
+  coordinates: { type: [Number], required: true }, // [longitude, latitude]
+  displayName: { type: String },
+  provider: { type: String }, // Geocoder that produced the result
+  hits: { type: Number, default: 0 },
+  lastHitAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+GeocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const GeocodeCache = mongoose.model("GeocodeCache", GeocodeCacheSchema);
+// --- End Geocode Cache Schema ---
+
+/**
+ * Wraps a geocoder so geocode() results are cached in MongoDB.
+ * Only successful lookups are cached; suggest() is passed through unchanged.
+ * Cache read/write failures are logged and fall back to the wrapped geocoder.
+ */
+export function withGeocodeCache(geocoder, { ttlDays = 90 } = {}) {
+  const ttlMs = ttlDays * 24 * 60 * 60 * 1000;
+  // Counters since process start (per-entry hit counts are stored in the cache documents)
+  const counters = { hits: 0, misses: 0, errors: 0 };
+
+  return {
+    ...geocoder,
+
+    async geocode(address) {
+      const key = normalizeAddress(address);
+      if (!key) return geocoder.geocode(address);
+
+      try {
+        const cached = await GeocodeCache.findOneAndUpdate(
+          { key, expiresAt: { $gt: new Date() } },
+          { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+          { new: true }
+        );
+        if (cached) {
+          counters.hits++;
+          console.log(`Geocode cache hit for: "${key}"`);
+          return { coordinates: cached.coordinates, displayName: cached.displayName };
+        }
+      } catch (cacheError) {
+        counters.errors++;
+        console.error("Error reading geocode cache:", cacheError.message);
+      }
+
+      counters.misses++;
+      const result = await geocoder.geocode(address);
+      if (result) {
+        try {
+          await GeocodeCache.findOneAndUpdate(
+            { key },
+            {
+              $set: {
+                address,
+                coordinates: result.coordinates,
+                displayName: result.displayName,
+                provider: geocoder.name,
+                expiresAt: new Date(Date.now() + ttlMs),
+              },
+              $setOnInsert: { hits: 0 },
+            },
+            { upsert: true }
+          );
+        } catch (cacheError) {
+          counters.errors++;
+          console.error("Error writing geocode cache:", cacheError.message);
+        }
+      }
+      return result;
+    },
+
+    // Combines in-process counters with totals from the cache collection
+    async cacheStats() {
+      const [entries, [totals] = []] = await Promise.all([
+        GeocodeCache.countDocuments(),
+        GeocodeCache.aggregate([{ $group: { _id: null, storedHits: { $sum: "$hits" } } }]),
+      ]);
+      const lookups = counters.hits + counters.misses;
+      return {
+        provider: geocoder.name,
+        ttlDays,
+        entries,
+        storedHits: totals?.storedHits || 0,
+        sinceStart: { ...counters, hitRate: lookups ? counters.hits / lookups : 0 },
+      };
+    },
+
+    async clearCache() {
+      const { deletedCount } = await GeocodeCache.deleteMany({});
+      return deletedCount;
+    },
+  };
+}
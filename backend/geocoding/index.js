@@ -0,0 +1,58 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { createNominatimGeocoder } from "./nominatimGeocoder.js";
+import { createPhotonGeocoder } from "./photonGeocoder.js";
+import { createLocalGeocoder } from "./localGeocoder.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PUBLIC_NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+// IMPORTANT: Set GEOCODER_USER_AGENT to your actual app name/email for Nominatim TOS
+const DEFAULT_USER_AGENT = 'TimelineMapApp/1.0 (nick@example.com)';
+// The public instance's usage policy allows 1 request per second
+const PUBLIC_NOMINATIM_LIMIT = { batchSize: 1, delayMs: 1000 };
+
+/**
+ * Creates the geocoder selected by env config. Every geocoder implements:
+ *   geocode(address)      -> { coordinates: [lon, lat], displayName } or null if nothing matched
+ *   suggest(query, limit) -> [{ place_id, display_name, lat, lon }]
+ * Both throw on service errors. `requestLimit` is { batchSize, delayMs }, the most lookups at once
+ * and the pause between them the service allows (for bulk geocoding), or null if it has no limit.
+ *
+ * GEOCODER_PROVIDER: "nominatim" (default), "self-hosted" / "photon" (both need GEOCODER_URL) or "local"
+ * GEOCODER_URL: base URL of a self-hosted Nominatim or Photon server
+ * GEOCODER_GAZETTEER_FILE: JSON/CSV file for the local geocoder
+ */
+export function createGeocoder(env = process.env) {
+  const provider = (env.GEOCODER_PROVIDER || 'nominatim').toLowerCase();
+  const userAgent = env.GEOCODER_USER_AGENT || DEFAULT_USER_AGENT;
+
+  switch (provider) {
+    case 'nominatim': {
+      const baseUrl = env.GEOCODER_URL || PUBLIC_NOMINATIM_URL;
+      const isPublic = baseUrl.replace(/\/+$/, '') === PUBLIC_NOMINATIM_URL;
+      return { ...createNominatimGeocoder({ baseUrl, userAgent }), requestLimit: isPublic ? PUBLIC_NOMINATIM_LIMIT : null };
+    }
+    case 'self-hosted':
+    case 'photon': {
+      if (!env.GEOCODER_URL) {
+        throw new Error(`GEOCODER_URL is required for the "${provider}" geocoder.`);
+      }
+      const geocoder = provider === 'photon'
+        ? createPhotonGeocoder({ baseUrl: env.GEOCODER_URL, userAgent })
+        : createNominatimGeocoder({ baseUrl: env.GEOCODER_URL, userAgent, name: 'self-hosted' });
+      return { ...geocoder, requestLimit: null };
+    }
+    case 'local':
+      return {
+        ...createLocalGeocoder({
+          file: env.GEOCODER_GAZETTEER_FILE
+            ? path.resolve(env.GEOCODER_GAZETTEER_FILE)
+            : path.join(__dirname, 'gazetteer.sample.json'),
+        }),
+        requestLimit: null,
+      };
+    default:
+      throw new Error(`Unknown GEOCODER_PROVIDER "${provider}". Use nominatim, self-hosted, photon or local.`);
+  }
+}
@@ -0,0 +1,143 @@
+import fs from "fs";
+import path from "path";
+
+// Lowercase, strip punctuation and collapse whitespace so lookups are forgiving.
+// Letters, digits and the marks other scripts need for their vowels (Devanagari, Arabic, ...) are kept;
+// only Latin accents are dropped. The result is also the geocode cache key.
+export const normalizeAddress = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD').replace(/[\u0300-\u036f]/g, '') // Remove accents
+  .normalize('NFKC')
+  .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+  .trim();
+
+// Minimal CSV parser: handles quoted fields, escaped quotes ("") and CRLF line endings.
+// Returns the rows as arrays of strings, skipping empty lines.
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') { inQuotes = false; }
+      else { field += char; }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+  return rows;
+}
+
+// CSV gazetteers need a header row with at least name, lat and lon.
+// An optional "aliases" column holds alternative names separated by "|".
+function parseCsvGazetteer(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim().toLowerCase());
+  return rows.map(values => {
+    const record = Object.fromEntries(columns.map((column, i) => [column, (values[i] || '').trim()]));
+    return { ...record, aliases: record.aliases ? record.aliases.split('|') : [] };
+  });
+}
+
+// Turns raw records into entries with numeric coordinates and normalized search keys
+function toEntries(records) {
+  return records
+    .map((record, index) => {
+      const lat = parseFloat(record.lat ?? record.latitude);
+      const lon = parseFloat(record.lon ?? record.lng ?? record.longitude);
+      const name = record.name || record.address;
+      if (!name || isNaN(lat) || isNaN(lon)) {
+        console.warn(`Skipping invalid gazetteer entry #${index + 1}:`, record);
+        return null;
+      }
+      const aliases = Array.isArray(record.aliases) ? record.aliases : [];
+      return {
+        id: record.id || `local-${index + 1}`,
+        name,
+        displayName: record.display_name || record.address || name,
+        coordinates: [lon, lat],
+        keys: [name, ...aliases].map(normalizeAddress).filter(Boolean),
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Offline geocoder that looks addresses up in a local JSON or CSV gazetteer file.
+ * JSON files contain an array of { name, lat, lon, aliases?, display_name? } objects.
+ */
+export function createLocalGeocoder({ file, name = "local" }) {
+  let entriesPromise = null;
+
+  // Load the gazetteer once, on first use
+  const loadEntries = () => {
+    if (!entriesPromise) {
+      entriesPromise = fs.promises.readFile(file, 'utf8').then(text => {
+        const records = path.extname(file).toLowerCase() === '.csv' ? parseCsvGazetteer(text) : JSON.parse(text);
+        if (!Array.isArray(records)) {
+          throw new Error(`Gazetteer file ${file} must contain an array of entries.`);
+        }
+        const entries = toEntries(records);
+        console.log(`Loaded ${entries.length} gazetteer entries from: ${file}`);
+        return entries;
+      });
+      // Allow a retry after fixing a broken file
+      entriesPromise.catch(() => { entriesPromise = null; });
+    }
+    return entriesPromise;
+  };
+
+  return {
+    name,
+
+    async geocode(address) {
+      const query = normalizeAddress(address);
+      if (!query) return null;
+      const entries = await loadEntries();
+      // Exact match first, then the longest entry name contained in the address
+      // (so "Eiffel Tower, Champ de Mars, Paris" still finds "Eiffel Tower")
+      let match = entries.find(entry => entry.keys.includes(query));
+      if (!match) {
+        let bestLength = 0;
+        for (const entry of entries) {
+          for (const key of entry.keys) {
+            if (key.length > bestLength && ` ${query} `.includes(` ${key} `)) {
+              match = entry;
+              bestLength = key.length;
+            }
+          }
+        }
+      }
+      return match ? { coordinates: match.coordinates, displayName: match.displayName } : null;
+    },
+
+    async suggest(query, limit = 5) {
+      const words = normalizeAddress(query).split(' ').filter(Boolean);
+      if (words.length === 0) return [];
+      const entries = await loadEntries();
+      return entries
+        .filter(entry => entry.keys.some(key => words.every(word => key.includes(word))))
+        .slice(0, limit)
+        .map(entry => ({
+          place_id: entry.id,
+          display_name: entry.displayName,
+          lat: String(entry.coordinates[1]),
+          lon: String(entry.coordinates[0]),
+        }));
+    },
+  };
+}
@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeAddress } from "./localGeocoder.js";
+
+test("normalizeAddress drops Latin accents, case and punctuation", () => {
+  assert.equal(normalizeAddress("  Café  de Flore, Paris! "), "cafe de flore paris");
+  assert.equal(normalizeAddress("Müllerstraße 12"), "mullerstraße 12");
+});
+
+test("normalizeAddress keeps the vowel signs of other scripts", () => {
+  const keys = ["किताब", "कीताब", "कुताब"].map(normalizeAddress);
+  assert.equal(new Set(keys).size, 3);
+  assert.equal(normalizeAddress("किताब"), "किताब");
+  assert.equal(normalizeAddress("مَدينة"), "مَدينة");
+  assert.equal(normalizeAddress("東京都, 渋谷区"), "東京都 渋谷区");
+});
@@ -0,0 +1,36 @@
+import axios from "axios";
+
+/**
+ * Geocoder backed by a Nominatim server.
+ * Works for the public instance and for self-hosted ones (pass their baseUrl).
+ */
+export function createNominatimGeocoder({ baseUrl, userAgent, name = "nominatim" }) {
+  const searchUrl = `${baseUrl.replace(/\/+$/, '')}/search`;
+
+  const search = async (query, limit) => {
+    const response = await axios.get(searchUrl, {
+      params: { q: query, format: "json", limit, addressdetails: 1 },
+      // IMPORTANT: Nominatim TOS require an identifying User-Agent
+      headers: { 'User-Agent': userAgent },
+      timeout: 10000,
+    });
+    return Array.isArray(response.data) ? response.data : [];
+  };
+
+  return {
+    name,
+
+    async geocode(address) {
+      const results = await search(address, 1);
+      if (results.length === 0) return null;
+      const { lat, lon, display_name } = results[0];
+      return { coordinates: [parseFloat(lon), parseFloat(lat)], displayName: display_name };
+    },
+
+    async suggest(query, limit = 5) {
+      const results = await search(query, limit);
+      // Nominatim results already have the shape the frontend expects
+      return results.map(({ place_id, display_name, lat, lon }) => ({ place_id, display_name, lat, lon }));
+    },
+  };
+}
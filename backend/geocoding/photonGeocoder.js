@@ -0,0 +1,50 @@
+import axios from "axios";
+
+// Builds a readable label from Photon's GeoJSON feature properties
+function photonDisplayName(properties = {}) {
+  const street = [properties.street, properties.housenumber].filter(Boolean).join(' ');
+  const parts = [properties.name, street, properties.postcode, properties.city, properties.state, properties.country];
+  // Drop empty and repeated parts (e.g. name === city)
+  return [...new Set(parts.filter(Boolean))].join(', ');
+}
+
+/**
+ * Geocoder backed by a (usually self-hosted) Photon server.
+ */
+export function createPhotonGeocoder({ baseUrl, userAgent, name = "photon" }) {
+  const searchUrl = `${baseUrl.replace(/\/+$/, '')}/api`;
+
+  const search = async (query, limit) => {
+    const response = await axios.get(searchUrl, {
+      params: { q: query, limit },
+      headers: { 'User-Agent': userAgent },
+      timeout: 10000,
+    });
+    return Array.isArray(response.data?.features) ? response.data.features : [];
+  };
+
+  return {
+    name,
+
+    async geocode(address) {
+      const features = await search(address, 1);
+      if (features.length === 0) return null;
+      const [lon, lat] = features[0].geometry?.coordinates || [];
+      return { coordinates: [Number(lon), Number(lat)], displayName: photonDisplayName(features[0].properties) };
+    },
+
+    async suggest(query, limit = 5) {
+      const features = await search(query, limit);
+      return features.map((feature) => {
+        const [lon, lat] = feature.geometry?.coordinates || [];
+        const { osm_type, osm_id } = feature.properties || {};
+        return {
+          place_id: `${osm_type}${osm_id}`,
+          display_name: photonDisplayName(feature.properties),
+          lat: String(lat),
+          lon: String(lon),
+        };
+      });
+    },
+  };
+}
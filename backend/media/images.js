@@ -0,0 +1,91 @@
+// Processing for uploaded images: every upload is re-encoded without its metadata
+// (EXIF, GPS, camera details) and stored once per content hash, with smaller renditions.
+//
+// Files for an upload with hash <h> (sha256 of the uploaded bytes):
+//   <h>.<ext>          original, re-encoded and capped at ORIGINAL_MAX_SIZE
+//   <h>.medium.<ext>   fits in MEDIUM_SIZE x MEDIUM_SIZE
+//   <h>.thumb.<ext>    THUMB_SIZE x THUMB_SIZE square crop
+// Events store the path of the original ('/uploads/<h>.<ext>'); rendition paths are derived from it.
+
+import crypto from "crypto";
+import path from "path";
+import sharp from "sharp";
+
+const ORIGINAL_MAX_SIZE = 2560;
+const MEDIUM_SIZE = 1024;
+const THUMB_SIZE = 200;
+
+export const RENDITIONS = ['original', 'medium', 'thumbnail'];
+
+const RENDITION_SUFFIXES = { original: '', medium: '.medium', thumbnail: '.thumb' };
+
+// Matches the file name of a processed original, and of any of its renditions
+const PROCESSED_NAME = /^([0-9a-f]{64})\.(jpg|png)$/;
+const RENDITION_NAME = /^([0-9a-f]{64})(?:\.medium|\.thumb)?\.(jpg|png)$/;
+
+// Errors for files that aren't usable images carry status 400
+function imageError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+export const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// True for paths of uploads that went through processImage
+export const isProcessedImage = (imagePath) => typeof imagePath === 'string' && PROCESSED_NAME.test(path.basename(imagePath));
+
+// File name of the original a stored file belongs to ('<h>.thumb.jpg' -> '<h>.jpg')
+export function originalFileName(fileName) {
+  const match = fileName.match(RENDITION_NAME);
+  return match ? `${match[1]}.${match[2]}` : fileName;
+}
+
+/**
+ * URLs of every rendition of a stored image, e.g. for '/uploads/<h>.jpg':
+ *   { original: '/uploads/<h>.jpg', medium: '/uploads/<h>.medium.jpg', thumbnail: '/uploads/<h>.thumb.jpg' }
+ * Images uploaded before processing existed only have the original.
+ */
+export function imageRenditions(imagePath) {
+  if (!isProcessedImage(imagePath)) {
+    return Object.fromEntries(RENDITIONS.map(name => [name, imagePath]));
+  }
+  const [, hash, ext] = path.basename(imagePath).match(PROCESSED_NAME);
+  const dir = path.posix.dirname(imagePath);
+  return Object.fromEntries(RENDITIONS.map(name => [name, `${dir}/${hash}${RENDITION_SUFFIXES[name]}.${ext}`]));
+}
+
+/**
+ * Strips metadata from an uploaded image and produces its renditions.
+ * Resolves to { hash, fileName, files: [{ name, buffer, contentType }] } where fileName is the
+ * original's name. Throws an error with status 400 if the buffer isn't a supported image.
+ */
+export async function processImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw imageError('Could not read the image. Please upload a JPEG, PNG, WebP or GIF file.');
+  }
+  // Keep transparency; everything else becomes a JPEG
+  const ext = metadata.hasAlpha ? 'png' : 'jpg';
+  const contentType = ext === 'png' ? 'image/png' : 'image/jpeg';
+  const hash = hashContent(buffer);
+
+  // rotate() applies the EXIF orientation before the metadata is dropped;
+  // sharp doesn't copy metadata to its output unless asked to
+  const encode = (pipeline) => (ext === 'png' ? pipeline.png({ compressionLevel: 9 }) : pipeline.jpeg({ quality: 85, mozjpeg: true })).toBuffer();
+  const source = sharp(buffer).rotate();
+  const [original, medium, thumbnail] = await Promise.all([
+    encode(source.clone().resize({ width: ORIGINAL_MAX_SIZE, height: ORIGINAL_MAX_SIZE, fit: 'inside', withoutEnlargement: true })),
+    encode(source.clone().resize({ width: MEDIUM_SIZE, height: MEDIUM_SIZE, fit: 'inside', withoutEnlargement: true })),
+    encode(source.clone().resize({ width: THUMB_SIZE, height: THUMB_SIZE, fit: 'cover', position: sharp.strategy.attention })),
+  ]);
+  const buffers = { original, medium, thumbnail };
+
+  return {
+    hash,
+    fileName: `${hash}.${ext}`,
+    files: RENDITIONS.map(name => ({ name: `${hash}${RENDITION_SUFFIXES[name]}.${ext}`, buffer: buffers[name], contentType })),
+  };
+}
@@ -0,0 +1,65 @@
+// Copies every media file from one storage driver to another, e.g. before switching
+// MEDIA_STORAGE from local to s3. Both drivers are configured from the same env
+// (.env file or environment), so set the S3_* and MEDIA_LOCAL_DIR settings for both.
+//
+// Usage: npm run media:migrate -- --from local --to s3 [--delete] [--dry-run]
+//   --delete   remove each file from the source once it was copied
+//   --dry-run  only list what would be copied
+//
+// File names don't change, so events don't need to be updated.
+
+import dotenv from "dotenv";
+import { createStorage, readBody } from "./storage/index.js";
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = { delete: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--from' || arg === '--to') args[arg.slice(2)] = argv[++i];
+    else if (arg === '--delete') args.delete = true;
+    else if (arg === '--dry-run') args.dryRun = true;
+    else throw new Error(`Unknown argument "${arg}".`);
+  }
+  if (!args.from || !args.to) throw new Error('Both --from and --to are required (local or s3).');
+  if (args.from === args.to) throw new Error('--from and --to must be different drivers.');
+  return args;
+}
+
+async function migrate({ from, to, delete: deleteSource, dryRun }) {
+  const source = createStorage({ ...process.env, MEDIA_STORAGE: from });
+  const target = createStorage({ ...process.env, MEDIA_STORAGE: to });
+  const counts = { copied: 0, skipped: 0, failed: 0 };
+
+  for await (const key of source.list()) {
+    try {
+      if (await target.exists(key)) {
+        counts.skipped++;
+      } else if (dryRun) {
+        console.log(`Would copy ${key}`);
+        counts.copied++;
+      } else {
+        const file = await source.get(key);
+        if (!file) continue; // Removed while migrating
+        await target.put(key, await readBody(file.body), file.contentType);
+        console.log(`Copied ${key}`);
+        counts.copied++;
+      }
+      if (deleteSource && !dryRun) await source.remove(key);
+    } catch (error) {
+      console.error(`Error copying ${key}:`, error.message);
+      counts.failed++;
+    }
+  }
+  console.log(`${dryRun ? 'Dry run: ' : ''}${counts.copied} copied, ${counts.skipped} already there, ${counts.failed} failed.`);
+  return counts;
+}
+
+Promise.resolve()
+  .then(() => migrate(parseArgs(process.argv.slice(2))))
+  .then(counts => process.exit(counts.failed > 0 ? 1 : 0))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+// Signed, expiring URLs for media of entries that aren't public.
+// A signed URL is '/uploads/<file>?expires=<unix seconds>&signature=<hmac>'.
+
+import crypto from "crypto";
+import path from "path";
+
+// Read lazily: this module is imported before server.js loads the .env file.
+// All backend replicas need the same secret, so set MEDIA_URL_SECRET (or JWT_SECRET) when running several.
+let mediaSecret = null;
+function getMediaSecret() {
+  if (!mediaSecret) {
+    mediaSecret = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+    if (!mediaSecret) {
+      console.warn("MEDIA_URL_SECRET is not set. Using a random secret; signed media URLs stop working when the server restarts.");
+      mediaSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+  return mediaSecret;
+}
+
+const ttlSeconds = () => parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 3600;
+
+const signatureFor = (fileName, expires) =>
+  crypto.createHmac('sha256', getMediaSecret()).update(`${fileName}:${expires}`).digest('base64url');
+
+/**
+ * Adds an expiry and signature to a media path. The expiry is rounded up to whole
+ * MEDIA_URL_TTL_SECONDS windows (so it is between one and two windows away), which
+ * keeps handing out the same URL for a while and lets browsers cache the file.
+ */
+export function signMediaPath(mediaPath, now = Date.now()) {
+  const ttl = ttlSeconds();
+  const expires = (Math.floor(now / 1000 / ttl) + 2) * ttl;
+  return `${mediaPath}?expires=${expires}&signature=${signatureFor(path.basename(mediaPath), expires)}`;
+}
+
+// Seconds a signed URL for the file is still valid for, or 0 if the signature is missing, wrong or expired
+export function verifyMediaSignature(fileName, expires, signature, now = Date.now()) {
+  if (typeof expires !== 'string' || typeof signature !== 'string') return 0;
+  const remaining = parseInt(expires, 10) - Math.floor(now / 1000);
+  if (!(remaining > 0)) return 0;
+  const expected = Buffer.from(signatureFor(fileName, expires));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? remaining : 0;
+}
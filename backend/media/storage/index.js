@@ -0,0 +1,53 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { createLocalStorage } from "./localStorage.js";
+import { createS3Storage } from "./s3Storage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_UPLOADS_DIR = path.join(__dirname, '..', '..', 'uploads');
+
+/**
+ * Creates the media storage selected by env config. Keys are plain file names. Every driver implements:
+ *   put(key, buffer, contentType)
+ *   get(key)     -> { body: readable stream, contentType, size } or null if there is no such file
+ *   exists(key)  -> boolean
+ *   remove(key)  -> false if there was nothing to remove
+ *   list()       -> async iterator over all keys
+ *
+ * MEDIA_STORAGE: "local" (default) or "s3"
+ * MEDIA_LOCAL_DIR: directory for the local driver (defaults to backend/uploads)
+ * S3_BUCKET, S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE, S3_PREFIX:
+ *   settings for the s3 driver (S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for MinIO)
+ */
+export function createStorage(env = process.env) {
+  const driver = (env.MEDIA_STORAGE || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ dir: env.MEDIA_LOCAL_DIR ? path.resolve(env.MEDIA_LOCAL_DIR) : DEFAULT_UPLOADS_DIR });
+    case 's3': {
+      if (!env.S3_BUCKET) {
+        throw new Error('S3_BUCKET is required for the "s3" media storage.');
+      }
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        endpoint: env.S3_ENDPOINT,
+        region: env.S3_REGION || 'us-east-1',
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+        prefix: env.S3_PREFIX || '',
+      });
+    }
+    default:
+      throw new Error(`Unknown MEDIA_STORAGE "${driver}". Use local or s3.`);
+  }
+}
+
+// Reads a stored file's body into a Buffer
+export async function readBody(body) {
+  const chunks = [];
+  for await (const chunk of body) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
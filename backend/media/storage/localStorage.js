@@ -0,0 +1,61 @@
+import fs from "fs";
+import path from "path";
+import { contentTypeFor } from "./contentTypes.js";
+
+// Stores media files in a directory on this machine (only works with a single backend replica)
+export function createLocalStorage({ dir }) {
+  if (!fs.existsSync(dir)) {
+    console.log(`Creating uploads directory at: ${dir}`);
+    fs.mkdirSync(dir, { recursive: true });
+  } else {
+    console.log(`Uploads directory already exists at: ${dir}`);
+  }
+
+  // Only use the file name to make sure we never leave the uploads directory
+  const filePath = (key) => path.join(dir, path.basename(key));
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      await fs.promises.writeFile(filePath(key), buffer);
+    },
+
+    async get(key) {
+      try {
+        const stats = await fs.promises.stat(filePath(key));
+        if (!stats.isFile()) return null;
+        return { body: fs.createReadStream(filePath(key)), contentType: contentTypeFor(key), size: stats.size };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async exists(key) {
+      try {
+        return (await fs.promises.stat(filePath(key))).isFile();
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+
+    async *list() {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isFile() && !entry.name.startsWith('.')) yield entry.name;
+      }
+    },
+  };
+}
@@ -0,0 +1,87 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  HeadBucketCommand,
+  CreateBucketCommand,
+} from "@aws-sdk/client-s3";
+import { contentTypeFor } from "./contentTypes.js";
+
+const isNotFound = (err) => err?.name === 'NotFound' || err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404;
+
+// Stores media files in an S3-compatible bucket (AWS S3, MinIO, ...), shared by all backend replicas
+export function createS3Storage({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+
+  // Creates the bucket on first use if it doesn't exist (handy with a fresh MinIO container)
+  let bucketReady = null;
+  const ensureBucket = () => {
+    if (!bucketReady) {
+      bucketReady = client.send(new HeadBucketCommand({ Bucket: bucket }))
+        .catch(async (err) => {
+          if (!isNotFound(err)) throw err;
+          console.log(`Creating S3 bucket "${bucket}".`);
+          await client.send(new CreateBucketCommand({ Bucket: bucket }));
+        })
+        .catch((err) => {
+          bucketReady = null; // Try again on the next call
+          throw err;
+        });
+    }
+    return bucketReady;
+  };
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, contentType = contentTypeFor(key)) {
+      await ensureBucket();
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: objectKey(key), Body: buffer, ContentType: contentType }));
+    },
+
+    async get(key) {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { body: response.Body, contentType: response.ContentType || contentTypeFor(key), size: response.ContentLength };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) return false;
+        throw err;
+      }
+    },
+
+    // S3 doesn't say whether the object existed, so this always resolves to true
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return true;
+    },
+
+    async *list() {
+      await ensureBucket();
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix || undefined, ContinuationToken }));
+        for (const object of page.Contents || []) yield object.Key.slice(prefix.length);
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+  };
+}
@@ -0,0 +1,181 @@
+import mongoose from "mongoose";
+import { escapeRegExp } from "../events/search.js";
+
+// How a person may appear in the book:
+//   public      shown by name
+//   anonymized  shown as "Anonymous #N" to everyone below moderator
+//   opted-out   like anonymized, and they can't be added to entries any more
+export const CONSENT_LEVELS = ['public', 'anonymized', 'opted-out'];
+
+// Names are matched without regard to case or repeated whitespace
+export const normalizeName = (name) => String(name || '').normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// --- Person Schema ---
+// Events store people as plain names; a Person ties a name and its aliases together.
+const PersonSchema = new mongoose.Schema({
+  displayName: { type: String, required: [true, 'Display name is required.'], trim: true },
+  aliases: [{ type: String, trim: true }],
+  // Normalized display name and aliases; no two people may share one
+  keys: { type: [String], index: { unique: true } },
+  consent: { type: String, enum: CONSENT_LEVELS, default: 'public' },
+  consentNote: { type: String }, // e.g. how and when consent was given or withdrawn
+  anonymousNumber: { type: Number }, // Stable number for the "Anonymous #N" placeholder
+}, { timestamps: true });
+
+PersonSchema.pre('validate', function () {
+  this.aliases = [...new Set((this.aliases || []).map(alias => alias.trim()).filter(Boolean))];
+  this.keys = [...new Set([this.displayName, ...this.aliases].map(normalizeName).filter(Boolean))];
+});
+
+PersonSchema.virtual('placeholder').get(function () {
+  return this.anonymousNumber ? `Anonymous #${this.anonymousNumber}` : 'Anonymous';
+});
+
+PersonSchema.set('toJSON', { virtuals: true });
+
+// Any change to people makes the cached directory (see loadPeopleDirectory) stale
+PersonSchema.post('save', () => invalidatePeopleDirectory());
+PersonSchema.post(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], () => invalidatePeopleDirectory());
+PersonSchema.post('insertMany', () => invalidatePeopleDirectory());
+// syncPeople runs on every event save; it only changes something when it adds a person
+PersonSchema.post('bulkWrite', (result) => {
+  if (!result || result.upsertedCount || result.insertedCount || result.modifiedCount || result.deletedCount) invalidatePeopleDirectory();
+});
+
+export const Person = mongoose.model("Person", PersonSchema);
+// --- End Person Schema ---
+
+// Gives a person the next free placeholder number (numbers are never reused)
+export async function assignAnonymousNumber(person) {
+  if (person.anonymousNumber) return;
+  const last = await Person.findOne({ anonymousNumber: { $exists: true } }).sort({ anonymousNumber: -1 });
+  person.anonymousNumber = (last?.anonymousNumber || 0) + 1;
+}
+
+// Creates Person records for names that don't match anyone yet
+export async function syncPeople(names = []) {
+  const byKey = new Map();
+  names.forEach(name => {
+    const key = normalizeName(name);
+    if (key && !byKey.has(key)) byKey.set(key, name.trim());
+  });
+  if (byKey.size === 0) return;
+  await Person.bulkWrite([...byKey].map(([key, displayName]) => ({
+    updateOne: {
+      filter: { keys: key },
+      update: { $setOnInsert: { displayName, keys: [key], aliases: [], consent: 'public' } },
+      upsert: true,
+    },
+  })), { ordered: false });
+}
+
+// Regex matching any of the names as whole words, longest first (so "Bob Smith" wins over "Bob")
+function namesPattern(names) {
+  const sorted = [...names].filter(Boolean).sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${sorted.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Almost every request needs the directory, so it is loaded once and kept until a Person is written
+// (the schema hooks above). The age limit bounds how stale it gets when other processes share the database.
+const DIRECTORY_MAX_AGE_MS = 60 * 1000;
+let cachedDirectory = null; // { loaded: Promise of the directory, at: timestamp }
+
+export function invalidatePeopleDirectory() {
+  cachedDirectory = null;
+}
+
+/**
+ * The people directory: every person, with name lookups and redaction. Shared between requests
+ * (see DIRECTORY_MAX_AGE_MS), so callers must not change it.
+ */
+export function loadPeopleDirectory() {
+  if (!cachedDirectory || Date.now() - cachedDirectory.at > DIRECTORY_MAX_AGE_MS) {
+    const entry = {
+      at: Date.now(),
+      loaded: buildPeopleDirectory().catch(error => {
+        if (cachedDirectory === entry) cachedDirectory = null; // Try again on the next request
+        throw error;
+      }),
+    };
+    cachedDirectory = entry;
+  }
+  return cachedDirectory.loaded;
+}
+
+async function buildPeopleDirectory() {
+  const people = await Person.find();
+  const byKey = new Map();
+  people.forEach(person => person.keys.forEach(key => byKey.set(key, person)));
+  const redacted = people.filter(person => person.consent !== 'public' && person.anonymousNumber);
+  const byPlaceholder = new Map(redacted.map(person => [normalizeName(person.placeholder), person]));
+  // One pattern per redacted person for scrubbing free text
+  const textPatterns = redacted.map(person => ({
+    pattern: namesPattern([person.displayName, ...person.aliases]),
+    placeholder: person.placeholder,
+  }));
+
+  const redactedWords = new Set(redacted.flatMap(person => person.keys.flatMap(key => key.split(' '))));
+
+  const find = (name) => byKey.get(normalizeName(name)) || byPlaceholder.get(normalizeName(name)) || null;
+
+  const scrubText = (text) => typeof text === 'string'
+    ? textPatterns.reduce((result, { pattern, placeholder }) => result.replace(pattern, placeholder), text)
+    : text;
+
+  return {
+    find,
+
+    // True for the real name or alias of someone who is shown as a placeholder
+    isRedactedName: (name) => {
+      const person = byKey.get(normalizeName(name));
+      return Boolean(person && person.consent !== 'public');
+    },
+
+    // True if a single word is part of a redacted name (used to keep searches from revealing them)
+    isRedactedWord: (word) => redactedWords.has(normalizeName(word)),
+
+    // Names of people who opted out, except people already named in `existing`
+    optedOut: (names = [], existing = []) => {
+      const alreadyNamed = new Set(existing.map(find).filter(Boolean));
+      return names.filter(name => find(name)?.consent === 'opted-out' && !alreadyNamed.has(find(name)));
+    },
+
+    // Turns "Anonymous #N" placeholders (e.g. from an edit form) back into the stored name
+    unredactNames: (names = []) => names.map(name => byPlaceholder.get(normalizeName(name))?.displayName || name),
+
+    // Same for placeholders in a title or description ("Anonymous #12" before "Anonymous #1")
+    unredactText: (text) => typeof text === 'string'
+      ? [...redacted].sort((a, b) => b.anonymousNumber - a.anonymousNumber).reduce((result, person) => result.split(person.placeholder).join(person.displayName), text)
+      : text,
+
+    // Every stored name a filter value may stand for (display name, aliases, or the person behind a placeholder)
+    expandName: (name) => {
+      const person = find(name);
+      return person ? [person.displayName, ...person.aliases] : [name];
+    },
+
+    /**
+     * Returns a copy of a plain event object as people without consent may see it:
+     * names in `people` become the person's display name or placeholder, and
+     * redacted names are replaced in the title, description and image captions too.
+     */
+    redactEvent: (event) => {
+      const people = (event.people || []).map(name => {
+        const person = find(name);
+        if (!person) return name;
+        return person.consent === 'public' ? person.displayName : person.placeholder;
+      });
+      return {
+        ...event,
+        people: [...new Set(people)],
+        title: scrubText(event.title),
+        description: scrubText(event.description),
+        ...(Array.isArray(event.images) && {
+          images: event.images.map(image => (image && typeof image === 'object'
+            ? { ...image, caption: scrubText(image.caption), alt: scrubText(image.alt) }
+            : image)),
+        }),
+      };
+    },
+  };
+}
@@ -0,0 +1,64 @@
+// Person profiles for GET /api/people/:name/profile: everything the entries say about one person.
+
+import { escapeRegExp } from "../events/search.js";
+import { normalizeName } from "./person.js";
+
+// People named together with someone and tags shown on a profile
+const MAX_CO_PEOPLE = 20;
+const MAX_TAGS = 10;
+
+// Matches a stored name regardless of case and of extra or repeated whitespace
+export function nameVariantPattern(name) {
+  const words = String(name).trim().split(/\s+/).map(escapeRegExp);
+  return new RegExp(`^\\s*${words.join('\\s+')}\\s*$`, 'i');
+}
+
+// Key -> first value with that key
+function firstByKey(values, key) {
+  const result = new Map();
+  values.forEach(value => { if (!result.has(key(value))) result.set(key(value), value); });
+  return result;
+}
+
+// Map of key -> { label, count } -> [{ <field>: label, count }], most frequent first
+const ranked = (counts, field, limit) => [...counts.values()]
+  .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+  .slice(0, limit)
+  .map(({ label, count }) => ({ [field]: label, count }));
+
+/**
+ * Summary of a person's events (oldest first, as presented to the user). `label(name)` gives the
+ * name to show for a stored name (see personLabel in server.js); `name` is the person's own label.
+ *   -> { name, count, first, last, coPeople: [{ name, count }], tags: [{ tag, count }] }
+ */
+export function personProfile(events, { label, name }) {
+  const ownKey = normalizeName(name);
+  const coPeople = new Map();
+  const tags = new Map();
+
+  events.forEach(event => {
+    // Each person and tag counts once per event, whatever spellings the event uses
+    const others = firstByKey((event.people || []).map(label), normalizeName);
+    others.delete(ownKey);
+    others.forEach((other, key) => {
+      const entry = coPeople.get(key) || { label: other, count: 0 };
+      entry.count++;
+      coPeople.set(key, entry);
+    });
+
+    firstByKey(event.tags || [], tag => tag.toLowerCase()).forEach((tag, key) => {
+      const entry = tags.get(key) || { label: tag, count: 0 };
+      entry.count++;
+      tags.set(key, entry);
+    });
+  });
+
+  return {
+    name,
+    count: events.length,
+    first: events[0]?.date ?? null,
+    last: events[events.length - 1]?.date ?? null,
+    coPeople: ranked(coPeople, 'name', MAX_CO_PEOPLE),
+    tags: ranked(tags, 'tag', MAX_TAGS),
+  };
+}
@@ -0,0 +1,178 @@
+import express from "express";
+import mongoose from "mongoose";
+import { Person, CONSENT_LEVELS, assignAnonymousNumber, normalizeName } from "./person.js";
+import { Event } from "../events/event.js";
+import { Revision } from "../events/revision.js";
+import { escapeRegExp } from "../events/search.js";
+import { requirePermission } from "../auth/middleware.js";
+import { recordAudit } from "../audit/auditLog.js";
+
+// Consent and name management for people named in entries, mounted at /api/people (after requireAuth)
+const router = express.Router();
+
+const REMOVED_TEXT = "[removed]";
+
+function sendPersonSaveError(res, error) {
+  if (error.code === 11000) {
+    return res.status(409).json({ message: "That name or alias already belongs to someone else." });
+  }
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(e => e.message);
+    return res.status(400).json({ message: "Validation Error", errors: messages });
+  }
+  res.status(500).json({ message: "Server error saving person.", error: error.message });
+}
+
+// Replaces matches in every string inside a value (arrays and plain objects are walked)
+function scrubValue(value, pattern) {
+  if (typeof value === 'string') return value.replace(pattern, REMOVED_TEXT);
+  if (Array.isArray(value)) return value.map(item => scrubValue(item, pattern));
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrubValue(item, pattern)]));
+  }
+  return value;
+}
+
+// Loads the person for :id, or sends a 400/404 and resolves to null
+async function findPerson(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid person id." });
+    return null;
+  }
+  const person = await Person.findById(req.params.id);
+  if (!person) res.status(404).json({ message: "Person not found." });
+  return person;
+}
+
+// GET /api/people - Everyone named in entries, with consent and number of entries
+router.get("/", requirePermission('people:manage'), async (req, res) => {
+  try {
+    const [people, nameCounts] = await Promise.all([
+      Person.find().sort({ displayName: 1 }),
+      Event.aggregate([{ $unwind: "$people" }, { $group: { _id: "$people", count: { $sum: 1 } } }]),
+    ]);
+    const countByKey = new Map();
+    nameCounts.forEach(({ _id, count }) => {
+      const key = normalizeName(_id);
+      countByKey.set(key, (countByKey.get(key) || 0) + count);
+    });
+    res.json({
+      people: people.map(person => ({
+        ...person.toJSON(),
+        eventCount: person.keys.reduce((sum, key) => sum + (countByKey.get(key) || 0), 0),
+      })),
+      consentLevels: CONSENT_LEVELS,
+    });
+  } catch (error) {
+    console.error("Error fetching people:", error);
+    res.status(500).json({ message: "Server error fetching people.", error: error.message });
+  }
+});
+
+// PATCH /api/people/:id - Change display name, aliases or consent
+// Body: { displayName, aliases: [..] or "a, b", consent, consentNote }
+router.patch("/:id", requirePermission('people:manage'), async (req, res) => {
+  try {
+    const person = await findPerson(req, res);
+    if (!person) return;
+    const { displayName, aliases, consent, consentNote } = req.body;
+    const previousConsent = person.consent;
+
+    if (displayName !== undefined) person.displayName = displayName;
+    if (aliases !== undefined) {
+      person.aliases = Array.isArray(aliases) ? aliases.map(String) : String(aliases).split(",");
+    }
+    if (consentNote !== undefined) person.consentNote = consentNote;
+    if (consent !== undefined) {
+      if (!CONSENT_LEVELS.includes(consent)) {
+        return res.status(400).json({ message: `Consent must be one of: ${CONSENT_LEVELS.join(', ')}.` });
+      }
+      person.consent = consent;
+    }
+    if (person.consent !== 'public') await assignAnonymousNumber(person);
+
+    const savedPerson = await person.save();
+    if (savedPerson.consent !== previousConsent) {
+      await recordAudit({
+        action: 'person.consent',
+        actor: req.user,
+        targetType: 'Person',
+        targetId: savedPerson._id,
+        details: { from: previousConsent, to: savedPerson.consent, note: savedPerson.consentNote },
+      });
+    }
+    console.log(`"${req.user.username}" updated person ${savedPerson._id} (${savedPerson.consent}).`);
+    res.json(savedPerson);
+  } catch (error) {
+    console.error("Error updating person:", error);
+    sendPersonSaveError(res, error);
+  }
+});
+
+// POST /api/people/:id/forget - Right to be forgotten: removes the person from every entry
+// (people lists, and their names in titles, descriptions and image captions) and from the revision history
+// of all entries, and deletes their record.
+// The audit entry only keeps counts, never the name.
+router.post("/:id/forget", requirePermission('people:forget'), async (req, res) => {
+  try {
+    const person = await findPerson(req, res);
+    if (!person) return;
+
+    const names = [person.displayName, ...person.aliases];
+    const keys = new Set(person.keys);
+    const anyName = new RegExp(names.map(escapeRegExp).join('|'), 'i');
+    const wholeName = new RegExp(`(?<![\\p{L}\\p{N}])(?:${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+    // Regex on the database narrows the candidates; whole-name matching is done here
+    const events = await Event.find({
+      $or: ['people', 'title', 'description', 'images.caption', 'images.alt'].map(field => ({ [field]: anyName })),
+    });
+    let eventsChanged = 0;
+    for (const event of events) {
+      const people = event.people.filter(name => !keys.has(normalizeName(name)));
+      const title = event.title.replace(wholeName, REMOVED_TEXT);
+      const description = event.description?.replace(wholeName, REMOVED_TEXT);
+      const images = event.images.map(image => ({
+        ...image.toObject(),
+        caption: image.caption?.replace(wholeName, REMOVED_TEXT),
+        alt: image.alt?.replace(wholeName, REMOVED_TEXT),
+      }));
+      const imagesChanged = images.some((image, index) => image.caption !== event.images[index].caption || image.alt !== event.images[index].alt);
+      if (people.length === event.people.length && title === event.title && description === event.description && !imagesChanged) continue;
+      // Skip validation and timestamps: this is a data removal, not an edit
+      await Event.updateOne({ _id: event._id }, { $set: { people, title, description, images } }, { timestamps: false });
+      eventsChanged++;
+    }
+
+    // Old revisions may still name them, even where a later edit already took them out
+    const revisions = await Revision.find({
+      $or: ['snapshot.people', 'snapshot.title', 'snapshot.description', 'snapshot.images.caption', 'snapshot.images.alt',
+        'changes.from', 'changes.to', 'changes.from.caption', 'changes.from.alt', 'changes.to.caption', 'changes.to.alt']
+        .map(field => ({ [field]: anyName })),
+    }).lean();
+    let revisionsChanged = 0;
+    for (const revision of revisions) {
+      const snapshot = scrubValue(revision.snapshot, wholeName);
+      const changes = scrubValue(revision.changes, wholeName);
+      if (JSON.stringify({ snapshot, changes }) === JSON.stringify({ snapshot: revision.snapshot, changes: revision.changes })) continue;
+      await Revision.updateOne({ _id: revision._id }, { $set: { snapshot, changes } });
+      revisionsChanged++;
+    }
+    await Person.deleteOne({ _id: person._id });
+
+    await recordAudit({
+      action: 'person.forget',
+      actor: req.user,
+      targetType: 'Person',
+      targetId: person._id,
+      details: { eventsChanged, revisionsChanged, namesRemoved: names.length },
+    });
+    console.log(`"${req.user.username}" removed person ${person._id} from ${eventsChanged} events.`);
+    res.json({ message: "Person removed from all entries.", _id: person._id, eventsChanged, revisionsChanged });
+  } catch (error) {
+    console.error("Error forgetting person:", error);
+    res.status(500).json({ message: "Server error removing person.", error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,113 @@
+// Static map images for printed reports: tiles of the configured map layer around a point,
+// stitched together with sharp and marked with a pin.
+
+import axios from "axios";
+import sharp from "sharp";
+
+const TILE_SIZE = 256;
+const BACKGROUND = '#e5e3df'; // Shown where tiles are missing
+
+// Position of a point in pixels on the whole world map at `zoom` (Web Mercator)
+function worldPixel([lon, lat], zoom) {
+  const size = TILE_SIZE * 2 ** zoom;
+  const latRad = Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI / 180;
+  return {
+    x: (lon + 180) / 360 * size,
+    y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * size,
+  };
+}
+
+const stripHtml = (text) => String(text || '').replace(/<[^>]*>/g, '').replace(/&copy;/g, '©');
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Pin at the center and the tile attribution in the corner, drawn over the map
+function overlaySvg(width, height, attribution) {
+  const cx = width / 2;
+  const cy = height / 2;
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <path d="M ${cx} ${cy} l -9 -16 a 11 11 0 1 1 18 0 z" fill="#d63e2a" stroke="#fff" stroke-width="2"/>
+  <circle cx="${cx}" cy="${cy - 22}" r="4" fill="#fff"/>
+  ${attribution ? `<rect x="0" y="${height - 16}" width="${width}" height="16" fill="#fff" fill-opacity="0.7"/>
+  <text x="${width - 4}" y="${height - 4}" font-family="sans-serif" font-size="10" text-anchor="end" fill="#333">${escapeXml(attribution)}</text>` : ''}
+</svg>`);
+}
+
+/**
+ * Renders static maps from a tile layer (see tiles/index.js): tiles the backend serves are read
+ * from their source, others are downloaded from the layer's URL. Tiles are kept in memory for the
+ * renderer's lifetime, so create one renderer per report.
+ *   render([lon, lat]) -> PNG buffer, or null if no tile could be loaded
+ */
+export function createStaticMapRenderer({ tileLayer, userAgent, width = 600, height = 300, zoom = 14 }) {
+  const mapZoom = Math.min(zoom, tileLayer.maxZoom ?? zoom);
+  const subdomains = tileLayer.subdomains || 'abc';
+  const attribution = stripHtml(tileLayer.attribution);
+  const tiles = new Map(); // "z/x/y" -> Promise of a Buffer or null
+
+  async function fetchTile(z, x, y) {
+    if (tileLayer.source) {
+      return (await tileLayer.source.getTile(z, x, y))?.data || null;
+    }
+    const url = tileLayer.url
+      .replace('{s}', subdomains[(x + y) % subdomains.length])
+      .replace('{z}', z).replace('{x}', x).replace('{y}', y)
+      .replace('{r}', '');
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 10000,
+      headers: { 'User-Agent': userAgent },
+    });
+    return Buffer.from(response.data);
+  }
+
+  function getTile(z, x, y) {
+    const key = `${z}/${x}/${y}`;
+    if (!tiles.has(key)) {
+      tiles.set(key, fetchTile(z, x, y).catch(error => {
+        console.error(`Error loading map tile ${key}:`, error.message);
+        return null;
+      }));
+    }
+    return tiles.get(key);
+  }
+
+  return {
+    async render(coordinates) {
+      const center = worldPixel(coordinates, mapZoom);
+      const left = Math.round(center.x - width / 2);
+      const top = Math.round(center.y - height / 2);
+      const tileCount = 2 ** mapZoom;
+      const firstX = Math.floor(left / TILE_SIZE);
+      const firstY = Math.floor(top / TILE_SIZE);
+      const lastX = Math.floor((left + width - 1) / TILE_SIZE);
+      const lastY = Math.floor((top + height - 1) / TILE_SIZE);
+
+      // Whole tiles go onto a larger canvas first (sharp can't place images at negative offsets)
+      const composites = [];
+      for (let ty = firstY; ty <= lastY; ty++) {
+        if (ty < 0 || ty >= tileCount) continue;
+        for (let tx = firstX; tx <= lastX; tx++) {
+          const tile = await getTile(mapZoom, ((tx % tileCount) + tileCount) % tileCount, ty); // Wraps around the date line
+          if (tile) composites.push({ input: tile, left: (tx - firstX) * TILE_SIZE, top: (ty - firstY) * TILE_SIZE });
+        }
+      }
+      if (composites.length === 0) return null;
+
+      const canvas = await sharp({
+        create: {
+          width: (lastX - firstX + 1) * TILE_SIZE,
+          height: (lastY - firstY + 1) * TILE_SIZE,
+          channels: 4,
+          background: BACKGROUND,
+        },
+      }).composite(composites).png().toBuffer();
+
+      return sharp(canvas)
+        .extract({ left: left - firstX * TILE_SIZE, top: top - firstY * TILE_SIZE, width, height })
+        .composite([{ input: overlaySvg(width, height, attribution), left: 0, top: 0 }])
+        .png()
+        .toBuffer();
+    },
+  };
+}
@@ -0,0 +1,167 @@
+// The printable yearbook: a self-contained HTML document (images are embedded) with a title page,
+// one page per event and index pages linking to every person's and tag's events.
+// Browsers print it page by page, e.g. to PDF. An event may take more than one printed page, so page
+// numbers are left to the printer: the page margins (@page) and, where supported, target-counter() in the index.
+
+import path from "path";
+import { imageRenditions } from "../media/images.js";
+import { readBody } from "../media/storage/index.js";
+
+// Images shown per event page
+export const IMAGES_PER_EVENT = 2;
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const dataUri = (buffer, contentType) => `data:${contentType};base64,${buffer.toString('base64')}`;
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC',
+});
+
+const STYLES = `
+  @page { size: A4; margin: 15mm; @bottom-center { content: counter(page); font-size: 9pt; color: #777; } }
+  * { box-sizing: border-box; }
+  body { font-family: Georgia, 'Times New Roman', serif; color: #222; margin: 0; background: #eee; }
+  .page { background: #fff; width: 210mm; min-height: 297mm; margin: 10mm auto; padding: 15mm; position: relative;
+    box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); page-break-after: always; break-after: page; }
+  .page:last-child { page-break-after: auto; break-after: auto; }
+  .title-page { display: flex; flex-direction: column; justify-content: center; text-align: center; }
+  .title-page h1 { font-size: 36pt; margin-bottom: 5mm; }
+  h2 { font-size: 20pt; margin: 0 0 2mm; }
+  .event-date { font-style: italic; color: #555; margin: 0 0 5mm; }
+  .event-description { white-space: pre-line; line-height: 1.5; }
+  .event-map { width: 100%; border: 1px solid #ccc; margin: 3mm 0; }
+  .event-address { font-size: 10pt; color: #555; margin: 0 0 3mm; }
+  .event-images { display: flex; gap: 4mm; margin: 4mm 0; }
+  .event-images figure { flex: 1; margin: 0; }
+  .event-images img { width: 100%; max-height: 80mm; object-fit: contain; }
+  .event-images figcaption { font-size: 9pt; color: #555; text-align: center; }
+  .meta { font-size: 10pt; margin: 2mm 0; }
+  .index { columns: 2; column-gap: 10mm; font-size: 10pt; }
+  .index-entry { break-inside: avoid; margin-bottom: 3mm; }
+  .index-entry ul { list-style: none; margin: 0; padding-left: 4mm; }
+  .index-entry a::after { content: ", p. " target-counter(attr(href url), page); }
+  a { color: inherit; text-decoration: none; }
+  @media print {
+    body { background: none; }
+    .page { margin: 0; width: auto; min-height: auto; box-shadow: none; padding: 0; }
+  }
+`;
+
+// Name -> events for a list field (people or tags), sorted by name
+function indexBy(events, field) {
+  const entries = new Map();
+  events.forEach(event => {
+    for (const value of new Set(event[field] || [])) {
+      if (!entries.has(value)) entries.set(value, []);
+      entries.get(value).push(event);
+    }
+  });
+  return [...entries.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+// Entries link to the event pages and give the date, which is how the pages are ordered
+function indexPage(title, entries) {
+  const items = entries.map(([name, references]) => `
+      <div class="index-entry">
+        <strong>${escapeHtml(name)}</strong>
+        <ul>
+          ${references.map(event => `<li>${formatDay(event.date)}: <a href="#event-${event._id}">${escapeHtml(event.title)}</a></li>`).join('\n          ')}
+        </ul>
+      </div>`).join('');
+  return `
+  <section class="page">
+    <h2>${escapeHtml(title)}</h2>
+    <div class="index">${items || '<p>None.</p>'}</div>
+  </section>`;
+}
+
+function eventPage(event, { map, images, baseUrl }) {
+  const people = event.people?.length ? `<p class="meta"><strong>People:</strong> ${event.people.map(escapeHtml).join(', ')}</p>` : '';
+  const tags = event.tags?.length ? `<p class="meta"><strong>Tags:</strong> ${event.tags.map(escapeHtml).join(', ')}</p>` : '';
+  const figures = images.map(image => `
+      <figure>
+        <img src="${dataUri(image.data, image.contentType)}" alt="${escapeHtml(image.alt || image.caption || event.title)}" />
+        ${image.caption ? `<figcaption>${escapeHtml(image.caption)}</figcaption>` : ''}
+      </figure>`).join('');
+  return `
+  <section class="page" id="event-${event._id}">
+    <h2><a href="${escapeHtml(`${baseUrl}/events/${event._id}`)}">${escapeHtml(event.title || 'Untitled Event')}</a></h2>
+    <p class="event-date">${formatDay(event.date)}</p>
+    ${event.description ? `<div class="event-description">${escapeHtml(event.description)}</div>` : ''}
+    ${people}
+    ${tags}
+    ${figures ? `<div class="event-images">${figures}</div>` : ''}
+    ${map ? `<img class="event-map" src="${dataUri(map, 'image/png')}" alt="Map of ${escapeHtml(event.location.address)}" />` : ''}
+    <p class="event-address">${escapeHtml(event.location.address)} (${event.location.coordinates[1].toFixed(5)}, ${event.location.coordinates[0].toFixed(5)})</p>
+  </section>`;
+}
+
+/**
+ * The yearbook as an HTML string. `events` are sorted by date and already redacted for the user;
+ * `maps` holds a PNG buffer per event id and `images` a list of { data, contentType, caption, alt }.
+ */
+function renderYearbook({ title, subtitle, events, maps, images, baseUrl, siteName }) {
+  const eventPages = events.map(event => eventPage(event, {
+    map: maps.get(String(event._id)),
+    images: images.get(String(event._id)) || [],
+    baseUrl,
+  }));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <section class="page title-page">
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(subtitle)}</p>
+    <p>${events.length} ${events.length === 1 ? 'entry' : 'entries'} · ${escapeHtml(siteName)}</p>
+  </section>
+  ${eventPages.join('\n')}
+  ${indexPage('Index of People', indexBy(events, 'people'))}
+  ${indexPage('Index of Tags', indexBy(events, 'tags'))}
+</body>
+</html>
+`;
+}
+
+/**
+ * Loads what the pages show and renders the yearbook. Images are the medium renditions read from
+ * `storage` (see media/storage/index.js); maps come from `mapRenderer` (see reports/staticMap.js).
+ * Events whose map or images can't be loaded are printed without them.
+ */
+export async function createYearbook(events, { storage, mapRenderer, ...options }) {
+  const maps = new Map();
+  const images = new Map();
+  // One event after another, so tiles shared by nearby events are only loaded once
+  for (const event of events) {
+    const id = String(event._id);
+    try {
+      const map = await mapRenderer.render(event.location.coordinates);
+      if (map) maps.set(id, map);
+    } catch (error) {
+      console.error(`Error rendering map for event ${id}:`, error.message);
+    }
+
+    const loaded = [];
+    for (const image of (event.images || []).slice(0, IMAGES_PER_EVENT)) {
+      try {
+        const file = await storage.get(path.basename(imageRenditions(image.path).medium));
+        if (file) loaded.push({ data: await readBody(file.body), contentType: file.contentType, caption: image.caption, alt: image.alt });
+      } catch (error) {
+        console.error(`Error loading image ${image.path} for event ${id}:`, error.message);
+      }
+    }
+    images.set(id, loaded);
+  }
+  return renderYearbook({ events, maps, images, ...options });
+}
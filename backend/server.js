@@ -5,8 +5,32 @@ import path from "path";
 import { fileURLToPath } from "url";
 import cors from "cors";
 import dotenv from "dotenv";
-import axios from "axios";
-import fs from 'fs'; // Import fs for checking directory
+import { pipeline } from "stream/promises";
+import { readFile } from "fs/promises";
+import { createGeocoder } from "./geocoding/index.js";
+import { withGeocodeCache } from "./geocoding/cache.js";
+import { parseEventQuery, parseList, encodeCursor } from "./events/query.js";
+import { highlightEvent } from "./events/search.js";
+import { injectOpenGraphTags } from "./events/openGraph.js";
+import { parseImport, parseMapping, geocodeRows, duplicateKey } from "./events/import.js";
+import { EXPORT_FORMATS, toGeoJson, toKml, toCsv, toIcs, createZipExport } from "./events/export.js";
+import { parseStatsLimit, peopleStats, tagStats, timelineStats, dayStats, locationStats, personCounts, tagCounts } from "./events/stats.js";
+import { Event, EVENT_STATUSES, AUTHOR_FIELDS, MAX_IMAGES } from "./events/event.js";
+import { Revision, recordRevision, snapshotEvent } from "./events/revision.js";
+import { processImage, imageRenditions, isProcessedImage, originalFileName } from "./media/images.js";
+import { createStorage, readBody } from "./media/storage/index.js";
+import { verifyMediaSignature } from "./media/signedUrls.js";
+import { createTileLayers, publicTileLayer } from "./tiles/index.js";
+import { createStaticMapRenderer } from "./reports/staticMap.js";
+import { createYearbook } from "./reports/yearbook.js";
+import authRouter from "./auth/routes.js";
+import { requireAuth, requirePermission } from "./auth/middleware.js";
+import { hasPermission, canModifyEvent, canDeleteEvent } from "./auth/permissions.js";
+import userRouter from "./auth/userRoutes.js";
+import { seedAdminUser } from "./auth/user.js";
+import peopleRouter from "./people/routes.js";
+import { loadPeopleDirectory, syncPeople } from "./people/person.js";
+import { nameVariantPattern, personProfile } from "./people/profile.js";
 
 dotenv.config();
 
@@ -18,44 +42,21 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 5000;
-const UPLOADS_DIR = path.join(__dirname, "uploads"); // Define uploads directory path
-
-// --- Ensure Uploads Directory Exists ---
-if (!fs.existsSync(UPLOADS_DIR)){
-    console.log(`Creating uploads directory at: ${UPLOADS_DIR}`);
-    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-} else {
-    console.log(`Uploads directory already exists at: ${UPLOADS_DIR}`);
-}
-
-// --- Event Schema --- (Define before use in seeding/routes)
-const EventSchema = new mongoose.Schema({
-  title: { type: String, required: [true, 'Event title is required.'] },
-  description: { type: String }, // Description field (optional)
-  people: [String],
-  date: { type: Date, required: [true, 'Event date is required.'] },
-  location: {
-    address: { type: String, required: [true, 'Event address is required.'] },
-    // Coordinates: [longitude, latitude] for GeoJSON
-    coordinates: {
-        type: [Number],
-        index: "2dsphere", // Geospatial index
-        required: [true, 'Event coordinates are required after geocoding.'],
-        validate: {
-            validator: function(coords) {
-                // Basic validation: array of 2 numbers
-                return Array.isArray(coords) && coords.length === 2 && typeof coords[0] === 'number' && typeof coords[1] === 'number';
-            },
-            message: 'Coordinates must be an array of two numbers [longitude, latitude].'
-        }
-    },
-  },
-  tags: [String],
-  images: [String], // Store relative paths like '/uploads/filename.jpg'
+
+// --- Geocoder --- (provider chosen via GEOCODER_PROVIDER, see geocoding/index.js)
+// Successful lookups are cached in MongoDB for GEOCODE_CACHE_TTL_DAYS (default 90)
+const geocoder = withGeocodeCache(createGeocoder(), {
+  ttlDays: parseFloat(process.env.GEOCODE_CACHE_TTL_DAYS) || 90,
 });
+console.log(`Using geocoding provider: ${geocoder.name}`);
+
+// --- Media Storage --- (local directory or S3-compatible bucket, see media/storage/index.js)
+const mediaStorage = createStorage();
+console.log(`Using media storage: ${mediaStorage.name}`);
 
-const Event = mongoose.model("Event", EventSchema);
-// --- End Event Schema ---
+// --- Map Tiles --- (public OSM servers, another tile server or tiles served from here, see tiles/index.js)
+const tileLayers = createTileLayers();
+console.log(`Using map tiles: ${tileLayers.map(layer => layer.source ? `${layer.name} (${layer.source.name})` : `${layer.name} (${layer.url})`).join(', ')}`);
 
 // --- Seeding Function ---
 async function seedDatabase() {
@@ -74,7 +75,8 @@ async function seedDatabase() {
             coordinates: [-122.0099, 37.3328] // lon, lat for Apple Park Visitor Center
           },
           tags: ["work", "planning"],
-          images: []
+          images: [],
+          status: "approved" // Dummy data skips the moderation queue
         },
         {
           title: "Project Launch Party @ Eiffel Tower",
@@ -86,7 +88,8 @@ async function seedDatabase() {
             coordinates: [2.2945, 48.8584] // lon, lat for Eiffel Tower
           },
           tags: ["celebration", "social", "paris"],
-          images: []
+          images: [],
+          status: "approved" // Dummy data skips the moderation queue
         },
          {
           title: "Conference Talk @ Moscone Center",
@@ -98,7 +101,8 @@ async function seedDatabase() {
             coordinates: [-122.4013, 37.7837] // lon, lat for Moscone Center
           },
           tags: ["conference", "tech", "sf"],
-          images: []
+          images: [],
+          status: "approved" // Dummy data skips the moderation queue
         },
         {
           title: "Central Park Picnic",
@@ -110,7 +114,8 @@ async function seedDatabase() {
             coordinates: [-73.9742, 40.7749] // lon, lat for Sheep Meadow approx.
           },
           tags: ["social", "park", "nyc"],
-          images: []
+          images: [],
+          status: "approved" // Dummy data skips the moderation queue
         }
       ];
       await Event.insertMany(dummyEvents);
@@ -122,6 +127,90 @@ async function seedDatabase() {
     console.error("Error seeding database:", error);
   }
 }
+
+// Events from before moderation existed were already public: approve them,
+// except those a moderator had hidden with the old "hidden" flag
+async function migrateEventStatus() {
+  try {
+    const collection = Event.collection;
+    const hidden = await collection.updateMany(
+      { status: { $exists: false }, hidden: true },
+      { $set: { status: 'hidden' }, $rename: { hiddenBy: 'moderatedBy', hiddenAt: 'moderatedAt' } }
+    );
+    const approved = await collection.updateMany({ status: { $exists: false } }, { $set: { status: 'approved' } });
+    await collection.updateMany({ hidden: { $exists: true } }, { $unset: { hidden: 1 } });
+    if (hidden.modifiedCount + approved.modifiedCount > 0) {
+      console.log(`Migrated events to moderation status: ${approved.modifiedCount} approved, ${hidden.modifiedCount} hidden.`);
+    }
+  } catch (error) {
+    console.error("Error migrating event status:", error);
+  }
+}
+
+// Creates Person records for names used in entries from before people were tracked
+async function backfillPeople() {
+  try {
+    await syncPeople(await Event.distinct('people'));
+  } catch (error) {
+    console.error("Error creating people records:", error);
+  }
+}
+
+// Images used to be stored as plain paths; turn them into image subdocuments
+async function migrateEventImages() {
+  try {
+    const collection = Event.collection;
+    const events = await collection.find({ images: { $type: 'string' } }, { projection: { images: 1 } }).toArray();
+    for (const event of events) {
+      const images = event.images.map((image, index) => typeof image === 'string'
+        ? { _id: new mongoose.Types.ObjectId(), path: image, order: index }
+        : { ...image, order: index });
+      await collection.updateOne({ _id: event._id }, { $set: { images } });
+    }
+    if (events.length > 0) {
+      console.log(`Migrated images of ${events.length} events to image records.`);
+    }
+  } catch (error) {
+    console.error("Error migrating event images:", error);
+  }
+}
+
+// Uploads from before image processing still carry their EXIF data (including GPS):
+// process them like new uploads and point their events at the new files
+async function processLegacyUploads() {
+  try {
+    const events = await Event.find({ "images.0": { $exists: true } }).select('images');
+    let processed = 0;
+    for (const event of events) {
+      const legacyPaths = event.images.map(image => image.path).filter(imagePath => !isProcessedImage(imagePath));
+      if (legacyPaths.length === 0) continue;
+      for (const image of event.images) {
+        if (isProcessedImage(image.path)) continue;
+        try {
+          const file = await mediaStorage.get(path.basename(image.path));
+          if (!file) throw new Error('File not found.');
+          const processedImage = await processImage(await readBody(file.body));
+          await writeImageFiles(processedImage);
+          image.path = `/uploads/${processedImage.fileName}`;
+          processed++;
+        } catch (error) {
+          console.error(`Could not process legacy upload ${image.path}:`, error.message);
+        }
+      }
+      // Keep the first of any images that turned out to be the same
+      const images = event.images
+        .filter((image, index) => event.images.findIndex(other => other.path === image.path) === index)
+        .map((image, index) => ({ ...image.toObject(), order: index }));
+      await Event.updateOne({ _id: event._id }, { $set: { images } }, { timestamps: false });
+      await removeUploadedFiles(legacyPaths);
+    }
+    if (processed > 0) {
+      console.log(`Processed ${processed} uploads from before image processing.`);
+    }
+  } catch (error) {
+    console.error("Error processing legacy uploads:", error);
+  }
+}
 // --- End Seeding Function ---
 
 
@@ -130,18 +219,61 @@ mongoose.connect(process.env.MONGO_URI)
   .then(() => {
       console.log("MongoDB connected successfully.");
       // Call seeding function after successful connection
-      seedDatabase();
+      migrateEventStatus().then(migrateEventImages).then(seedDatabase).then(backfillPeople).then(processLegacyUploads);
+      seedAdminUser();
   })
   .catch(err => console.error("MongoDB connection error:", err)); // Log full error
 
 
 // --- Middleware ---
-app.use(cors()); // Enable CORS for all origins (adjust for production)
+// Only allow the frontend origins listed in CORS_ORIGINS (comma separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(o => o.trim()).filter(o => o);
+console.log(`Allowing CORS requests from: ${CORS_ORIGINS.join(', ')}`);
+app.use(cors({ origin: CORS_ORIGINS }));
 app.use(express.json()); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
 
-// Serve uploaded images statically from the '/uploads' route
-app.use("/uploads", express.static(UPLOADS_DIR));
+// Serve uploaded images from the media storage. Images of approved entries are public;
+// anything else is only served with a signed URL (see media/signedUrls.js).
+app.get("/uploads/:file", async (req, res) => {
+  const fileName = path.basename(req.params.file);
+  try {
+    const signedFor = verifyMediaSignature(fileName, req.query.expires, req.query.signature);
+    const isPublic = !signedFor && await Event.exists({ "images.path": `/uploads/${originalFileName(fileName)}`, status: 'approved' });
+    // 404 rather than 403, so unsigned requests can't tell which files exist
+    const file = signedFor || isPublic ? await mediaStorage.get(fileName) : null;
+    if (!file) {
+      return res.status(404).json({ message: "File not found." });
+    }
+    res.set({
+      'Content-Type': file.contentType,
+      'Cache-Control': signedFor ? `private, max-age=${signedFor}` : 'public, max-age=86400',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    if (file.size) res.set('Content-Length', String(file.size));
+    await pipeline(file.body, res);
+  } catch (error) {
+    console.error(`Error serving upload ${fileName}:`, error);
+    if (!res.headersSent) res.status(500).json({ message: "Server error serving file." });
+  }
+});
+
+// Serve map tiles of the layers that come from a tile directory or MBTiles file
+app.get("/tiles/:layer/:z(\\d+)/:x(\\d+)/:y(\\d+).:format", async (req, res) => {
+  const layer = tileLayers.find(l => l.id === req.params.layer && l.source);
+  const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+  try {
+    const tile = layer && req.params.format === layer.source.format ? await layer.source.getTile(z, x, y) : null;
+    if (!tile) {
+      return res.status(404).json({ message: "Tile not found." });
+    }
+    res.set({ 'Content-Type': tile.contentType, 'Cache-Control': 'public, max-age=86400' });
+    res.send(tile.data);
+  } catch (error) {
+    console.error(`Error serving tile ${req.path}:`, error);
+    res.status(500).json({ message: "Server error serving tile." });
+  }
+});
 
 // Serve static files from the React frontend build directory
 // This needs to be defined BEFORE the catch-all route but AFTER API routes usually
@@ -152,17 +284,8 @@ app.use(express.static(frontendBuildPath));
 
 
 // --- Multer Setup for Image Uploads ---
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Use the UPLOADS_DIR variable
-    cb(null, UPLOADS_DIR);
-  },
-  filename: (req, file, cb) => {
-    // Sanitize filename and make it unique
-    const safeOriginalName = file.originalname.replace(/[^a-zA-Z0-9.]/g, '_');
-    cb(null, `${Date.now()}-${safeOriginalName}`);
-  },
-});
+// Uploads are kept in memory and only written to the media storage after processing (see storeImages)
+const storage = multer.memoryStorage();
 // Optional: Add file filter for images only
 const fileFilter = (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
@@ -177,14 +300,385 @@ const upload = multer({
     fileFilter: fileFilter,
     limits: { fileSize: 5 * 1024 * 1024 } // Example: 5MB limit
 });
+
+// Import files are only read, never stored
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }
+});
 // --- End Multer Setup ---
 
 
+// --- Helpers ---
+/**
+ * Geocodes an address using the configured geocoder.
+ * Resolves to [longitude, latitude], or null if the geocoder found no match.
+ * Throws on network/service errors or invalid coordinates.
+ */
+async function geocodeAddress(address) {
+  try {
+    console.log(`Geocoding address with ${geocoder.name}: "${address}"`);
+    const result = await geocoder.geocode(address);
+
+    if (!result) {
+       console.log('Geocoding failed: No results found.');
+       return null;
+    }
+    console.log('Geocoding successful. Result:', result);
+    // Ensure coordinates are numbers and in [longitude, latitude] order
+    const [longitude, latitude] = result.coordinates;
+    if (isNaN(longitude) || isNaN(latitude)) {
+        console.error('Invalid coordinates received from geocoding service.');
+        throw new Error('Invalid coordinates received from geocoding service.');
+    }
+    return [longitude, latitude];
+
+  } catch (geoError) {
+      logGeocoderError(geoError);
+      throw geoError;
+  }
+}
+
+/**
+ * Reads optional manual "lat"/"lon" fields from a request body.
+ * Returns [longitude, latitude], undefined if neither was sent, or null if they are invalid.
+ */
+function parseManualCoordinates(body = {}) {
+  const isBlank = (value) => value === undefined || value === null || value === '';
+  if (isBlank(body.lat) && isBlank(body.lon)) return undefined;
+  const latitude = parseFloat(body.lat);
+  const longitude = parseFloat(body.lon);
+  if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return null;
+  }
+  return [longitude, latitude];
+}
+
+/**
+ * Works out the coordinates for an event: manual lat/lon from the body skip geocoding entirely.
+ * Resolves to { coordinates } or { status, error } ready to send back to the client.
+ */
+async function resolveCoordinates(address, body) {
+  const manualCoordinates = parseManualCoordinates(body);
+  if (manualCoordinates === null) {
+      return { status: 400, error: "lat and lon must both be valid numbers (latitude -90 to 90, longitude -180 to 180)." };
+  }
+  if (manualCoordinates) {
+      console.log(`Using manual coordinates for "${address}":`, manualCoordinates);
+      return { coordinates: manualCoordinates };
+  }
+  try {
+    const coordinates = await geocodeAddress(address);
+    if (!coordinates) {
+       return { status: 400, error: "Could not geocode address. Please provide a valid address, drop a pin on the map or check the geocoding service status." };
+    }
+    return { coordinates };
+  } catch (geoError) {
+      // Provide a user-friendly error (details are logged by geocodeAddress)
+      return { status: 500, error: "Failed to verify address location. Please try again or contact support." };
+  }
+}
+
+// Logs as much detail about a failed geocoder request as is available
+function logGeocoderError(geoError) {
+  console.error(`Geocoding error (${geocoder.name}):`, geoError.message);
+  if (geoError.response) {
+      console.error("Geocoder Response Status:", geoError.response.status);
+      console.error("Geocoder Response Data:", geoError.response.data);
+  } else if (geoError.request) {
+      console.error("Geocoder request made but no response received.");
+  }
+}
+
+// Array.filter with an async predicate
+async function filterAsync(values, predicate) {
+  const keep = await Promise.all(values.map(predicate));
+  return values.filter((value, index) => keep[index]);
+}
+
+// Splits a comma separated form value into a trimmed array without empty entries
+const splitList = (value) => value ? value.split(",").map(v => v.trim()).filter(v => v) : [];
+
+// Writes a processed image's renditions to the media storage. Files that already exist are the
+// same content (names are content hashes), so they are left alone.
+async function writeImageFiles({ files }) {
+  for (const file of files) {
+    if (await mediaStorage.exists(file.name)) continue;
+    await mediaStorage.put(file.name, file.buffer, file.contentType);
+  }
+}
+
+// Processes the images multer received and stores their renditions. `details` holds
+// { caption, alt } for each file, in the same order.
+// Resolves to [{ path: '/uploads/<hash>.<ext>', caption, alt }], without duplicates.
+async function storeImages(files = [], details = []) {
+  const images = [];
+  for (const [index, file] of files.entries()) {
+    const image = await processImage(file.buffer);
+    await writeImageFiles(image);
+    const imagePath = `/uploads/${image.fileName}`;
+    if (images.some(stored => stored.path === imagePath)) continue;
+    images.push({ path: imagePath, caption: details[index]?.caption, alt: details[index]?.alt });
+  }
+  return images;
+}
+
+// Reads the optional "imageDetails" form field: a JSON array with { caption, alt } per uploaded file
+function parseImageDetails(value) {
+  if (value === undefined || value === '') return [];
+  let details;
+  try {
+    details = JSON.parse(value);
+  } catch {
+    details = null;
+  }
+  if (!Array.isArray(details)) {
+    const error = new Error('imageDetails must be a JSON array of { caption, alt } objects.');
+    error.status = 400;
+    throw error;
+  }
+  return details.map(detail => ({
+    caption: typeof detail?.caption === 'string' ? detail.caption : undefined,
+    alt: typeof detail?.alt === 'string' ? detail.alt : undefined,
+  }));
+}
+
+// Message if adding `count` images would put an event over MAX_IMAGES, or null
+function tooManyImagesMessage(currentCount, count) {
+  return currentCount + count > MAX_IMAGES ? `An event can have at most ${MAX_IMAGES} images.` : null;
+}
+
+// Removes uploaded files (given as '/uploads/filename' paths) and their renditions from the media storage.
+// Identical uploads share their files, so images another event still uses are kept.
+// Missing files are ignored so a half-cleaned event can still be deleted.
+async function removeUploadedFiles(imagePaths = []) {
+  for (const imagePath of new Set(imagePaths)) {
+    if (!imagePath || typeof imagePath !== 'string') continue;
+    if (await Event.exists({ "images.path": imagePath })) continue;
+    for (const renditionPath of new Set(Object.values(imageRenditions(imagePath)))) {
+      const fileName = path.basename(renditionPath);
+      try {
+        if (await mediaStorage.remove(fileName)) console.log(`Removed uploaded file: ${fileName}`);
+      } catch (err) {
+        console.error(`Error removing uploaded file ${fileName}:`, err);
+      }
+    }
+  }
+}
+
+// Events the user may see with GET requests: moderators may ask for any status
+// via ?status= (a status or "all"), everyone else only sees approved events
+function visibleEventsFilter(user, requestedStatus) {
+  if (!hasPermission(user, 'events:moderate')) {
+    return { status: 'approved' };
+  }
+  if (requestedStatus === 'all') return {};
+  return { status: EVENT_STATUSES.includes(requestedStatus) ? requestedStatus : 'approved' };
+}
+
+// People filters match every alias of a person (and "Anonymous #N" finds the person behind it).
+// Users who only see placeholders can't find entries by a redacted person's real name,
+// neither through the people filter nor through the search.
+function applyPeopleDirectory(query, directory, user) {
+  const canSeeNames = hasPermission(user, 'events:moderate');
+  const result = { ...query };
+  // Redacted names someone typed match (or exclude) nothing that is stored
+  const expand = (names) => names.flatMap(name => !canSeeNames && directory.isRedactedName(name)
+    ? [directory.find(name).placeholder]
+    : directory.expandName(name));
+  const people = parseList(query.people);
+  if (people.length > 0) result.people = expand(people);
+  const notPeople = parseList(query.notPeople);
+  if (notPeople.length > 0) result.notPeople = expand(notPeople);
+  if (!canSeeNames && typeof query.search === 'string') {
+    result.search = query.search.split(/\s+/).filter(word => !directory.isRedactedWord(word)).join(' ');
+  }
+  return result;
+}
+
+// Events as the user may see them: people without consent are redacted for everyone
+// below moderator, and search matches are highlighted in what is left
+function presentEvents(events, { user, directory, search }) {
+  const canSeeNames = hasPermission(user, 'events:moderate');
+  return events.map(event => {
+    const plain = event.toJSON();
+    const visible = canSeeNames ? plain : directory.redactEvent(plain);
+    return search ? { ...visible, highlights: highlightEvent(visible, search) } : visible;
+  });
+}
+
+// Revisions as the user may see them, redacted like events
+function presentRevisions(revisions, { user, directory }) {
+  const canSeeNames = hasPermission(user, 'events:moderate');
+  return revisions.map(revision => {
+    const plain = revision.toJSON();
+    if (canSeeNames) return plain;
+    const redactValue = (field, value) => ['title', 'description', 'people', 'images'].includes(field) && value != null
+      ? directory.redactEvent({ [field]: value })[field]
+      : value;
+    return {
+      ...plain,
+      changes: plain.changes.map(change => ({
+        ...change,
+        from: redactValue(change.field, change.from),
+        to: redactValue(change.field, change.to),
+      })),
+      snapshot: plain.snapshot && directory.redactEvent(plain.snapshot),
+    };
+  });
+}
+
+// Name to show for a stored name: the person's display name, or their placeholder for users
+// who may not see it. Aliases and other spellings of a person get the same name.
+function personLabel(directory, user) {
+  const canSeeNames = hasPermission(user, 'events:moderate');
+  return (name) => {
+    const person = directory.find(name);
+    if (!person) return name.trim().replace(/\s+/g, ' ');
+    return canSeeNames || person.consent === 'public' ? person.displayName : person.placeholder;
+  };
+}
+
+// Filter of the events the stats routes count: the GET /api/events filters (from the request,
+// or `params` instead) on the events the user may see
+function statsMatch(req, directory, params = req.query) {
+  const query = applyPeopleDirectory(params, directory, req.user);
+  return parseEventQuery(query, { baseFilter: visibleEventsFilter(req.user, req.query.status) }).filter;
+}
+
+// Message for names of people who asked not to be added to entries, or null
+function optedOutMessage(names) {
+  if (names.length === 0) return null;
+  return `${names.join(', ')} asked not to be named in entries. Please leave them out.`;
+}
+
+// Marks rows that repeat an existing event or an earlier row (see duplicateKey) with `duplicateOf`.
+// Only events the user may see count, so the check doesn't reveal entries still in moderation.
+async function markDuplicates(rows, user) {
+  const candidates = rows.filter(row => row.errors.length === 0);
+  const titles = [...new Set(candidates.map(row => row.fields.title))];
+  const visible = hasPermission(user, 'events:moderate') ? {} : { $or: [{ status: 'approved' }, { createdBy: user._id }] };
+  const existing = titles.length === 0 ? [] : await Event.find({ ...visible, title: { $in: titles } }, 'title date')
+    .collation({ locale: 'en', strength: 2 }); // Case-insensitive
+  const existingIds = new Map(existing.map(event => [duplicateKey(event), event._id]));
+  const firstRows = new Map();
+  for (const row of candidates) {
+    const key = duplicateKey(row.fields);
+    if (existingIds.has(key)) row.duplicateOf = { eventId: existingIds.get(key) };
+    else if (firstRows.has(key)) row.duplicateOf = { row: firstRows.get(key) };
+    else firstRows.set(key, row.row);
+  }
+}
+
+// Creates an event for every valid row that isn't a duplicate. Rows that fail to save get the errors.
+async function importRows(rows, user, directory) {
+  const imported = [];
+  for (const row of rows) {
+    if (row.errors.length > 0 || row.duplicateOf) continue;
+    const { title, description, date, address, coordinates, people, tags } = row.fields;
+    try {
+      const event = await Event.create({
+        title,
+        description,
+        people: directory.unredactNames(people),
+        date,
+        location: { address, coordinates },
+        tags,
+        createdBy: user._id,
+        updatedBy: user._id,
+      });
+      await recordRevision({ action: 'create', actor: user, event });
+      row.eventId = event._id;
+      imported.push(event);
+    } catch (error) {
+      console.error(`Error importing row ${row.row}:`, error);
+      row.errors.push(...(error.name === 'ValidationError'
+        ? Object.values(error.errors).map(e => e.message)
+        : ['Server error saving this event.']));
+    }
+  }
+  await syncPeople(imported.flatMap(event => event.people));
+  return imported;
+}
+
+// Response of POST /api/events/import: every row with its status (valid, invalid, duplicate or imported) and totals
+function importReport(rows, dryRun) {
+  const report = rows.map(({ row, fields, errors, duplicateOf, eventId }) => ({
+    row,
+    status: errors.length > 0 ? 'invalid' : duplicateOf ? 'duplicate' : eventId ? 'imported' : 'valid',
+    ...fields,
+    errors,
+    duplicateOf,
+    eventId,
+  }));
+  const count = (status) => report.filter(row => row.status === status).length;
+  return {
+    dryRun,
+    summary: { total: report.length, valid: count('valid'), invalid: count('invalid'), duplicate: count('duplicate'), imported: count('imported') },
+    rows: report,
+  };
+}
+
+// Public address and name of the site for links in shared pages and exports
+function sharingOptions(req) {
+  return {
+    baseUrl: (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, ''),
+    siteName: process.env.SITE_NAME || 'Event Map & Timeline',
+  };
+}
+
+// Sends a 400 for malformed ids so Mongoose doesn't throw a CastError
+function isValidEventId(id, res) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid event id." });
+    return false;
+  }
+  return true;
+}
+
+// Maps errors thrown while saving an event to a response (shared by create/update)
+function sendEventSaveError(res, error, action) {
+  // Handle Mongoose validation errors specifically
+  if (error.name === 'ValidationError') {
+      // Construct a user-friendly message from validation errors
+      const messages = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({ message: "Validation Error", errors: messages });
+  }
+  // Handle Multer errors (e.g., file size limit)
+  if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: `File upload error: ${error.message}` });
+  }
+  // Handle custom file filter errors (check if error message exists)
+  if (error && error.message && error.message.startsWith('Not an image')) {
+       return res.status(400).json({ message: error.message });
+  }
+  // Uploads that can't be processed as images
+  if (error.status === 400) {
+       return res.status(400).json({ message: error.message });
+  }
+  // Generic server error
+  res.status(500).json({ message: `Server error ${action} event.`, error: error.message });
+}
+// --- End Helpers ---
+
+
 // --- API Routes --- (Prefixed with /api)
 
+// GET /api/config - Settings the frontend needs before anyone logs in (map tile layers)
+app.get("/api/config", (req, res) => {
+  res.json({ map: { tileLayers: tileLayers.map(publicTileLayer) } });
+});
+
+// Login/registration routes and the frontend config are public; every other /api route needs a logged in user
+app.use("/api/auth", authRouter);
+app.use("/api", requireAuth);
+app.use("/api/users", userRouter); // User management (admins only)
+app.use("/api/people", peopleRouter); // Consent and right to be forgotten (moderators/admins)
+
 // POST /api/events - Create a new event
-app.post("/api/events", upload.array("images", 5), async (req, res) => { // Limit to 5 images
+app.post("/api/events", requirePermission('events:create'), upload.array("images", 5), async (req, res) => { // Limit to 5 images
    console.log("Received POST /api/events request.");
+   let images = []; // Stored images, removed again if the event can't be saved
    try {
       // Destructure description along with other fields
       const { title, description, people, date, address, tags } = req.body;
@@ -195,51 +689,28 @@ app.post("/api/events", upload.array("images", 5), async (req, res) => { // Limi
         return res.status(400).json({ message: "Title, date, and address are required fields." });
       }
 
-      // --- Geocode address using Nominatim ---
-      let coordinates;
-      try {
-        console.log(`Geocoding address: "${address}"`);
-        const geoResponse = await axios.get("https://nominatim.openstreetmap.org/search", {
-          params: { q: address, format: "json", limit: 1, addressdetails: 1 },
-           // IMPORTANT: Replace with your actual app name/email for Nominatim TOS
-          headers: { 'User-Agent': 'TimelineMapApp/1.0 (nick@example.com)' }
-        });
-
-        if (!geoResponse.data || geoResponse.data.length === 0) {
-           console.log('Geocoding failed: No results found from Nominatim.');
-           return res.status(400).json({ message: "Could not geocode address. Please provide a valid address or check Nominatim status." });
-        }
-        console.log('Geocoding successful. Result:', geoResponse.data[0]);
-        const { lat, lon } = geoResponse.data[0];
-        // Ensure coordinates are numbers and in [longitude, latitude] order
-        const longitude = parseFloat(lon);
-        const latitude = parseFloat(lat);
-        if (isNaN(longitude) || isNaN(latitude)) {
-            console.error('Invalid coordinates received from geocoding service.');
-            throw new Error('Invalid coordinates received from geocoding service.');
-        }
-        coordinates = [longitude, latitude];
-
-      } catch (geoError) {
-          console.error("Geocoding error:", geoError.message);
-          if (geoError.response) {
-              console.error("Nominatim Response Status:", geoError.response.status);
-              console.error("Nominatim Response Data:", geoError.response.data);
-          } else if (geoError.request) {
-              console.error("Nominatim request made but no response received.");
-          } else {
-               console.error("Error setting up Nominatim request:", geoError.message);
-          }
-          // Provide a user-friendly error
-          return res.status(500).json({ message: "Failed to verify address location. Please try again or contact support." });
+      // --- Resolve coordinates (manual lat/lon or geocoding) ---
+      const resolved = await resolveCoordinates(address, req.body);
+      if (resolved.error) {
+          return res.status(resolved.status).json({ message: resolved.error });
       }
-      // --- End Geocoding ---
+      const { coordinates } = resolved;
+      // --- End Resolve coordinates ---
 
       // Process optional fields and images
-      const peopleArray = people ? people.split(",").map(p => p.trim()).filter(p => p) : [];
-      const tagsArray = tags ? tags.split(",").map(t => t.trim()).filter(t => t) : [];
-      // Store relative paths for images, prefixed with /uploads/
-      const imagePaths = req.files ? req.files.map((file) => `/uploads/${file.filename}`) : [];
+      const directory = await loadPeopleDirectory();
+      const peopleArray = directory.unredactNames(splitList(people));
+      const optedOut = optedOutMessage(directory.optedOut(peopleArray));
+      if (optedOut) {
+          return res.status(400).json({ message: optedOut });
+      }
+      const tagsArray = splitList(tags);
+      // Strip metadata, create renditions and store relative paths, prefixed with /uploads/
+      const imageDetails = parseImageDetails(req.body.imageDetails);
+      images = await storeImages(req.files, imageDetails.map(detail => ({
+        caption: detail.caption && directory.unredactText(detail.caption),
+        alt: detail.alt && directory.unredactText(detail.alt),
+      })));
 
       const newEvent = new Event({
         title,
@@ -251,89 +722,771 @@ app.post("/api/events", upload.array("images", 5), async (req, res) => { // Limi
           coordinates: coordinates,
         },
         tags: tagsArray,
-        images: imagePaths,
+        images,
+        createdBy: req.user._id,
+        updatedBy: req.user._id,
       });
 
       console.log("Attempting to save new event."); // Removed object logging for brevity
       const savedEvent = await newEvent.save(); // Use savedEvent to ensure it worked
+      await savedEvent.populate(AUTHOR_FIELDS);
+      await syncPeople(savedEvent.people);
+      await recordRevision({ action: 'create', actor: req.user, event: savedEvent });
       console.log("Event saved successfully:", savedEvent._id);
-      res.status(201).json(savedEvent); // Return the full created event
+      const [result] = presentEvents([savedEvent], { user: req.user, directory: await loadPeopleDirectory() });
+      res.status(201).json(result); // Return the full created event
 
     } catch (error) {
       console.error("Error creating event:", error);
-      // Handle Mongoose validation errors specifically
-      if (error.name === 'ValidationError') {
-          // Construct a user-friendly message from validation errors
-          const messages = Object.values(error.errors).map(e => e.message);
-          return res.status(400).json({ message: "Validation Error", errors: messages });
-      }
-      // Handle Multer errors (e.g., file size limit)
-      if (error instanceof multer.MulterError) {
-          return res.status(400).json({ message: `File upload error: ${error.message}` });
-      }
-      // Handle custom file filter errors (check if error message exists)
-      if (error && error.message && error.message.startsWith('Not an image')) {
-           return res.status(400).json({ message: error.message });
-      }
-      // Generic server error
-      res.status(500).json({ message: "Server error creating event.", error: error.message });
+      await removeUploadedFiles(images.map(image => image.path));
+      sendEventSaveError(res, error, "creating");
     }
 });
 
-// GET /api/events - Fetch events with optional filtering
-app.get("/api/events", async (req, res) => {
-   console.log("Received GET /api/events request with query:", req.query);
+// Batches for geocoding imports: IMPORT_GEOCODE_BATCH_SIZE addresses at once, IMPORT_GEOCODE_DELAY_MS apart
+// (default 5 at once without a pause), but never faster than the geocoder's requestLimit (public Nominatim: 1 per second)
+function importGeocodePace() {
+  const batchSize = parseInt(process.env.IMPORT_GEOCODE_BATCH_SIZE, 10) || 5;
+  const delayMs = parseInt(process.env.IMPORT_GEOCODE_DELAY_MS, 10) || 0;
+  const limit = geocoder.requestLimit;
+  if (!limit) return { batchSize, delayMs };
+  return { batchSize: Math.min(batchSize, limit.batchSize), delayMs: Math.max(delayMs, limit.delayMs) };
+}
+
+// POST /api/events/import - Create events from a CSV, JSON or GeoJSON file (see events/import.js)
+// Form fields: file, format (detected when left out), mapping (CSV columns, JSON { field: "Column header" })
+// and dryRun ("true" only checks the rows). Responds with a report of every row (see importReport).
+// Addresses are geocoded while the request waits, at the pace of importGeocodePace, so only as many as
+// fit in MAX_IMPORT_GEOCODE_MS (see events/import.js). Files over 10 MB get a 413.
+app.post("/api/events/import", requirePermission('events:create'), importUpload.single("file"), async (req, res) => {
+   console.log("Received POST /api/events/import request.");
    try {
-      // Basic filtering (can be expanded)
-      const query = {};
-      const { search, date } = req.query;
-
-      if (search) {
-          const searchRegex = new RegExp(search, "i"); // Case-insensitive search
-          // Include description in the search $or
-          query.$or = [
-              { title: searchRegex },
-              { description: searchRegex }, // Added description search
-              { people: searchRegex }, // Searches if any element in the array matches
-              { tags: searchRegex },   // Searches if any element in the array matches
-              { "location.address": searchRegex },
-          ];
-      }
-
-      if (date) {
-          // Assumes date is in 'YYYY-MM-DD' format from client filter potentially
-          // Find events exactly on that day (UTC based)
-          try {
-              const startDate = new Date(date);
-              // Check if date is valid before using it
-              if (isNaN(startDate.getTime())) {
-                  console.warn('Invalid date format received for filtering:', date);
-                  // Decide how to handle: ignore filter, return error?
-                  // Here we choose to ignore the invalid date filter.
-              } else {
-                  startDate.setUTCHours(0, 0, 0, 0);
-                  const endDate = new Date(date);
-                  endDate.setUTCHours(23, 59, 59, 999);
-                  query.date = { $gte: startDate, $lte: endDate };
-              }
-          } catch (dateError) {
-               console.error("Error processing date filter:", dateError);
-               // Ignore filter on error
-          }
+      if (!req.file) {
+        return res.status(400).json({ message: "Please choose a file to import." });
       }
-      console.log("Executing DB query:", query);
-      // Add sorting, e.g., by date descending
-      const events = await Event.find(query).sort({ date: -1 });
-      console.log(`Found ${events.length} events.`);
-      res.json(events);
+      const dryRun = req.body.dryRun === 'true';
+      const rows = parseImport(req.file.buffer, {
+        format: req.body.format || undefined,
+        fileName: req.file.originalname,
+        mapping: parseMapping(req.body.mapping),
+      });
+
+      // Same checks as a single new event: nobody who opted out, coordinates for every row
+      const directory = await loadPeopleDirectory();
+      for (const row of rows) {
+        const optedOut = optedOutMessage(directory.optedOut(directory.unredactNames(row.fields.people)));
+        if (optedOut) row.errors.push(optedOut);
+      }
+      await geocodeRows(rows, geocodeAddress, importGeocodePace());
+      await markDuplicates(rows, req.user);
+
+      if (!dryRun) {
+        const imported = await importRows(rows, req.user, directory);
+        console.log(`Imported ${imported.length} of ${rows.length} events from ${req.file.originalname}.`);
+      }
+      res.json(importReport(rows, dryRun));
+    } catch (error) {
+      console.error("Error importing events:", error);
+      sendEventSaveError(res, error, "importing");
+    }
+});
+
+// GET /api/events - Fetch a page of events with filtering and sorting
+// See events/query.js for the supported query parameters.
+app.get("/api/events", requirePermission('events:read'), async (req, res) => {
+   console.log("Received GET /api/events request with query:", req.query);
+   try {
+      const directory = await loadPeopleDirectory();
+      const query = applyPeopleDirectory(req.query, directory, req.user);
+      const { filter, pageFilter, mongoSort, projection, skip, limit, sort } = parseEventQuery(query, {
+          baseFilter: visibleEventsFilter(req.user, req.query.status),
+      });
+
+      console.log("Executing DB query:", JSON.stringify(pageFilter));
+      // Fetch one extra event to know whether another page exists
+      const [events, total] = await Promise.all([
+          Event.find(pageFilter, projection).sort(mongoSort).skip(skip).limit(limit + 1).populate(AUTHOR_FIELDS),
+          Event.countDocuments(filter),
+      ]);
+      const hasMore = events.length > limit;
+      const page = hasMore ? events.slice(0, limit) : events;
+      console.log(`Found ${page.length} of ${total} events.`);
+
+      // Redact names and add matched fragments when searching
+      const results = presentEvents(page, { user: req.user, directory, search: query.search });
+
+      res.json({
+          events: results,
+          total,
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort, skip + limit) : null,
+      });
     } catch (error) {
+      if (error.status === 400) {
+          return res.status(400).json({ message: error.message });
+      }
       console.error("Error fetching events:", error);
       res.status(500).json({ message: "Server error fetching events.", error: error.message });
     }
 });
+
+// GET /api/events/export?format= - Download every event matching the GET /api/events filters (not just a page)
+// Formats: geojson (default), kml, csv, ics or zip (events.json plus the events' uploaded images), see events/export.js
+app.get("/api/events/export", requirePermission('events:read'), async (req, res) => {
+   console.log("Received GET /api/events/export request with query:", req.query);
+   const format = req.query.format || 'geojson';
+   if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+   }
+   try {
+      const directory = await loadPeopleDirectory();
+      const query = applyPeopleDirectory(req.query, directory, req.user);
+      const { filter, mongoSort, projection } = parseEventQuery(query, {
+          baseFilter: visibleEventsFilter(req.user, req.query.status),
+      });
+      const events = presentEvents(
+          await Event.find(filter, projection).sort(mongoSort).populate(AUTHOR_FIELDS),
+          { user: req.user, directory }
+      );
+      console.log(`Exporting ${events.length} events as ${format}.`);
+
+      const options = sharingOptions(req);
+      const body = {
+          geojson: () => JSON.stringify(toGeoJson(events, options), null, 2),
+          kml: () => toKml(events, options),
+          csv: () => toCsv(events, options),
+          ics: () => toIcs(events, options),
+          zip: () => null, // Streamed below
+      }[format]();
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      res.set({
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="events-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+      });
+      if (format === 'zip') {
+          await pipeline(createZipExport(events, { storage: mediaStorage }), res);
+          return;
+      }
+      res.send(body);
+    } catch (error) {
+      if (error.status === 400) {
+          return res.status(400).json({ message: error.message });
+      }
+      console.error("Error exporting events:", error);
+      if (!res.headersSent) res.status(500).json({ message: "Server error exporting events.", error: error.message });
+    }
+});
+
+// Layer the report maps are drawn from: REPORT_TILE_LAYER (a layer id), else the first one this backend
+// serves (offline tiles), else the default one
+const reportTileLayer = tileLayers.find(layer => layer.id === process.env.REPORT_TILE_LAYER)
+  || tileLayers.find(layer => layer.source)
+  || tileLayers[0];
+
+// GET /api/events/report - A printable yearbook (HTML) of the events matching the GET /api/events filters,
+// usually a date range (from, to): one page per event with its images and a map, then indexes of people and tags
+app.get("/api/events/report", requirePermission('events:read'), async (req, res) => {
+   console.log("Received GET /api/events/report request with query:", req.query);
+   try {
+      const directory = await loadPeopleDirectory();
+      const query = applyPeopleDirectory(req.query, directory, req.user);
+      const { filter, projection } = parseEventQuery(query, {
+          baseFilter: visibleEventsFilter(req.user, req.query.status),
+      });
+      const maxEvents = parseInt(process.env.REPORT_MAX_EVENTS, 10) || 200;
+      const found = await Event.find(filter, projection).sort({ date: 1, _id: 1 }).limit(maxEvents + 1).populate(AUTHOR_FIELDS);
+      if (found.length > maxEvents) {
+          return res.status(400).json({ message: `Reports can have at most ${maxEvents} events. Choose a shorter date range or more filters.` });
+      }
+      const events = presentEvents(found, { user: req.user, directory });
+      console.log(`Creating a report of ${events.length} events.`);
+
+      const { from, to } = req.query;
+      const mapRenderer = createStaticMapRenderer({
+          tileLayer: reportTileLayer,
+          userAgent: process.env.GEOCODER_USER_AGENT || 'TimelineMapApp/1.0',
+          zoom: parseInt(process.env.REPORT_MAP_ZOOM, 10) || 15,
+      });
+      const { baseUrl, siteName } = sharingOptions(req);
+      const html = await createYearbook(events, {
+          storage: mediaStorage,
+          mapRenderer,
+          title: siteName,
+          subtitle: from || to ? `${from || '…'} – ${to || '…'}` : 'All entries',
+          baseUrl,
+          siteName,
+      });
+      const fileDates = [from, to].filter(Boolean).map(value => String(value).slice(0, 10)).join('-to-');
+      res.set({
+          'Content-Type': 'text/html; charset=utf-8',
+          'Content-Disposition': `attachment; filename="report${fileDates ? `-${fileDates.replace(/[^\w-]/g, '')}` : ''}.html"`,
+      });
+      res.send(html);
+    } catch (error) {
+      if (error.status === 400) {
+          return res.status(400).json({ message: error.message });
+      }
+      console.error("Error creating report:", error);
+      res.status(500).json({ message: "Server error creating report.", error: error.message });
+    }
+});
+
+// GET /api/events/facets - People and tags for the filter dropdowns with their number of matching events.
+// Takes the GET /api/events filters; people are counted without the people filters and tags without the
+// tag filters, so the dropdowns also offer values that widen an "any of" filter.
+app.get("/api/events/facets", requirePermission('events:read'), async (req, res) => {
+   try {
+      const directory = await loadPeopleDirectory();
+      const { people, notPeople, peopleMode, tags, notTags, tagsMode, ...otherFilters } = req.query;
+      const [peopleCountsResult, tagCountsResult] = await Promise.all([
+          personCounts(statsMatch(req, directory, { ...otherFilters, tags, notTags, tagsMode }), { label: personLabel(directory, req.user) }),
+          tagCounts(statsMatch(req, directory, { ...otherFilters, people, notPeople, peopleMode })),
+      ]);
+      res.json({ people: peopleCountsResult, tags: tagCountsResult });
+    } catch (error) {
+      if (error.status === 400) {
+          return res.status(400).json({ message: error.message });
+      }
+      console.error("Error counting filter values:", error);
+      res.status(500).json({ message: "Server error counting filter values.", error: error.message });
+    }
+});
+
+// GET /api/events/:id - Fetch a single event
+app.get("/api/events/:id", requirePermission('events:read'), async (req, res) => {
+   console.log(`Received GET /api/events/${req.params.id} request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   try {
+      // Authors can always see their own entries (e.g. to check on a pending one)
+      const event = await Event.findOne({
+          _id: req.params.id,
+          $or: [visibleEventsFilter(req.user, 'all'), { createdBy: req.user._id }],
+      }).populate(AUTHOR_FIELDS);
+      if (!event) {
+          return res.status(404).json({ message: "Event not found." });
+      }
+      const [result] = presentEvents([event], { user: req.user, directory: await loadPeopleDirectory() });
+      res.json(result);
+    } catch (error) {
+      console.error("Error fetching event:", error);
+      res.status(500).json({ message: "Server error fetching event.", error: error.message });
+    }
+});
+
+// Loads an event the user may edit, or sends the 404/403 response and resolves to null
+async function findEditableEvent(req, res) {
+  const event = await Event.findById(req.params.id);
+  if (!event) {
+      res.status(404).json({ message: "Event not found." });
+      return null;
+  }
+  if (!canModifyEvent(req.user, event)) {
+      res.status(403).json({ message: "Only the author or a moderator can edit this event." });
+      return null;
+  }
+  return event;
+}
+
+// Stores uploaded files and appends them to the event's images, skipping ones it already has.
+// Captions and alt texts may contain placeholders the user was shown instead of redacted names.
+async function addImages(event, files, details, directory) {
+  const stored = await storeImages(files, details.map(detail => ({
+    caption: detail.caption && directory.unredactText(detail.caption),
+    alt: detail.alt && directory.unredactText(detail.alt),
+  })));
+  const newImages = stored.filter(image => !event.images.some(existing => existing.path === image.path));
+  event.images.push(...newImages);
+  return newImages;
+}
+
+// Saves an edit made by req.user, records the revision and sends the updated event
+async function saveEventEdit(req, res, event, before) {
+  // Fixing a rejected entry sends it back to the moderation queue
+  if (event.status === 'rejected' && !hasPermission(req.user, 'events:moderate')) {
+      event.status = 'pending';
+  }
+
+  event.updatedBy = req.user._id;
+  const savedEvent = await event.save();
+  await savedEvent.populate(AUTHOR_FIELDS);
+  await syncPeople(savedEvent.people);
+  await recordRevision({ action: 'update', actor: req.user, event: savedEvent, before });
+  console.log("Event updated successfully:", savedEvent._id);
+  const [result] = presentEvents([savedEvent], { user: req.user, directory: await loadPeopleDirectory() });
+  res.json(result);
+  return savedEvent;
+}
+
+// PATCH/PUT /api/events/:id - Update an existing event
+// Only fields present in the body are changed. New images are appended to the existing ones.
+const updateEvent = async (req, res) => {
+   console.log(`Received ${req.method} /api/events/${req.params.id} request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   let newImagePaths = []; // Stored images, removed again if the event can't be saved
+   try {
+      const event = await findEditableEvent(req, res);
+      if (!event) return;
+      const before = snapshotEvent(event);
+
+      const { title, description, people, date, address, tags } = req.body;
+
+      // The form may send back placeholders it was shown instead of redacted names
+      const directory = await loadPeopleDirectory();
+      if (people !== undefined) {
+          const peopleArray = directory.unredactNames(splitList(people));
+          const optedOut = optedOutMessage(directory.optedOut(peopleArray, event.people));
+          if (optedOut) {
+                  return res.status(400).json({ message: optedOut });
+          }
+          event.people = peopleArray;
+      }
+      if (title !== undefined) event.title = directory.unredactText(title);
+      if (description !== undefined) event.description = directory.unredactText(description || '');
+      if (tags !== undefined) event.tags = splitList(tags);
+      if (date !== undefined) event.date = date ? new Date(date) : undefined; // Let schema validation reject empty dates
+
+      // Resolve coordinates again only if a pin was dropped or the address actually changed
+      const addressChanged = address !== undefined && address !== event.location?.address;
+      if (addressChanged || parseManualCoordinates(req.body) !== undefined) {
+          const newAddress = address !== undefined ? address : event.location?.address;
+          const resolved = await resolveCoordinates(newAddress, req.body);
+          if (resolved.error) {
+                  return res.status(resolved.status).json({ message: resolved.error });
+          }
+          event.location = { address: newAddress, coordinates: resolved.coordinates };
+      }
+
+      if (req.files && req.files.length > 0) {
+          const tooMany = tooManyImagesMessage(event.images.length, req.files.length);
+          if (tooMany) {
+                  return res.status(400).json({ message: tooMany });
+          }
+          const newImages = await addImages(event, req.files, parseImageDetails(req.body.imageDetails), directory);
+          newImagePaths = newImages.map(image => image.path);
+      }
+
+      await saveEventEdit(req, res, event, before);
+
+    } catch (error) {
+      console.error("Error updating event:", error);
+      await removeUploadedFiles(newImagePaths);
+      sendEventSaveError(res, error, "updating");
+    }
+};
+app.patch("/api/events/:id", requirePermission('events:edit-own'), upload.array("images", 5), updateEvent);
+app.put("/api/events/:id", requirePermission('events:edit-own'), upload.array("images", 5), updateEvent);
+
+// DELETE /api/events/:id - Delete an event and its uploaded images
+app.delete("/api/events/:id", requirePermission('events:delete-own'), async (req, res) => {
+   console.log(`Received DELETE /api/events/${req.params.id} request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   try {
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+          return res.status(404).json({ message: "Event not found." });
+      }
+      if (!canDeleteEvent(req.user, event)) {
+          return res.status(403).json({ message: "Only the author or an admin can delete this event." });
+      }
+      const deletedEvent = await Event.findByIdAndDelete(event._id);
+      if (!deletedEvent) {
+          return res.status(404).json({ message: "Event not found." });
+      }
+      await recordRevision({ action: 'delete', actor: req.user, before: snapshotEvent(deletedEvent), eventId: deletedEvent._id });
+      await removeUploadedFiles(deletedEvent.images.map(image => image.path));
+      console.log("Event deleted successfully:", deletedEvent._id);
+      res.json({ message: "Event deleted.", _id: deletedEvent._id });
+    } catch (error) {
+      console.error("Error deleting event:", error);
+      res.status(500).json({ message: "Server error deleting event.", error: error.message });
+    }
+});
+
+// POST /api/events/:id/images - Add images to an event
+// Multipart form with "images" files and an optional "imageDetails" JSON array of { caption, alt } per file.
+app.post("/api/events/:id/images", requirePermission('events:edit-own'), upload.array("images", 5), async (req, res) => {
+   console.log(`Received POST /api/events/${req.params.id}/images request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   let newImagePaths = []; // Stored images, removed again if the event can't be saved
+   try {
+      const event = await findEditableEvent(req, res);
+      if (!event) return;
+      if (!req.files || req.files.length === 0) {
+          return res.status(400).json({ message: "Please choose at least one image." });
+      }
+      const tooMany = tooManyImagesMessage(event.images.length, req.files.length);
+      if (tooMany) {
+          return res.status(400).json({ message: tooMany });
+      }
+      const before = snapshotEvent(event);
+      const directory = await loadPeopleDirectory();
+      const newImages = await addImages(event, req.files, parseImageDetails(req.body.imageDetails), directory);
+      newImagePaths = newImages.map(image => image.path);
+      await saveEventEdit(req, res, event, before);
+    } catch (error) {
+      console.error("Error adding images:", error);
+      await removeUploadedFiles(newImagePaths);
+      sendEventSaveError(res, error, "updating");
+    }
+});
+
+// PUT /api/events/:id/images/order - Reorder an event's images
+// Body: { order: [imageId, ...] } listing every image of the event exactly once.
+app.put("/api/events/:id/images/order", requirePermission('events:edit-own'), async (req, res) => {
+   console.log(`Received PUT /api/events/${req.params.id}/images/order request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   try {
+      const event = await findEditableEvent(req, res);
+      if (!event) return;
+      const order = Array.isArray(req.body.order) ? req.body.order.map(String) : null;
+      const currentIds = event.images.map(image => image._id.toString());
+      if (!order || order.length !== currentIds.length || new Set(order).size !== order.length
+          || !order.every(id => currentIds.includes(id))) {
+          return res.status(400).json({ message: "order must list every image id of the event exactly once." });
+      }
+      const before = snapshotEvent(event);
+      event.images = order.map(id => event.images.id(id).toObject());
+      await saveEventEdit(req, res, event, before);
+    } catch (error) {
+      console.error("Error reordering images:", error);
+      sendEventSaveError(res, error, "updating");
+    }
+});
+
+// PATCH /api/events/:id/images/:imageId - Change an image's caption or alt text
+// Body: { caption, alt }; only the fields present are changed.
+app.patch("/api/events/:id/images/:imageId", requirePermission('events:edit-own'), async (req, res) => {
+   console.log(`Received PATCH /api/events/${req.params.id}/images/${req.params.imageId} request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   try {
+      const event = await findEditableEvent(req, res);
+      if (!event) return;
+      const image = mongoose.Types.ObjectId.isValid(req.params.imageId) && event.images.id(req.params.imageId);
+      if (!image) {
+          return res.status(404).json({ message: "Image not found." });
+      }
+      const before = snapshotEvent(event);
+      const directory = await loadPeopleDirectory();
+      const { caption, alt } = req.body;
+      if (caption !== undefined) image.caption = directory.unredactText(String(caption ?? ''));
+      if (alt !== undefined) image.alt = directory.unredactText(String(alt ?? ''));
+      await saveEventEdit(req, res, event, before);
+    } catch (error) {
+      console.error("Error updating image:", error);
+      sendEventSaveError(res, error, "updating");
+    }
+});
+
+// DELETE /api/events/:id/images/:imageId - Remove an image from an event
+// Its files are deleted unless another event still uses them.
+app.delete("/api/events/:id/images/:imageId", requirePermission('events:edit-own'), async (req, res) => {
+   console.log(`Received DELETE /api/events/${req.params.id}/images/${req.params.imageId} request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   try {
+      const event = await findEditableEvent(req, res);
+      if (!event) return;
+      const image = mongoose.Types.ObjectId.isValid(req.params.imageId) && event.images.id(req.params.imageId);
+      if (!image) {
+          return res.status(404).json({ message: "Image not found." });
+      }
+      const before = snapshotEvent(event);
+      const imagePath = image.path;
+      event.images.pull(image._id);
+      await saveEventEdit(req, res, event, before);
+      await removeUploadedFiles([imagePath]).catch(err => console.error("Error removing image files:", err));
+    } catch (error) {
+      console.error("Error removing image:", error);
+      sendEventSaveError(res, error, "updating");
+    }
+});
+
+// POST /api/events/:id/moderate - Moderators approve, reject or hide an event
+// Body: { status: "approved" | "rejected" | "hidden" | "pending", reason }. Rejecting and hiding need a reason.
+app.post("/api/events/:id/moderate", requirePermission('events:moderate'), async (req, res) => {
+   console.log(`Received POST /api/events/${req.params.id}/moderate request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   const { status } = req.body;
+   const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+   if (!EVENT_STATUSES.includes(status)) {
+       return res.status(400).json({ message: `Status must be one of: ${EVENT_STATUSES.join(', ')}.` });
+   }
+   if ((status === 'rejected' || status === 'hidden') && !reason) {
+       return res.status(400).json({ message: "Please give a reason for rejecting or hiding an entry." });
+   }
+   try {
+      const event = await Event.findById(req.params.id);
+      if (!event) {
+          return res.status(404).json({ message: "Event not found." });
+      }
+      const before = snapshotEvent(event);
+      event.set({ status, moderationReason: reason, moderatedBy: req.user._id, moderatedAt: new Date() });
+      const savedEvent = await event.save();
+      await savedEvent.populate(AUTHOR_FIELDS);
+      await recordRevision({ action: 'moderate', actor: req.user, event: savedEvent, before });
+      console.log(`Event ${savedEvent._id} set to ${status} by ${req.user.username}.`);
+      res.json(savedEvent);
+    } catch (error) {
+      console.error("Error moderating event:", error);
+      res.status(500).json({ message: "Server error moderating event.", error: error.message });
+    }
+});
+
+// GET /api/events/:id/history - Every change to an event, newest first (also for deleted events)
+app.get("/api/events/:id/history", requirePermission('events:edit-own'), async (req, res) => {
+   console.log(`Received GET /api/events/${req.params.id}/history request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   try {
+      const [event, revisions] = await Promise.all([
+          Event.findById(req.params.id),
+          Revision.find({ event: req.params.id }).sort({ createdAt: -1, _id: -1 }).populate('actor', 'username displayName'),
+      ]);
+      if (!event && revisions.length === 0) {
+          return res.status(404).json({ message: "Event not found." });
+      }
+      // Deleted events are checked against the author recorded in their last revision
+      if (!canModifyEvent(req.user, event || revisions[0].snapshot || {})) {
+          return res.status(403).json({ message: "Only the author or a moderator can see the history of this event." });
+      }
+      const directory = await loadPeopleDirectory();
+      res.json({ revisions: presentRevisions(revisions, { user: req.user, directory }), deleted: !event });
+    } catch (error) {
+      console.error("Error fetching event history:", error);
+      res.status(500).json({ message: "Server error fetching event history.", error: error.message });
+    }
+});
+
+// POST /api/events/:id/history/:revisionId/restore - Put an event back the way it was after a revision.
+// Deleted events are recreated. Images whose files are gone are left out, and the
+// moderation status only changes the way an edit would change it.
+app.post("/api/events/:id/history/:revisionId/restore", requirePermission('events:edit-own'), async (req, res) => {
+   console.log(`Received POST /api/events/${req.params.id}/history/${req.params.revisionId}/restore request.`);
+   if (!isValidEventId(req.params.id, res)) return;
+   if (!mongoose.Types.ObjectId.isValid(req.params.revisionId)) {
+       return res.status(400).json({ message: "Invalid revision id." });
+   }
+   try {
+      const revision = await Revision.findOne({ _id: req.params.revisionId, event: req.params.id });
+      if (!revision?.snapshot) {
+          return res.status(404).json({ message: "Revision not found." });
+      }
+      const { snapshot } = revision;
+      let event = await Event.findById(req.params.id);
+      if (!canModifyEvent(req.user, event || snapshot)) {
+          return res.status(403).json({ message: "Only the author or a moderator can restore this event." });
+      }
+      const before = event ? snapshotEvent(event) : null;
+      const isModerator = hasPermission(req.user, 'events:moderate');
+
+      const directory = await loadPeopleDirectory();
+      const optedOut = optedOutMessage(directory.optedOut(snapshot.people || [], event?.people || []));
+      if (optedOut) {
+          return res.status(400).json({ message: optedOut });
+      }
+
+      if (!event) {
+          // A restored entry has to be approved again unless a moderator brings it back
+          event = new Event({ _id: req.params.id, createdBy: snapshot.createdBy, status: isModerator ? snapshot.status : 'pending' });
+      } else if (event.status === 'rejected' && !isModerator) {
+          event.status = 'pending';
+      }
+      event.set({
+          title: snapshot.title,
+          description: snapshot.description,
+          people: snapshot.people,
+          date: snapshot.date,
+          location: snapshot.location,
+          tags: snapshot.tags,
+          images: await filterAsync(
+              (snapshot.images || []).map(image => (typeof image === 'string' ? { path: image } : image)),
+              image => mediaStorage.exists(path.basename(image.path)),
+          ),
+          updatedBy: req.user._id,
+      });
+      const savedEvent = await event.save();
+      await savedEvent.populate(AUTHOR_FIELDS);
+      await recordRevision({ action: 'restore', actor: req.user, event: savedEvent, before, restoredFrom: revision._id });
+      console.log(`Event ${savedEvent._id} restored to revision ${revision._id} by ${req.user.username}.`);
+      const [result] = presentEvents([savedEvent], { user: req.user, directory });
+      res.json(result);
+    } catch (error) {
+      console.error("Error restoring event:", error);
+      sendEventSaveError(res, error, "restoring");
+    }
+});
+
+// GET /api/moderation/counts - Number of events per status (for the moderation queue)
+app.get("/api/moderation/counts", requirePermission('events:moderate'), async (req, res) => {
+   try {
+      const groups = await Event.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]);
+      const counts = Object.fromEntries(EVENT_STATUSES.map(status => [status, 0]));
+      groups.forEach(group => { if (group._id in counts) counts[group._id] = group.count; });
+      res.json(counts);
+   } catch (error) {
+      console.error("Error counting events by status:", error);
+      res.status(500).json({ message: "Server error counting events.", error: error.message });
+   }
+});
+
+// --- Stats --- (every route takes the GET /api/events filters, e.g. from and to; see events/stats.js)
+
+// GET /api/stats/people?limit= - Events per person and each person's longest gap between events
+app.get("/api/stats/people", requirePermission('events:read'), async (req, res) => {
+   try {
+      const directory = await loadPeopleDirectory();
+      const match = statsMatch(req, directory);
+      res.json(await peopleStats(match, { label: personLabel(directory, req.user), limit: parseStatsLimit(req.query.limit) }));
+   } catch (error) {
+      if (error.status === 400) {
+          return res.status(400).json({ message: error.message });
+      }
+      console.error("Error computing people stats:", error);
+      res.status(500).json({ message: "Server error computing stats.", error: error.message });
+   }
+});
+
+// GET /api/stats/tags?limit= - Events per tag
+app.get("/api/stats/tags", requirePermission('events:read'), async (req, res) => {
+   try {
+      const match = statsMatch(req, await loadPeopleDirectory());
+      res.json({ tags: await tagStats(match, { limit: parseStatsLimit(req.query.limit) }) });
+   } catch (error) {
+      if (error.status === 400) {
+          return res.status(400).json({ message: error.message });
+      }
+      console.error("Error computing tag stats:", error);
+      res.status(500).json({ message: "Server error computing stats.", error: error.message });
+   }
+});
+
+// GET /api/stats/timeline - Events per month and per day of the week
+app.get("/api/stats/timeline", requirePermission('events:read'), async (req, res) => {
+   try {
+      const match = statsMatch(req, await loadPeopleDirectory());
+      res.json(await timelineStats(match));
+   } catch (error) {
+      if (error.status === 400) {
+          return res.status(400).json({ message: error.message });
+      }
+      console.error("Error computing timeline stats:", error);
+      res.status(500).json({ message: "Server error computing stats.", error: error.message });
+   }
+});
+
+// GET /api/stats/days - Events per day (UTC), for the timeline's histogram of every matching event
+app.get("/api/stats/days", requirePermission('events:read'), async (req, res) => {
+   try {
+      const match = statsMatch(req, await loadPeopleDirectory());
+      res.json({ days: await dayStats(match) });
+   } catch (error) {
+      if (error.status === 400) {
+          return res.status(400).json({ message: error.message });
+      }
+      console.error("Error computing day stats:", error);
+      res.status(500).json({ message: "Server error computing stats.", error: error.message });
+   }
+});
+
+// GET /api/stats/locations?groupBy=coordinates|address&precision=3&limit= - The places with the most events
+app.get("/api/stats/locations", requirePermission('events:read'), async (req, res) => {
+   try {
+      const match = statsMatch(req, await loadPeopleDirectory());
+      const { groupBy, precision } = req.query;
+      res.json({ locations: await locationStats(match, { groupBy, precision, limit: parseStatsLimit(req.query.limit) }) });
+   } catch (error) {
+      if (error.status === 400) {
+          return res.status(400).json({ message: error.message });
+      }
+      console.error("Error computing location stats:", error);
+      res.status(500).json({ message: "Server error computing stats.", error: error.message });
+   }
+});
+// --- End Stats ---
+
+// GET /api/people/:name/profile - One person's events (oldest first) with the people named with them most often
+// and their most frequent tags. Aliases and spellings that differ in case or spacing count as the same person.
+app.get("/api/people/:name/profile", requirePermission('events:read'), async (req, res) => {
+   try {
+      const directory = await loadPeopleDirectory();
+      const label = personLabel(directory, req.user);
+      // Like the people filter: users who only see placeholders can't look someone up by their real name
+      const names = !hasPermission(req.user, 'events:moderate') && directory.isRedactedName(req.params.name)
+          ? []
+          : directory.expandName(req.params.name);
+      const events = names.length === 0 ? [] : await Event.find({
+          $and: [visibleEventsFilter(req.user, req.query.status), { people: { $in: names.map(nameVariantPattern) } }],
+      }).sort({ date: 1, _id: 1 }).populate(AUTHOR_FIELDS);
+      if (events.length === 0) {
+          return res.status(404).json({ message: "No entries name this person." });
+      }
+      const presented = presentEvents(events, { user: req.user, directory });
+      res.json({ ...personProfile(presented, { label, name: label(req.params.name) }), events: presented });
+   } catch (error) {
+      console.error("Error fetching person profile:", error);
+      res.status(500).json({ message: "Server error fetching profile.", error: error.message });
+   }
+});
+
+// GET /api/geocode/suggest - Address suggestions for the event form (proxied to the configured geocoder)
+app.get("/api/geocode/suggest", requirePermission('events:create'), async (req, res) => {
+   const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+   const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 10); // Between 1 and 10
+   if (query.length < 3) {
+       return res.json([]); // Too short to give useful suggestions
+   }
+   try {
+      const suggestions = await geocoder.suggest(query, limit);
+      res.json(suggestions);
+   } catch (error) {
+      logGeocoderError(error);
+      res.status(502).json({ message: "Address suggestion service is unavailable. Please try again later." });
+   }
+});
+// GET /api/geocode/cache/stats - Geocode cache size and hit/miss statistics
+app.get("/api/geocode/cache/stats", requirePermission('settings:manage'), async (req, res) => {
+   try {
+      res.json(await geocoder.cacheStats());
+   } catch (error) {
+      console.error("Error fetching geocode cache stats:", error);
+      res.status(500).json({ message: "Server error fetching geocode cache stats.", error: error.message });
+   }
+});
+
+// DELETE /api/geocode/cache - Empty the geocode cache (e.g. after switching providers)
+app.delete("/api/geocode/cache", requirePermission('settings:manage'), async (req, res) => {
+   try {
+      const deletedCount = await geocoder.clearCache();
+      console.log(`Cleared ${deletedCount} geocode cache entries.`);
+      res.json({ message: "Geocode cache cleared.", deletedCount });
+   } catch (error) {
+      console.error("Error clearing geocode cache:", error);
+      res.status(500).json({ message: "Server error clearing geocode cache.", error: error.message });
+   }
+});
 // --- End API Routes ---
 
 
+// --- Event Permalinks ---
+// /events/:id pages get Open Graph tags so shared links unfurl in chat apps (see events/openGraph.js).
+// Only approved events are described, redacted as for viewers; anything else gets the plain app.
+app.get('/events/:id', async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return next();
+  try {
+    const event = await Event.findOne({ _id: req.params.id, status: 'approved' });
+    if (!event) return next();
+    const [visibleEvent] = presentEvents([event], { user: null, directory: await loadPeopleDirectory() });
+    // Without a frontend build (e.g. nginx serves it and only sends crawlers here) the tags are all that's needed
+    const html = await readFile(path.resolve(frontendBuildPath, 'index.html'), 'utf8')
+      .catch(() => '<!DOCTYPE html><html><head></head><body></body></html>');
+    res.send(injectOpenGraphTags(html, visibleEvent, sharingOptions(req)));
+  } catch (error) {
+    console.error(`Error adding Open Graph tags for event ${req.params.id}:`, error.message);
+    next(); // Still serve the app
+  }
+});
+// --- End Event Permalinks ---
+
+
 // --- Catch-all for SPA Routing ---
 // This MUST be defined AFTER all other API routes and static file middleware.
 // It ensures that any GET request not handled above serves the React app's entry point.
@@ -362,6 +1515,10 @@ app.get('*', (req, res) => {
 // Add this AFTER all routes and middleware
 app.use((err, req, res, next) => {
   console.error("Unhandled Error:", err.stack || err);
+  // Uploads rejected by multer before the route ran (too large, too many files, ...)
+  if (err instanceof multer.MulterError) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ message: `File upload error: ${err.message}` });
+  }
   // Respond with a generic server error
   // Avoid sending stack trace in production
   res.status(err.status || 500).json({ // Use error status if available
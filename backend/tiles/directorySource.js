@@ -0,0 +1,23 @@
+import path from "path";
+import { readFile } from "fs/promises";
+import { contentTypeFor } from "../media/storage/contentTypes.js";
+
+/**
+ * Tiles stored as files in a {z}/{x}/{y}.{format} directory tree, e.g. pre-rendered or exported
+ * from a tile server. Missing files are missing tiles.
+ */
+export function createDirectorySource({ dir, format = 'png' }) {
+  return {
+    name: `directory (${dir})`,
+    format,
+    async getTile(z, x, y) {
+      try {
+        const data = await readFile(path.join(dir, String(z), String(x), `${y}.${format}`));
+        return { data, contentType: contentTypeFor(`tile.${format}`) };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,108 @@
+import path from "path";
+import { readFileSync } from "fs";
+import { createDirectorySource } from "./directorySource.js";
+import { createMbtilesSource } from "./mbtilesSource.js";
+
+const OSM_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const OSM_ATTRIBUTION = '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const DEFAULT_MAX_ZOOM = 19;
+
+const toNumber = (value) => value === undefined || value === null || value === '' ? undefined : Number(value);
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// One layer from its definition (see createTileLayers). Relative paths are resolved against `baseDir`.
+function createTileLayer(definition, { id, baseDir }) {
+  const provider = (definition.provider || 'osm').toLowerCase();
+  const layer = {
+    id,
+    name: definition.name,
+    attribution: definition.attribution,
+    minZoom: toNumber(definition.minZoom),
+    maxZoom: toNumber(definition.maxZoom),
+    subdomains: definition.subdomains,
+  };
+
+  switch (provider) {
+    case 'osm':
+      return { ...layer, name: layer.name || 'OpenStreetMap', url: OSM_URL, attribution: layer.attribution || OSM_ATTRIBUTION, maxZoom: layer.maxZoom ?? DEFAULT_MAX_ZOOM, subdomains: 'abc' };
+    case 'url':
+      if (!definition.url) {
+        throw new Error(`A tile URL is required for the "url" tile layer ${id}.`);
+      }
+      return { ...layer, name: layer.name || 'Map', url: definition.url, maxZoom: layer.maxZoom ?? DEFAULT_MAX_ZOOM };
+    case 'directory':
+    case 'mbtiles': {
+      const location = provider === 'directory' ? definition.dir : definition.file;
+      if (!location) {
+        throw new Error(`A ${provider === 'directory' ? 'directory' : 'file'} is required for the "${provider}" tile layer ${id}.`);
+      }
+      const source = provider === 'directory'
+        ? createDirectorySource({ dir: path.resolve(baseDir, location), format: definition.format })
+        : createMbtilesSource({ file: path.resolve(baseDir, location) });
+      const fromFile = source.metadata || {};
+      // Served by this backend, see the /tiles route in server.js
+      return {
+        ...layer,
+        name: layer.name || fromFile.name || 'Map',
+        url: `/tiles/${id}/{z}/{x}/{y}.${source.format}`,
+        attribution: layer.attribution ?? fromFile.attribution,
+        minZoom: layer.minZoom ?? fromFile.minZoom,
+        maxZoom: layer.maxZoom ?? fromFile.maxZoom ?? DEFAULT_MAX_ZOOM,
+        source,
+      };
+    }
+    default:
+      throw new Error(`Unknown tile provider "${provider}" for tile layer ${id}. Use osm, url, directory or mbtiles.`);
+  }
+}
+
+/**
+ * Creates the map tile layers selected by env config; the first one is shown by default.
+ * Every layer is { id, name, url, attribution, minZoom, maxZoom, subdomains } with a Leaflet URL
+ * template. Layers served by this backend (directory and mbtiles) also have a `source` implementing
+ *   getTile(z, x, y) -> { data: Buffer, contentType } or null if there is no such tile
+ *
+ * TILE_PROVIDER: "osm" (default, the public OpenStreetMap servers), "url" (any tile server, needs TILE_URL),
+ *   "directory" ({z}/{x}/{y} files in TILE_DIR) or "mbtiles" (TILE_MBTILES_FILE)
+ * TILE_URL, TILE_DIR, TILE_FORMAT (directory tiles, default png), TILE_MBTILES_FILE,
+ * TILE_NAME, TILE_ATTRIBUTION, TILE_MIN_ZOOM, TILE_MAX_ZOOM, TILE_SUBDOMAINS: settings for that layer
+ * TILE_LAYERS_FILE: JSON file with a list of layers to choose from instead, each
+ *   { id, name, provider, url, dir, format, file, attribution, minZoom, maxZoom, subdomains }
+ *   (paths relative to the file)
+ */
+export function createTileLayers(env = process.env) {
+  if (env.TILE_LAYERS_FILE) {
+    const file = path.resolve(env.TILE_LAYERS_FILE);
+    const definitions = JSON.parse(readFileSync(file, 'utf8'));
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error(`${file} must contain a list of tile layers.`);
+    }
+    const ids = new Set();
+    return definitions.map((definition, index) => {
+      const id = slugify(definition.id || definition.name || '') || `layer-${index + 1}`;
+      if (ids.has(id)) {
+        throw new Error(`Tile layer id "${id}" is used twice in ${file}.`);
+      }
+      ids.add(id);
+      return createTileLayer(definition, { id, baseDir: path.dirname(file) });
+    });
+  }
+
+  return [createTileLayer({
+    provider: env.TILE_PROVIDER,
+    name: env.TILE_NAME,
+    url: env.TILE_URL,
+    dir: env.TILE_DIR,
+    format: env.TILE_FORMAT,
+    file: env.TILE_MBTILES_FILE,
+    attribution: env.TILE_ATTRIBUTION,
+    minZoom: env.TILE_MIN_ZOOM,
+    maxZoom: env.TILE_MAX_ZOOM,
+    subdomains: env.TILE_SUBDOMAINS,
+  }, { id: 'default', baseDir: process.cwd() })];
+}
+
+// What the frontend gets to know about a layer (see GET /api/config)
+export function publicTileLayer({ source, ...layer }) {
+  return layer;
+}
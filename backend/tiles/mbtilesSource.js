@@ -0,0 +1,37 @@
+import Database from "better-sqlite3";
+import { contentTypeFor } from "../media/storage/contentTypes.js";
+
+// Leaflet can only draw raster tiles
+const RASTER_FORMATS = ['png', 'jpg', 'jpeg', 'webp'];
+
+/**
+ * Tiles from an MBTiles file (a SQLite database, see https://github.com/mapbox/mbtiles-spec).
+ * Name, attribution, format and zoom range come from the file's metadata table.
+ */
+export function createMbtilesSource({ file }) {
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  const metadata = Object.fromEntries(
+    db.prepare('SELECT name, value FROM metadata').all().map(row => [row.name, row.value])
+  );
+  const format = (metadata.format || 'png').toLowerCase();
+  if (!RASTER_FORMATS.includes(format)) {
+    throw new Error(`${file} holds "${format}" tiles; only raster MBTiles (${RASTER_FORMATS.join(', ')}) are supported.`);
+  }
+  const selectTile = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+
+  return {
+    name: `mbtiles (${file})`,
+    format,
+    metadata: {
+      name: metadata.name,
+      attribution: metadata.attribution,
+      minZoom: metadata.minzoom !== undefined ? Number(metadata.minzoom) : undefined,
+      maxZoom: metadata.maxzoom !== undefined ? Number(metadata.maxzoom) : undefined,
+    },
+    async getTile(z, x, y) {
+      // MBTiles rows count from the bottom (TMS), Leaflet's y from the top
+      const row = selectTile.get(z, x, 2 ** z - 1 - y);
+      return row ? { data: row.tile_data, contentType: contentTypeFor(`tile.${format}`) } : null;
+    },
+  };
+}
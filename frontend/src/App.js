@@ -3,19 +3,62 @@ import React from 'react';
 import { Routes, Route, Link } from 'react-router-dom';
 import MapTimelinePage from './pages/MapTimelinePage';
 import EventFormPage from './pages/EventFormPage';
+import EventEditPage from './pages/EventEditPage';
+import EventDetailPage from './pages/EventDetailPage';
+import ImportPage from './pages/ImportPage';
+import ReportPage from './pages/ReportPage';
+import StatsPage from './pages/StatsPage';
+import PersonPage from './pages/PersonPage';
+import LoginPage from './pages/LoginPage';
+import AdminUsersPage from './pages/AdminUsersPage';
+import ModerationPage from './pages/ModerationPage';
+import AdminPeoplePage from './pages/AdminPeoplePage';
+import RequireAuth from './components/RequireAuth';
+import { useAuth } from './context/AuthContext';
+import { hasPermission } from './permissions';
 import './App.css'; // Add some basic styling
 
 function App() {
+  const { user, logout } = useAuth();
+
   return (
     <div className="App">
       <nav className="main-nav">
         <Link to="/">Map & Timeline</Link>
-        <Link to="/create">Create Event</Link>
+        {/* Only show links the user's role can use */}
+        {hasPermission(user, 'events:create') && <Link to="/create">Create Event</Link>}
+        {hasPermission(user, 'events:create') && <Link to="/import">Import</Link>}
+        {hasPermission(user, 'events:read') && <Link to="/stats">Stats</Link>}
+        {hasPermission(user, 'events:read') && <Link to="/report">Report</Link>}
+        {hasPermission(user, 'events:moderate') && <Link to="/moderation">Moderation</Link>}
+        {hasPermission(user, 'people:manage') && <Link to="/admin/people">People</Link>}
+        {hasPermission(user, 'users:manage') && <Link to="/admin/users">Users</Link>}
+        {/* Logged-in state on the right */}
+        <span className="nav-user">
+          {user ? (
+            <>
+              <span>Logged in as <strong>{user.displayName || user.username}</strong> ({user.role})</span>
+              <button type="button" onClick={logout}>Log Out</button>
+            </>
+          ) : (
+            <Link to="/login">Log In</Link>
+          )}
+        </span>
       </nav>
       <main>
         <Routes>
-          <Route path="/" element={<MapTimelinePage />} />
-          <Route path="/create" element={<EventFormPage />} />
+          <Route path="/login" element={<LoginPage />} />
+          <Route path="/" element={<RequireAuth><MapTimelinePage /></RequireAuth>} />
+          <Route path="/create" element={<RequireAuth permission="events:create"><EventFormPage /></RequireAuth>} />
+          <Route path="/import" element={<RequireAuth permission="events:create"><ImportPage /></RequireAuth>} />
+          <Route path="/people/:name" element={<RequireAuth><PersonPage /></RequireAuth>} />
+          <Route path="/stats" element={<RequireAuth><StatsPage /></RequireAuth>} />
+          <Route path="/report" element={<RequireAuth><ReportPage /></RequireAuth>} />
+          <Route path="/events/:id" element={<RequireAuth><EventDetailPage /></RequireAuth>} />
+          <Route path="/events/:id/edit" element={<RequireAuth><EventEditPage /></RequireAuth>} />
+          <Route path="/moderation" element={<RequireAuth permission="events:moderate"><ModerationPage /></RequireAuth>} />
+          <Route path="/admin/people" element={<RequireAuth permission="people:manage"><AdminPeoplePage /></RequireAuth>} />
+          <Route path="/admin/users" element={<RequireAuth permission="users:manage"><AdminUsersPage /></RequireAuth>} />
           {/* Add other routes here if needed */}
         </Routes>
       </main>
@@ -23,4 +66,4 @@ function App() {
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
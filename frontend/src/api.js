@@ -0,0 +1,31 @@
+// Helpers for backend requests made with axios
+
+// Pull a readable message out of an axios error (validation errors are listed)
+export const errorMessage = (err, fallback) =>
+  err.response?.data?.errors?.join(', ') || err.response?.data?.message || err.message || fallback;
+
+// Requests with responseType 'blob' get their error body as a blob too; this reads it as JSON
+// (or drops it) so errorMessage can be used on the error
+export async function readBlobError(err) {
+  if (err.response?.data instanceof Blob) {
+    try {
+      err.response.data = JSON.parse(await err.response.data.text());
+    } catch {
+      err.response.data = null;
+    }
+  }
+  return err;
+}
+
+// Saves the body of a responseType 'blob' response as a file called `name`.
+// Downloads need the login token, so the file is fetched first and then saved from memory.
+export function downloadBlob(response, name) {
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
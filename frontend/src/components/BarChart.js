@@ -0,0 +1,34 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Simple bar chart drawn with CSS. Each bar is { key, label, value, to, title }: `to` makes the bar a link
+// (e.g. to the map with a matching filter) and `title` is shown on hover.
+// Horizontal charts list one bar per row with its label; column charts suit long series like months.
+function BarChart({ bars, orientation = 'horizontal', valueLabel = (value) => value, emptyText = 'No data.' }) {
+    if (bars.length === 0) return <p className="bar-chart-empty">{emptyText}</p>;
+    const max = Math.max(...bars.map(bar => bar.value), 1);
+
+    return (
+        <ol className={`bar-chart bar-chart-${orientation}`}>
+            {bars.map(bar => {
+                const size = `${(bar.value / max) * 100}%`;
+                const content = (
+                    <>
+                        <span className="bar-label">{bar.label}</span>
+                        <span className="bar-track">
+                            <span className="bar" style={orientation === 'vertical' ? { height: size } : { width: size }} />
+                        </span>
+                        <span className="bar-value">{valueLabel(bar.value)}</span>
+                    </>
+                );
+                return (
+                    <li key={bar.key} title={bar.title || `${bar.label}: ${valueLabel(bar.value)}`}>
+                        {bar.to ? <Link to={bar.to}>{content}</Link> : <span>{content}</span>}
+                    </li>
+                );
+            })}
+        </ol>
+    );
+}
+
+export default BarChart;
@@ -1,101 +1,141 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 
-// Receive unique options as props
-function EventFilter({ currentFilters, onFilterChange, peopleOptions = [], tagOptions = [] }) {
+// Filters with nothing selected
+export const EMPTY_FILTERS = {
+    search: '',
+    people: [], // Events must have these people (any or all of them, see peopleMode)
+    excludePeople: [], // ... and none of these
+    peopleMode: 'any',
+    tags: [],
+    excludeTags: [],
+    tagsMode: 'any',
+    from: '', // Date range as YYYY-MM-DD, both ends inclusive
+    to: '',
+    weekday: '', // Day of the week, '1' (Monday) to '7' (Sunday)
+};
 
-    // Use local state tied to props for controlled components
-    // Initialize directly from props
-    const [title, setTitle] = useState(currentFilters.title || '');
-    const [selectedPerson, setSelectedPerson] = useState(currentFilters.people || '');
-    const [selectedTag, setSelectedTag] = useState(currentFilters.tags || '');
+export const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 
-    // Effect to update local state if props change from parent (e.g., filters cleared)
-    // This ensures consistency if filters are reset externally
-    useEffect(() => {
-        setTitle(currentFilters.title || '');
-        setSelectedPerson(currentFilters.people || '');
-        setSelectedTag(currentFilters.tags || '');
-    }, [currentFilters]);
+// Chips for the chosen values of one field plus a dropdown to add more.
+// Clicking a chip switches it between "include" and "exclude"; × removes it.
+// `options` are { value, count } with the number of events each one matches.
+function ChipSelect({ label, options, included, excluded, mode, onChange }) {
+    const chosen = new Set([...included, ...excluded]);
 
-    // Unified handler for all filter changes
-    const handleChange = (e) => {
-        const { name, value } = e.target;
+    const handleAdd = (e) => {
+        const { value } = e.target;
+        if (value) onChange({ included: [...included, value], excluded, mode });
+    };
+    const toggleExclude = (value) => (included.includes(value)
+        ? onChange({ included: included.filter(v => v !== value), excluded: [...excluded, value], mode })
+        : onChange({ included: [...included, value], excluded: excluded.filter(v => v !== value), mode }));
+    const remove = (value) => onChange({
+        included: included.filter(v => v !== value),
+        excluded: excluded.filter(v => v !== value),
+        mode,
+    });
 
-        // Update local state immediately based on input name
-        if (name === 'title') setTitle(value);
-        if (name === 'people') setSelectedPerson(value);
-        if (name === 'tags') setSelectedTag(value);
+    return (
+        <div className="chip-select">
+            <div className="chip-select-header">
+                <strong>{label}</strong>
+                {/* Only matters with more than one included value */}
+                <select
+                    value={mode}
+                    onChange={(e) => onChange({ included, excluded, mode: e.target.value })}
+                    aria-label={`Match any or all ${label.toLowerCase()}`}
+                    disabled={included.length < 2}
+                >
+                    <option value="any">any of</option>
+                    <option value="all">all of</option>
+                </select>
+            </div>
+            <div className="chip-list">
+                {included.map(value => (
+                    <span key={value} className="chip">
+                        <button type="button" className="chip-label" onClick={() => toggleExclude(value)} title="Click to exclude instead">{value}</button>
+                        <button type="button" className="chip-remove" onClick={() => remove(value)} aria-label={`Remove ${value}`}>&times;</button>
+                    </span>
+                ))}
+                {excluded.map(value => (
+                    <span key={value} className="chip chip-excluded">
+                        <button type="button" className="chip-label" onClick={() => toggleExclude(value)} title="Click to include instead">not {value}</button>
+                        <button type="button" className="chip-remove" onClick={() => remove(value)} aria-label={`Remove ${value}`}>&times;</button>
+                    </span>
+                ))}
+                <select value="" onChange={handleAdd} aria-label={`Add ${label.toLowerCase()} filter`}>
+                    <option value="">+ Add...</option>
+                    {options.filter(option => !chosen.has(option.value)).map(option => (
+                        <option key={option.value} value={option.value}>
+                            {option.value} ({option.count})
+                        </option>
+                    ))}
+                </select>
+            </div>
+        </div>
+    );
+}
 
-        // IMPORTANT: Update parent state with the latest values
-        // We construct the new filter object based on the change
-        const newFilters = {
-            ...currentFilters, // Spread existing filters
-            [name]: value       // Update the changed one
-        };
-        onFilterChange(newFilters);
-    };
+// Receive unique options (with event counts) as props; `currentFilters` has the shape of EMPTY_FILTERS
+function EventFilter({ currentFilters, onFilterChange, peopleOptions = [], tagOptions = [] }) {
 
-    // Handler to clear all filters
-    const handleClearFilters = () => {
-        // Reset local state
-        setTitle('');
-        setSelectedPerson('');
-        setSelectedTag('');
-        // Notify parent to clear filters fully
-        onFilterChange({ title: '', people: '', tags: '' });
-    };
+    // Update parent state with the changed fields
+    const update = (changes) => onFilterChange({ ...currentFilters, ...changes });
+
+    const hasFilters = currentFilters.search || currentFilters.from || currentFilters.to || currentFilters.weekday
+        || ['people', 'excludePeople', 'tags', 'excludeTags'].some(name => currentFilters[name].length > 0);
 
     return (
         <div className="filters">
             <h3>Filter Events:</h3>
-            {/* Title Filter - Text Input */}
+            {/* Search - Text Input (server-side full-text search) */}
             <input
-                type="text"
-                name="title" // Matches state key and filter key
-                placeholder="Filter by Title"
-                value={title}
-                onChange={handleChange}
-                aria-label="Filter by Title" // Accessibility
-                style={{ marginRight: '10px' }} // Add some spacing
+                type="search"
+                name="search"
+                placeholder="Search title, description, people, tags, address"
+                value={currentFilters.search}
+                onChange={(e) => update({ search: e.target.value })}
+                aria-label="Search events" // Accessibility
+                size={40}
             />
 
-            {/* People Filter - Dropdown */}
-            <select
-                name="people" // Matches state key and filter key
-                value={selectedPerson}
-                onChange={handleChange}
-                aria-label="Filter by Person" // Accessibility
-                style={{ marginRight: '10px' }} // Add some spacing
-            >
-                <option value="">-- All People --</option>
-                {/* Ensure peopleOptions is an array before mapping */}
-                {Array.isArray(peopleOptions) && peopleOptions.map(person => (
-                    <option key={person} value={person}>
-                        {person}
-                    </option>
-                ))}
-            </select>
+            <ChipSelect
+                label="People"
+                options={peopleOptions}
+                included={currentFilters.people}
+                excluded={currentFilters.excludePeople}
+                mode={currentFilters.peopleMode}
+                onChange={({ included, excluded, mode }) => update({ people: included, excludePeople: excluded, peopleMode: mode })}
+            />
 
-            {/* Tags Filter - Dropdown */}
-            <select
-                name="tags" // Matches state key and filter key
-                value={selectedTag}
-                onChange={handleChange}
-                aria-label="Filter by Tag" // Accessibility
-                style={{ marginRight: '10px' }} // Add some spacing
-            >
-                <option value="">-- All Tags --</option>
-                 {/* Ensure tagOptions is an array before mapping */}
-                {Array.isArray(tagOptions) && tagOptions.map(tag => (
-                    <option key={tag} value={tag}>
-                        {tag}
-                    </option>
-                ))}
-            </select>
+            <ChipSelect
+                label="Tags"
+                options={tagOptions}
+                included={currentFilters.tags}
+                excluded={currentFilters.excludeTags}
+                mode={currentFilters.tagsMode}
+                onChange={({ included, excluded, mode }) => update({ tags: included, excludeTags: excluded, tagsMode: mode })}
+            />
+
+            {/* Date range (either end may be left open) */}
+            <div className="date-range">
+                <label>
+                    From{' '}
+                    <input type="date" value={currentFilters.from} max={currentFilters.to || undefined} onChange={(e) => update({ from: e.target.value })} />
+                </label>
+                <label>
+                    To{' '}
+                    <input type="date" value={currentFilters.to} min={currentFilters.from || undefined} onChange={(e) => update({ to: e.target.value })} />
+                </label>
+                <select value={currentFilters.weekday} onChange={(e) => update({ weekday: e.target.value })} aria-label="Day of the week">
+                    <option value="">Any day</option>
+                    {WEEKDAYS.map((name, index) => <option key={name} value={String(index + 1)}>{name}s</option>)}
+                </select>
+            </div>
 
-            <button onClick={handleClearFilters} style={{ padding: '8px 12px' }}>Clear Filters</button>
+            <button type="button" onClick={() => onFilterChange(EMPTY_FILTERS)} disabled={!hasFilters} style={{ padding: '8px 12px' }}>Clear Filters</button>
         </div>
     );
 }
 
-export default EventFilter;
\ No newline at end of file
+export default EventFilter;
@@ -1,5 +1,8 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import axios from 'axios';
+import LocationPicker from './LocationPicker';
+import ImagePicker from './ImagePicker';
+import EventImageManager from './EventImageManager';
 
 // Define API URL
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
@@ -17,20 +20,40 @@ function debounce(func, wait) {
   };
 }
 
-function EventForm() {
-  const [title, setTitle] = useState('');
-  const [description, setDescription] = useState(''); // Added description state
-  const [people, setPeople] = useState('');
-  const [date, setDate] = useState('');
-  const [address, setAddress] = useState('');
-  const [tags, setTags] = useState('');
-  const [images, setImages] = useState(null); // Initialize as null or empty FileList
+// Values of the text fields for an event (empty for a new one), as shown in the form.
+// The date input only has the day, so an edit leaves the stored time of day alone unless the day changes.
+function formFields(event) {
+  return {
+    title: event?.title || '',
+    description: event?.description || '',
+    people: event?.people?.join(', ') || '',
+    date: typeof event?.date === 'string' ? event.date.slice(0, 10) : '',
+    address: event?.location?.address || '',
+    tags: event?.tags?.join(', ') || '',
+  };
+}
+
+// Pass an existing `event` to edit it instead of creating a new one.
+// `onSaved` is called with the saved event after a successful submit.
+function EventForm({ event: existingEvent = null, onSaved }) {
+  const isEditing = Boolean(existingEvent?._id);
+  // Initial values come from the existing event when editing
+  const initialFields = formFields(existingEvent);
+  const [title, setTitle] = useState(initialFields.title);
+  const [description, setDescription] = useState(initialFields.description); // Added description state
+  const [people, setPeople] = useState(initialFields.people);
+  const [date, setDate] = useState(initialFields.date);
+  const [address, setAddress] = useState(initialFields.address);
+  const [tags, setTags] = useState(initialFields.tags);
+  const [images, setImages] = useState([]); // New images as { key, file, caption, alt }, in upload order
+  // Manually dropped pin as [lat, lng]; when set, the backend skips geocoding
+  const [pinnedPosition, setPinnedPosition] = useState(null);
+  const [showLocationPicker, setShowLocationPicker] = useState(false);
   const [addressSuggestions, setAddressSuggestions] = useState([]);
   const [loadingSuggestions, setLoadingSuggestions] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const addressInputRef = useRef(null); // Ref for address input container
-  const fileInputRef = useRef(null); // Ref for file input
 
   // Debounced function to fetch address suggestions
   const fetchAddressSuggestions = useCallback(
@@ -44,24 +67,21 @@ function EventForm() {
       setLoadingSuggestions(true);
       setError(''); // Clear previous errors
       try {
-        const response = await axios.get("https://nominatim.openstreetmap.org/search", {
-          params: { q: query, format: "json", limit: 5, addressdetails: 1 },
-          headers: {
-             // IMPORTANT: Replace with your actual app name/email for Nominatim TOS
-            'User-Agent': 'TimelineMapApp/1.0 (nick@example.com)'
-          }
+        // Suggestions are proxied through the backend, which uses the configured geocoder
+        const response = await axios.get(`${API_URL}/geocode/suggest`, {
+          params: { q: query, limit: 5 }
         });
-        // console.log("Nominatim response:", response.data);
+        // console.log("Suggestion response:", response.data);
         setAddressSuggestions(response.data || []);
       } catch (err) {
         console.error("Error fetching address suggestions:", err);
         // Check network error vs API error
         if (err.response) {
-            console.error("Nominatim Error Data:", err.response.data);
-            console.error("Nominatim Error Status:", err.response.status);
+            console.error("Suggestion Error Data:", err.response.data);
+            console.error("Suggestion Error Status:", err.response.status);
              setError(`Could not fetch suggestions (Status: ${err.response.status}).`);
         } else if (err.request) {
-             console.error("Nominatim request made but no response received:", err.request);
+             console.error("Suggestion request made but no response received:", err.request);
              setError('Network error: Could not reach address suggestion service.');
         } else {
             setError('Error setting up address suggestion request.');
@@ -89,9 +109,8 @@ function EventForm() {
     setError(''); // Clear error if suggestion selected
   };
 
-  const handleImageChange = (e) => {
-    // e.target.files is a FileList, store it directly
-    setImages(e.target.files);
+  const handleImagesChange = (newImages) => {
+    setImages(newImages);
     setSuccess(''); // Clear success message
   };
 
@@ -107,30 +126,47 @@ function EventForm() {
         return;
     }
 
+    // An edit only sends the fields that changed, so untouched ones (like the time of day) are kept
+    // and the history doesn't record changes nobody made
     const formData = new FormData();
-    formData.append('title', title);
-    formData.append('description', description); // Added description to form data
-    formData.append('people', people);
-    formData.append('date', date);
-    formData.append('address', address);
-    formData.append('tags', tags);
+    Object.entries({ title, description, people, date, address, tags }).forEach(([name, value]) => {
+        if (!isEditing || value !== initialFields[name]) formData.append(name, value);
+    });
+    if (pinnedPosition) {
+        formData.append('lat', pinnedPosition[0]);
+        formData.append('lon', pinnedPosition[1]);
+    }
 
-    // Append images from the FileList state
-    if (images) { // Check if images FileList is not null/undefined
-        for (let i = 0; i < images.length; i++) {
-            formData.append('images', images[i]); // Append each File object
-        }
+    // Append images in the chosen order, with their captions and alt texts in the same order
+    if (images.length > 0) {
+        images.forEach(image => formData.append('images', image.file));
+        formData.append('imageDetails', JSON.stringify(images.map(({ caption, alt }) => ({ caption, alt }))));
     }
 
     // console.log("Submitting FormData (excluding file content):", Object.fromEntries(formData.entries()));
 
     try {
       // Use the API_URL defined earlier
-      const response = await axios.post(`${API_URL}/events`, formData, {
-        // Content-Type is set automatically by browser for FormData
-      });
+      // Content-Type is set automatically by browser for FormData
+      const response = isEditing
+        ? await axios.patch(`${API_URL}/events/${existingEvent._id}`, formData)
+        : await axios.post(`${API_URL}/events`, formData);
+
+      if (isEditing) {
+        console.log("Event update successful:", response.data);
+        setSuccess(`Event "${response.data.title}" updated successfully!`);
+        setImages([]); // New images are now part of the event
+        setPinnedPosition(null); // Pin is now the stored location
+        setShowLocationPicker(false);
+        if (onSaved) onSaved(response.data);
+        return;
+      }
+
       console.log("Event creation successful:", response.data);
-      setSuccess(`Event "${response.data.title}" created successfully!`);
+      setSuccess(response.data.status === 'pending'
+        ? `Event "${response.data.title}" submitted! It will appear on the map once a moderator approves it.`
+        : `Event "${response.data.title}" created successfully!`);
+      if (onSaved) onSaved(response.data);
       // Reset form fields
       setTitle('');
       setDescription(''); // Added reset for description
@@ -138,17 +174,15 @@ function EventForm() {
       setDate('');
       setAddress('');
       setTags('');
-      setImages(null); // Reset image state to null or empty FileList
+      setImages([]); // Reset image selection
+      setPinnedPosition(null);
+      setShowLocationPicker(false);
       setAddressSuggestions([]); // Clear suggestions
-      // Clear file input visually using the ref
-      if (fileInputRef.current) {
-        fileInputRef.current.value = "";
-      }
 
     } catch (err) {
       console.error("Error submitting event:", err);
       // Provide more specific feedback from backend if available
-      let message = "Failed to create event.";
+      let message = isEditing ? "Failed to update event." : "Failed to create event.";
        if (err.response) {
           console.error("Backend Error Data:", err.response.data);
           console.error("Backend Error Status:", err.response.status);
@@ -162,12 +196,18 @@ function EventForm() {
           console.error("Backend request made but no response received:", err.request);
           message = 'Network error: Could not reach the server.';
        } else {
-           message = 'Error setting up the event creation request.';
+           message = `Error setting up the event ${isEditing ? 'update' : 'creation'} request.`;
        }
        setError(message);
     }
   };
 
+  // Stored location of the event being edited, as [lat, lng] for the picker
+  const existingCoordinates = existingEvent?.location?.coordinates;
+  const existingPosition = Array.isArray(existingCoordinates) && existingCoordinates.length === 2
+    ? [existingCoordinates[1], existingCoordinates[0]]
+    : null;
+
   // Close suggestions when clicking outside the address input container
   useEffect(() => {
       const handleClickOutside = (event) => {
@@ -249,25 +289,46 @@ function EventForm() {
           )}
         </div>
 
+        {/* Manual location: drop a pin when the geocoder picks the wrong place */}
+        <div>
+          <button type="button" onClick={() => setShowLocationPicker(prev => !prev)}>
+            {showLocationPicker ? 'Hide Map' : 'Drop a Pin on the Map'}
+          </button>
+          {pinnedPosition && (
+            <small style={{ marginLeft: '10px' }}>
+              Pinned at {pinnedPosition[0].toFixed(5)}, {pinnedPosition[1].toFixed(5)}{' '}
+              <button type="button" onClick={() => setPinnedPosition(null)} style={{ padding: '2px 6px', fontSize: '0.85em' }}>Clear Pin</button>
+            </small>
+          )}
+          {showLocationPicker && (
+            <div style={{ marginTop: '10px' }}>
+              <small style={{ display: 'block', marginBottom: '5px' }}>
+                Click the map to set the exact location. The address text is still saved as entered.
+              </small>
+              <LocationPicker
+                position={pinnedPosition || existingPosition}
+                onChange={setPinnedPosition}
+              />
+            </div>
+          )}
+        </div>
+
          <div>
              <label htmlFor="tags">Tags</label>
              <input type="text" id="tags" placeholder="Comma separated tags (e.g., conference, meetup)" value={tags} onChange={(e) => setTags(e.target.value)} />
          </div>
 
+        {/* Existing images when editing are saved right away (new uploads are added after them) */}
+        {isEditing && (
+          <EventImageManager event={existingEvent} onChange={(updatedEvent) => { if (onSaved) onSaved(updatedEvent); }} />
+        )}
+
         <div>
-           <label htmlFor="images">Images</label>
-           <input
-             type="file"
-             id="images"
-             name="images" // Name attribute can be useful
-             multiple
-             onChange={handleImageChange}
-             accept="image/*" // Accept only image files
-             ref={fileInputRef} // Assign the ref here
-            />
+           <label htmlFor="images">{isEditing ? 'Add Images' : 'Images'}</label>
+           <ImagePicker items={images} onChange={handleImagesChange} />
         </div>
 
-        <button type="submit">Add Event</button>
+        <button type="submit">{isEditing ? 'Save Changes' : 'Add Event'}</button>
       </form>
     </div>
   );
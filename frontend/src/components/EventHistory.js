@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { format, parseISO, isValid } from 'date-fns';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Deleted',
+  moderate: 'Moderated',
+  restore: 'Restored',
+};
+
+const FIELD_LABELS = {
+  'location.address': 'Address',
+  'location.coordinates': 'Coordinates',
+  moderationReason: 'Moderation reason',
+};
+
+// Formats a field value from a revision for display
+function formatValue(field, value) {
+  if (value === undefined || value === null || value === '') return '-';
+  if (field === 'date') {
+    const date = parseISO(value);
+    return isValid(date) ? format(date, 'MMM d, yyyy HH:mm') : String(value);
+  }
+  if (field === 'location.coordinates' && Array.isArray(value) && value.length === 2) {
+    return `${value[1]}, ${value[0]}`; // Stored as [lon, lat]
+  }
+  if (field === 'images' && Array.isArray(value)) {
+    // Images are { path, caption, alt } (plain paths in old revisions)
+    const fileName = (imagePath) => String(imagePath || '?').split('/').pop();
+    const describe = (image) => (typeof image === 'string' ? fileName(image) : image?.caption || fileName(image?.path));
+    return value.length > 0 ? value.map(describe).join(', ') : '-';
+  }
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '-';
+  return String(value);
+}
+
+// Lists every change to an event, newest first. `onRestored` is called with the
+// event after a revision was restored.
+function EventHistory({ eventId, onRestored }) {
+  const [revisions, setRevisions] = useState([]);
+  const [deleted, setDeleted] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const fetchHistory = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    return axios.get(`${API_URL}/events/${eventId}/history`)
+      .then(response => {
+        setRevisions(response.data.revisions || []);
+        setDeleted(Boolean(response.data.deleted));
+      })
+      .catch(err => {
+        console.error("Error fetching event history:", err);
+        setError(err.response?.data?.message || err.message || "Failed to load history.");
+      })
+      .finally(() => setLoading(false));
+  }, [eventId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore the event as it was on ${format(parseISO(revision.createdAt), 'MMM d, yyyy HH:mm')}?`)) return;
+    setRestoringId(revision._id);
+    try {
+      const response = await axios.post(`${API_URL}/events/${eventId}/history/${revision._id}/restore`);
+      if (onRestored) onRestored(response.data);
+      await fetchHistory();
+    } catch (err) {
+      console.error("Error restoring revision:", err);
+      const message = err.response?.data?.errors?.join(', ') || err.response?.data?.message || err.message || "Failed to restore revision.";
+      window.alert(`Error: ${message}`);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (loading && revisions.length === 0) return <div>Loading history...</div>;
+  if (error) return <div style={{ color: 'red' }}>Error: {error}</div>;
+  if (revisions.length === 0) return <p>No changes have been recorded for this event yet.</p>;
+
+  return (
+    <div className="event-history">
+      {deleted && <p><strong>This event was deleted.</strong> Restore a revision to bring it back.</p>}
+      <ol>
+        {revisions.map((revision, index) => (
+          <li key={revision._id} className="revision">
+            <div className="revision-header">
+              <span>
+                <strong>{ACTION_LABELS[revision.action] || revision.action}</strong>
+                {' by '}{revision.actor?.displayName || revision.actor?.username || 'unknown'}
+                {' on '}{format(parseISO(revision.createdAt), 'MMM d, yyyy HH:mm')}
+              </span>
+              {/* The newest revision is the current state, unless the event was deleted */}
+              {revision.snapshot && revision.action !== 'delete' && (index > 0 || deleted) && (
+                <button type="button" onClick={() => handleRestore(revision)} disabled={restoringId !== null}>
+                  {restoringId === revision._id ? 'Restoring...' : 'Restore this revision'}
+                </button>
+              )}
+              {revision.action === 'delete' && index === 0 && (
+                <button type="button" onClick={() => handleRestore(revision)} disabled={restoringId !== null}>
+                  {restoringId === revision._id ? 'Restoring...' : 'Undo delete'}
+                </button>
+              )}
+            </div>
+            {revision.action !== 'delete' && revision.changes?.length > 0 && (
+              <table className="revision-changes">
+                <tbody>
+                  {revision.changes.map(change => (
+                    <tr key={change.field}>
+                      <th>{FIELD_LABELS[change.field] || change.field}</th>
+                      <td><del>{formatValue(change.field, change.from)}</del></td>
+                      <td>{formatValue(change.field, change.to)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default EventHistory;
@@ -0,0 +1,95 @@
+import React, { useState, useRef } from 'react';
+import axios from 'axios';
+import { imageUrl, imageAlt, moveItem } from '../images';
+import { errorMessage } from '../api';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Edits the images an event already has: captions, alt texts, order and removal.
+// Every change is saved right away; `onChange` is called with the updated event.
+function EventImageManager({ event, onChange }) {
+  const [drafts, setDrafts] = useState({}); // Unsaved { caption, alt } per image id
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const dragIndex = useRef(null);
+  const images = event.images || [];
+
+  const request = async (action, fallback) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await action();
+      onChange(response.data);
+      return true;
+    } catch (err) {
+      console.error(fallback, err);
+      setError(errorMessage(err, fallback));
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const draftFor = (image) => drafts[image._id] || { caption: image.caption || '', alt: image.alt || '' };
+  const isChanged = (image) => {
+    const draft = draftFor(image);
+    return draft.caption !== (image.caption || '') || draft.alt !== (image.alt || '');
+  };
+  const updateDraft = (image, changes) => setDrafts(prev => ({ ...prev, [image._id]: { ...draftFor(image), ...changes } }));
+
+  const handleSave = async (image) => {
+    const saved = await request(
+      () => axios.patch(`${API_URL}/events/${event._id}/images/${image._id}`, draftFor(image)),
+      "Failed to save the caption."
+    );
+    if (saved) setDrafts(prev => { const { [image._id]: _saved, ...rest } = prev; return rest; });
+  };
+
+  const handleRemove = (image, index) => {
+    if (!window.confirm(`Remove image ${index + 1} from this event?`)) return;
+    request(() => axios.delete(`${API_URL}/events/${event._id}/images/${image._id}`), "Failed to remove the image.");
+  };
+
+  const handleMove = (from, to) => {
+    if (from === to || to < 0 || to >= images.length) return;
+    const order = moveItem(images, from, to).map(image => image._id);
+    request(() => axios.put(`${API_URL}/events/${event._id}/images/order`, { order }), "Failed to reorder the images.");
+  };
+
+  if (images.length === 0) return null;
+
+  return (
+    <div className="image-picker">
+      <label>Current Images</label>
+      {error && <p style={{ color: 'red' }}>Error: {error}</p>}
+      <ul className="image-list">
+        {images.map((image, index) => (
+          <li
+            key={image._id}
+            draggable={!busy}
+            onDragStart={() => { dragIndex.current = index; }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => { handleMove(dragIndex.current, index); dragIndex.current = null; }}
+          >
+            <a href={imageUrl(image)} target="_blank" rel="noreferrer">
+              <img src={imageUrl(image, 'thumbnail')} alt={imageAlt(image, event, index)} onError={(e) => { e.target.style.display='none'; }} />
+            </a>
+            <div className="image-fields">
+              <input type="text" placeholder="Caption" value={draftFor(image).caption} maxLength={500} onChange={(e) => updateDraft(image, { caption: e.target.value })} />
+              <input type="text" placeholder="Alt text (describe the image)" value={draftFor(image).alt} maxLength={500} onChange={(e) => updateDraft(image, { alt: e.target.value })} />
+            </div>
+            <div className="image-actions">
+              <button type="button" onClick={() => handleSave(image)} disabled={busy || !isChanged(image)}>Save</button>
+              <button type="button" onClick={() => handleMove(index, index - 1)} disabled={busy || index === 0} title="Move up">&uarr;</button>
+              <button type="button" onClick={() => handleMove(index, index + 1)} disabled={busy || index === images.length - 1} title="Move down">&darr;</button>
+              <button type="button" onClick={() => handleRemove(image, index)} disabled={busy}>Remove</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default EventImageManager;
@@ -1,10 +1,27 @@
 import React from 'react';
 import { format } from 'date-fns';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission, canModifyEvent, canDeleteEvent } from '../permissions';
+import { imageUrl, imageAlt } from '../images';
 
-// Define the correct base URL for static assets (images)
-const BACKEND_BASE_URL = process.env.REACT_APP_BACKEND_BASE_URL || (process.env.REACT_APP_API_URL ? process.env.REACT_APP_API_URL.replace('/api', '') : 'http://localhost:5000');
+// Renders a search fragment with its matched ranges wrapped in <mark>
+function HighlightedFragment({ fragment, matches = [] }) {
+  const parts = [];
+  let position = 0;
+  matches.forEach(([start, end], index) => {
+    if (start > position) parts.push(fragment.slice(position, start));
+    parts.push(<mark key={index}>{fragment.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < fragment.length) parts.push(fragment.slice(position));
+  return <>{parts}</>;
+}
 
-function EventTable({ events, selectedDate }) {
+// `onDelete` / `onHide` are called with an event when its delete / hide action is clicked.
+// `heading` replaces "Events for <selectedDate>", e.g. for a date range.
+function EventTable({ events, selectedDate, heading, onDelete, onHide }) {
+  const { user } = useAuth();
 
   // Handle cases where events might not be an array yet or is empty
   if (!Array.isArray(events) || events.length === 0) {
@@ -12,6 +29,8 @@ function EventTable({ events, selectedDate }) {
         <div className="event-table-container">
             {selectedDate instanceof Date && !isNaN(selectedDate) ? (
                 <p>No events found for {format(selectedDate, 'MMMM dd, yyyy')} matching the current filters.</p>
+            ) : heading ? (
+                <p>No events found matching the current filters.</p>
             ) : (
                 // Avoid showing this if selectedDate is null but events exist elsewhere
                 selectedDate !== null && <p>Invalid date selected.</p>
@@ -28,7 +47,7 @@ function EventTable({ events, selectedDate }) {
 
   return (
     <div className="event-table-container">
-      <h2>Events for {formattedDate}</h2>
+      <h2>{heading || `Events for ${formattedDate}`}</h2>
       <table className="event-table">
         <thead>
           <tr>
@@ -38,6 +57,8 @@ function EventTable({ events, selectedDate }) {
             <th>Address</th>
             <th>Tags</th>
             <th>Images</th>
+            <th>Added By</th>
+            <th>Actions</th>
           </tr>
         </thead>
         <tbody>
@@ -45,7 +66,20 @@ function EventTable({ events, selectedDate }) {
             // Ensure event has an _id before rendering row
             event?._id ? (
               <tr key={event._id}>
-                <td>{event.title || '-'}</td>
+                <td>
+                  <Link to={`/events/${event._id}`}>{event.title || '-'}</Link>
+                  {/* Search matches (only present when the events were fetched with a search) */}
+                  {Array.isArray(event.highlights) && event.highlights.length > 0 && (
+                    <ul className="search-highlights">
+                      {event.highlights.map((highlight, index) => (
+                        <li key={`${event._id}-hl-${index}`}>
+                          <small>{highlight.field === 'location.address' ? 'address' : highlight.field}: </small>
+                          <HighlightedFragment fragment={highlight.fragment} matches={highlight.matches} />
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
                 <td>{event.description || '-'}</td> {/* Added data cell for description */}
                 <td>{Array.isArray(event.people) && event.people.length > 0 ? event.people.join(', ') : '-'}</td>
                 <td>{event.location?.address || '-'}</td>
@@ -53,25 +87,39 @@ function EventTable({ events, selectedDate }) {
                 <td>
                   {/* Check if images exist and is an array */}
                   {Array.isArray(event.images) && event.images.length > 0 ? (
-                    event.images.map((imgSrc, index) => (
-                      // Ensure imgSrc is a non-empty string before rendering image
-                      imgSrc && typeof imgSrc === 'string' ? (
-                        <img
-                          key={`${event._id}-img-${index}`} // More unique key
-                          src={`${BACKEND_BASE_URL}${imgSrc}`}
-                          alt={`${event.title || 'Event'} image ${index + 1}`}
-                          onError={(e) => {
-                              console.warn(`Failed to load image: ${e.target.src}`);
-                              e.target.style.display='none'; // Hide broken images
-                          }}
-                          style={{ maxWidth: '50px', maxHeight: '50px', marginRight: '5px', verticalAlign: 'middle', border: '1px solid #eee' }}
-                        />
-                      ) : null // Don't render img tag if imgSrc is empty/null or not a string
+                    event.images.map((image, index) => (
+                      // Ensure the image has a path before rendering it
+                      image?.path ? (
+                        <a key={image._id || `${event._id}-img-${index}`} href={imageUrl(image)} target="_blank" rel="noreferrer" title={image.caption || undefined}>
+                          <img
+                            src={imageUrl(image, 'thumbnail')}
+                            alt={imageAlt(image, event, index)}
+                            onError={(e) => {
+                                console.warn(`Failed to load image: ${e.target.src}`);
+                                e.target.style.display='none'; // Hide broken images
+                            }}
+                            style={{ maxWidth: '50px', maxHeight: '50px', marginRight: '5px', verticalAlign: 'middle', border: '1px solid #eee' }}
+                          />
+                        </a>
+                      ) : null // Don't render img tag if the image has no path
                     ))
                   ) : (
                     '-' // Display hyphen if no images
                   )}
                 </td>
+                <td>{event.createdBy?.displayName || event.createdBy?.username || '-'}</td>
+                <td className="event-actions">
+                  {/* Only show actions the user's role allows */}
+                  {canModifyEvent(user, event) && (
+                    <Link to={`/events/${event._id}/edit`}>Edit</Link>
+                  )}
+                  {onHide && hasPermission(user, 'events:moderate') && (
+                    <button type="button" className="secondary" onClick={() => onHide(event)}>Hide</button>
+                  )}
+                  {onDelete && canDeleteEvent(user, event) && (
+                    <button type="button" onClick={() => onDelete(event)}>Delete</button>
+                  )}
+                </td>
               </tr>
             ) : null // Don't render row if event or event._id is missing
           ))}
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { format as formatDate } from 'date-fns';
+import { errorMessage, readBlobError, downloadBlob } from '../api';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Formats of GET /api/events/export (the file extension is the format name)
+const EXPORT_FORMATS = [
+    { value: 'geojson', label: 'GeoJSON' },
+    { value: 'kml', label: 'KML (Google Earth)' },
+    { value: 'csv', label: 'CSV (spreadsheet)' },
+    { value: 'ics', label: 'Calendar (.ics)' },
+    { value: 'zip', label: 'ZIP (JSON and images)' },
+];
+
+// Downloads every event matching `params` (GET /api/events query parameters) in the chosen format
+function ExportButton({ params, label = 'Export' }) {
+    const [exportFormat, setExportFormat] = useState('geojson');
+    const [exporting, setExporting] = useState(false);
+
+    const handleExport = async () => {
+        setExporting(true);
+        try {
+            const response = await axios.get(`${API_URL}/events/export`, {
+                params: { ...params, format: exportFormat },
+                paramsSerializer: { indexes: null }, // Lists as repeated parameters (people=a&people=b)
+                responseType: 'blob',
+            });
+            downloadBlob(response, `events-${formatDate(new Date(), 'yyyy-MM-dd')}.${exportFormat}`);
+        } catch (err) {
+            console.error("Error exporting events:", err);
+            window.alert(`Error: ${errorMessage(await readBlobError(err), "Failed to export events.")}`);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <span className="export-button">
+            <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} aria-label="Export format">
+                {EXPORT_FORMATS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            <button type="button" onClick={handleExport} disabled={exporting}>
+                {exporting ? 'Exporting...' : label}
+            </button>
+        </span>
+    );
+}
+
+export default ExportButton;
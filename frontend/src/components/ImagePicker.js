@@ -0,0 +1,71 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { moveItem } from '../images';
+
+// Images chosen for upload, with previews, captions and alt texts.
+// `items` is an array of { key, file, caption, alt } in upload order; `onChange` gets the new array.
+function ImagePicker({ items, onChange, maxFiles = 5 }) {
+  const dragIndex = useRef(null);
+
+  // Object URLs for the previews, revoked again when the selection changes or the picker unmounts
+  const previews = useMemo(() => new Map(items.map(item => [item.key, URL.createObjectURL(item.file)])), [items]);
+  useEffect(() => () => previews.forEach(url => URL.revokeObjectURL(url)), [previews]);
+
+  const handleFilesChosen = (e) => {
+    const files = Array.from(e.target.files || []);
+    const added = files.map(file => ({ key: `${file.name}-${file.lastModified}-${Math.random()}`, file, caption: '', alt: '' }));
+    onChange([...items, ...added].slice(0, maxFiles));
+    e.target.value = ''; // Allow choosing the same file again after removing it
+  };
+
+  const updateItem = (index, changes) => onChange(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+
+  const handleDrop = (index) => {
+    if (dragIndex.current !== null && dragIndex.current !== index) {
+      onChange(moveItem(items, dragIndex.current, index));
+    }
+    dragIndex.current = null;
+  };
+
+  return (
+    <div className="image-picker">
+      <input
+        type="file"
+        id="images"
+        name="images"
+        multiple
+        onChange={handleFilesChosen}
+        accept="image/*" // Accept only image files
+        disabled={items.length >= maxFiles}
+      />
+      <small style={{ display: 'block', marginTop: '5px' }}>
+        Up to {maxFiles} images at a time. Drag them to change the order.
+      </small>
+      {items.length > 0 && (
+        <ul className="image-list">
+          {items.map((item, index) => (
+            <li
+              key={item.key}
+              draggable
+              onDragStart={() => { dragIndex.current = index; }}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => handleDrop(index)}
+            >
+              <img src={previews.get(item.key)} alt={item.alt || item.file.name} />
+              <div className="image-fields">
+                <input type="text" placeholder="Caption" value={item.caption} maxLength={500} onChange={(e) => updateItem(index, { caption: e.target.value })} />
+                <input type="text" placeholder="Alt text (describe the image)" value={item.alt} maxLength={500} onChange={(e) => updateItem(index, { alt: e.target.value })} />
+              </div>
+              <div className="image-actions">
+                <button type="button" onClick={() => onChange(moveItem(items, index, index - 1))} disabled={index === 0} title="Move up">&uarr;</button>
+                <button type="button" onClick={() => onChange(moveItem(items, index, index + 1))} disabled={index === items.length - 1} title="Move down">&darr;</button>
+                <button type="button" onClick={() => onChange(items.filter((_, i) => i !== index))}>Remove</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ImagePicker;
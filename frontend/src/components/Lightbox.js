@@ -0,0 +1,47 @@
+import React, { useEffect, useCallback } from 'react';
+import { imageUrl, imageAlt } from '../images';
+
+// Full-screen view of an event's images. `index` is the image shown; `onIndexChange`
+// moves to another one and `onClose` closes the lightbox. Arrow keys and Escape work too.
+function Lightbox({ event, index, onIndexChange, onClose }) {
+  const images = event?.images || [];
+  const count = images.length;
+
+  const showPrevious = useCallback(() => onIndexChange((index - 1 + count) % count), [index, count, onIndexChange]);
+  const showNext = useCallback(() => onIndexChange((index + 1) % count), [index, count, onIndexChange]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowLeft') showPrevious();
+      else if (e.key === 'ArrowRight') showNext();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, showPrevious, showNext]);
+
+  const image = images[index];
+  if (!image) return null;
+
+  return (
+    // Clicking the backdrop closes the lightbox, clicks on its content don't
+    <div className="lightbox" role="dialog" aria-modal="true" aria-label="Image viewer" onClick={onClose}>
+      <div className="lightbox-content" onClick={(e) => e.stopPropagation()}>
+        <img src={imageUrl(image)} alt={imageAlt(image, event, index)} />
+        <div className="lightbox-footer">
+          <span>{image.caption}</span>
+          <small>{index + 1} / {count}</small>
+        </div>
+      </div>
+      {count > 1 && (
+        <>
+          <button type="button" className="lightbox-prev" onClick={(e) => { e.stopPropagation(); showPrevious(); }} aria-label="Previous image">&lsaquo;</button>
+          <button type="button" className="lightbox-next" onClick={(e) => { e.stopPropagation(); showNext(); }} aria-label="Next image">&rsaquo;</button>
+        </>
+      )}
+      <button type="button" className="lightbox-close" onClick={onClose} aria-label="Close">&times;</button>
+    </div>
+  );
+}
+
+export default Lightbox;
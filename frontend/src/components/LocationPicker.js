@@ -0,0 +1,47 @@
+import React from 'react';
+import { MapContainer, Marker, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { DefaultTileLayer } from './TileLayers';
+
+import './leafletIcon'; // Default marker icon fix
+
+// Reports clicks on the map as [lat, lng]
+const ClickHandler = ({ onPick }) => {
+    useMapEvents({
+        click: (e) => onPick([e.latlng.lat, e.latlng.lng]),
+    });
+    return null;
+};
+
+// Small map for dropping a pin. `position` is [lat, lng] or null;
+// `onChange` receives the new [lat, lng] on click or after dragging the marker.
+function LocationPicker({ position, onChange }) {
+    const hasPosition = Array.isArray(position) && position.length === 2;
+
+    return (
+        <MapContainer
+            center={hasPosition ? position : [20, 0]}
+            zoom={hasPosition ? 15 : 2}
+            scrollWheelZoom={true}
+            style={{ height: '300px', width: '100%' }}
+            className="location-picker"
+        >
+            <DefaultTileLayer />
+            <ClickHandler onPick={onChange} />
+            {hasPosition && (
+                <Marker
+                    position={position}
+                    draggable={true}
+                    eventHandlers={{
+                        dragend: (e) => {
+                            const { lat, lng } = e.target.getLatLng();
+                            onChange([lat, lng]);
+                        },
+                    }}
+                />
+            )}
+        </MapContainer>
+    );
+}
+
+export default LocationPicker;
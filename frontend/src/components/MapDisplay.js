@@ -1,28 +1,59 @@
-import React, { useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import React, { useEffect, useMemo, useRef } from 'react';
+import { MapContainer, LayersControl, Marker, CircleMarker, Popup, useMap, useMapEvents } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission, canModifyEvent, canDeleteEvent } from '../permissions';
+import { imageUrl, imageAlt } from '../images';
+import { MarkerClusterGroup, HeatmapLayer } from './MapLayers';
+import { BaseTileLayers } from './TileLayers';
 
-// --- Icon Fix ---
-import markerIconPng from "leaflet/dist/images/marker-icon.png"
-import markerShadowPng from "leaflet/dist/images/marker-shadow.png"
-import { Icon } from 'leaflet'
-const defaultIcon = new Icon({
-    iconUrl: markerIconPng, shadowUrl: markerShadowPng, iconSize: [25, 41],
-    iconAnchor: [12, 41], popupAnchor: [1, -34], shadowSize: [41, 41]
-});
-L.Marker.prototype.options.icon = defaultIcon;
-// --- End Icon Fix ---
-
-// Define the correct base URL for static assets (images)
-const BACKEND_BASE_URL = process.env.REACT_APP_BACKEND_BASE_URL || (process.env.REACT_APP_API_URL ? process.env.REACT_APP_API_URL.replace('/api', '') : 'http://localhost:5000');
-
-// --- FitBounds Component ---
-const FitBounds = ({ events }) => {
+import './leafletIcon'; // Default marker icon fix
+
+// True if the map already shows `view` ({ center: [lat, lng], zoom }), give or take rounding
+const isShowingView = (map, view) => {
+    const center = map.getCenter();
+    return map.getZoom() === view.zoom
+        && Math.abs(center.lat - view.center[0]) < 1e-4
+        && Math.abs(center.lng - view.center[1]) < 1e-4;
+};
+
+// How a marker looks during timeline playback ({ from, to, fadeFrom }): events in the current
+// window are highlighted, the ones just before it fade out, older ones stay faintly visible and
+// later ones aren't shown yet (null).
+const MIN_OPACITY = 0.15;
+function playbackStyle(event, playback) {
+    if (!playback) return { opacity: 1, current: false };
+    const time = new Date(event.date).getTime();
+    if (time > playback.to.getTime()) return null;
+    if (time >= playback.from.getTime()) return { opacity: 1, current: true };
+    const fadeStart = playback.fadeFrom.getTime();
+    if (time < fadeStart || playback.from.getTime() === fadeStart) return { opacity: MIN_OPACITY, current: false };
+    const progress = (time - fadeStart) / (playback.from.getTime() - fadeStart); // 0 oldest .. 1 newest
+    return { opacity: MIN_OPACITY + (0.8 - MIN_OPACITY) * progress, current: false };
+}
+
+// --- MapViewController Component ---
+// Moves the map to `view` whenever it changes (e.g. opening a shared link or going back),
+// otherwise fits the map to the events whenever they change. Reports where the user moved the map.
+const MapViewController = ({ events, view, onViewChange }) => {
     const map = useMap();
+    const previousEvents = useRef(null);
+    const previousView = useRef(null);
+    const viewKey = view ? `${view.center.join(',')}/${view.zoom}` : null;
+
     useEffect(() => {
-        if (!map || !Array.isArray(events)) { return; }
-        if (events.length === 0) { return; }
+        const eventsChanged = events !== previousEvents.current;
+        const viewChanged = viewKey !== previousView.current;
+        previousEvents.current = events;
+        previousView.current = viewKey;
+
+        if (view && viewChanged) {
+            if (!isShowingView(map, view)) map.setView(view.center, view.zoom);
+            return;
+        }
+        if (!eventsChanged || events.length === 0) { return; }
         const validCoordinates = events
             .map(event => event?.location?.coordinates)
             .filter(coords => Array.isArray(coords) && coords.length === 2 && typeof coords[1] === 'number' && typeof coords[0] === 'number')
@@ -31,80 +62,194 @@ const FitBounds = ({ events }) => {
         const bounds = L.latLngBounds(validCoordinates);
         if (bounds.isValid()) { map.flyToBounds(bounds, { padding: [50, 50], maxZoom: 16 }); }
         else if (validCoordinates.length === 1) { map.flyTo(validCoordinates[0], 13); }
-    }, [events, map]);
+    }, [events, view, viewKey, map]);
+
+    useMapEvents({
+        moveend: () => {
+            if (!onViewChange) return;
+            const center = map.getCenter();
+            onViewChange({ center: [center.lat, center.lng], zoom: map.getZoom() });
+        },
+    });
     return null;
 };
-// --- End FitBounds ---
+// --- End MapViewController ---
 
+// A list of the events behind a cluster's markers (their `summary` option), linking to each event.
+// Built as DOM nodes because it goes into a plain Leaflet popup; links navigate within the app.
+function clusterList(markers, navigate, map) {
+    const list = document.createElement('ul');
+    list.className = 'cluster-event-list';
+    markers
+        .map(marker => marker.options.summary)
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .forEach(({ id, title, date }) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `/events/${id}`;
+            link.textContent = title || 'Untitled Event';
+            link.addEventListener('click', (e) => {
+                if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return; // New tab etc.
+                e.preventDefault();
+                map.closePopup();
+                navigate(`/events/${id}`);
+            });
+            const when = document.createElement('small');
+            when.textContent = date ? new Date(date).toLocaleDateString(undefined, { timeZone: 'UTC' }) : 'N/A';
+            item.append(link, ' ', when);
+            list.append(item);
+        });
+    return list;
+}
 
-function MapDisplay({ events }) {
+// Clustered markers. Clicking a cluster zooms in, unless its events are all at one spot (or the map
+// can't zoom further): then it spiderfies so each marker can be reached and lists the events in a popup.
+const EventClusters = ({ children }) => {
+    const map = useMap();
+    const navigate = useNavigate();
+
+    const handleClusterClick = (e) => {
+        const cluster = e.layer;
+        const bounds = cluster.getBounds();
+        const oneSpot = bounds.getNorthEast().equals(bounds.getSouthWest());
+        if (!oneSpot && map.getZoom() < map.getMaxZoom()) {
+            cluster.zoomToBounds({ padding: [50, 50] });
+            return;
+        }
+        cluster.spiderfy();
+        L.popup({ offset: [0, -30], maxHeight: 250 })
+            .setLatLng(cluster.getLatLng())
+            .setContent(clusterList(cluster.getAllChildMarkers(), navigate, map))
+            .openOn(map);
+    };
+
+    return (
+        <MarkerClusterGroup
+            zoomToBoundsOnClick={false}
+            showCoverageOnHover={false}
+            maxClusterRadius={50}
+            eventHandlers={{ clusterclick: handleClusterClick }}
+        >
+            {children}
+        </MarkerClusterGroup>
+    );
+};
+
+
+// `onDelete` / `onHide` are called with an event when the delete / hide action in its popup is clicked.
+// `view` ({ center: [lat, lng], zoom }) sets what the map shows; without it the map fits the events.
+// `onViewChange` is called with the new view after the map was moved or zoomed.
+// `playback` ({ from, to, fadeFrom }, see Timeline) reveals and highlights events as the timeline plays.
+function MapDisplay({ events, onDelete, onHide, view, onViewChange, playback }) {
+    const { user } = useAuth();
     const defaultCenter = [20, 0]; // A more global center
     const defaultZoom = 2;
 
-    // Ensure events is an array before filtering
-    const validEvents = Array.isArray(events) ? events.filter(event =>
+    // Ensure events is an array before filtering (memoized so the map only refits when they change)
+    const validEvents = useMemo(() => Array.isArray(events) ? events.filter(event =>
         event && // Check if event object exists
         event.location &&
         event.location.coordinates &&
         event.location.coordinates.length === 2 &&
         typeof event.location.coordinates[0] === 'number' && // longitude
         typeof event.location.coordinates[1] === 'number'    // latitude
-    ) : [];
+    ) : [], [events]);
+
+    // Heatmap points for the events shown so far (all of them unless the timeline is playing)
+    const heatPoints = useMemo(() => validEvents
+        .filter(event => playbackStyle(event, playback))
+        .map(event => [event.location.coordinates[1], event.location.coordinates[0], 1]),
+    [validEvents, playback]);
 
     return (
         <MapContainer
-            center={defaultCenter}
-            zoom={defaultZoom}
+            center={view?.center || defaultCenter}
+            zoom={view?.zoom ?? defaultZoom}
             scrollWheelZoom={true}
             style={{ height: '500px', width: '100%' }}
             className="leaflet-container"
         >
-            <TileLayer
-                attribution='© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            />
-            {validEvents.map((event) => (
-                // Ensure event and _id exist before rendering marker
-                event?._id ? (
-                    <Marker
-                        key={event._id} // Use unique MongoDB ID as key
-                        position={[event.location.coordinates[1], event.location.coordinates[0]]} // Leaflet uses [lat, lng]
-                    >
-                        <Popup>
-                            <div style={{ maxWidth: '200px' }}> {/* Set max width for popup content */}
-                                <strong>{event.title || 'Untitled Event'}</strong><br />
-                                {/* Display Description - check if it exists and is not empty */}
-                                {event.description && event.description.trim() !== '' && (
-                                    <p style={{ fontStyle: 'italic', margin: '5px 0', fontSize: '0.9em' }}>
-                                        {event.description}
-                                    </p>
-                                )}
-                                <small>{event.location?.address || 'No Address'}</small><br />
-                                <small>Date: {event.date ? new Date(event.date).toLocaleDateString() : 'N/A'}</small>
-                                {/* Display Image */}
-                                {Array.isArray(event.images) && event.images.length > 0 && event.images[0] && (
-                                    <div style={{ marginTop: '10px' }}>
-                                        <img
-                                            src={`${BACKEND_BASE_URL}${event.images[0]}`}
-                                            alt={`${event.title || 'Event'} image`}
-                                            style={{ maxWidth: '100%', height: 'auto', display: 'block', margin: 'auto', border: '1px solid #eee' }} // Adjusted styling
-                                            onError={(e) => { e.target.style.display='none'; }}
-                                        />
-                                    </div>
-                                )}
-                                {/* Display People and Tags */}
-                                {Array.isArray(event.people) && event.people.length > 0 && (
-                                    <><br/><small>People: {event.people.join(', ')}</small></>
-                                )}
-                                {Array.isArray(event.tags) && event.tags.length > 0 && (
-                                    <><br/><small>Tags: {event.tags.join(', ')}</small></>
-                                )}
-                            </div>
-                        </Popup>
-                    </Marker>
-                ) : null // Don't render marker if event or _id is missing
+            {/* Highlight rings for the current playback window, outside the clusters so they always show */}
+            {playback && validEvents.filter(event => playbackStyle(event, playback)?.current).map(event => (
+                <CircleMarker
+                    key={event._id}
+                    center={[event.location.coordinates[1], event.location.coordinates[0]]}
+                    radius={20}
+                    className="playback-highlight"
+                    interactive={false}
+                />
             ))}
-            <FitBounds events={validEvents} />
+            <LayersControl position="topright">
+                <BaseTileLayers />
+                <LayersControl.Overlay checked name="Event markers">
+                    <EventClusters>
+                        {validEvents.map((event) => {
+                            const style = playbackStyle(event, playback);
+                            // Ensure event and _id exist before rendering marker (and that playback reached it)
+                            return event?._id && style ? (
+                                <Marker
+                                    key={event._id}
+                                    position={[event.location.coordinates[1], event.location.coordinates[0]]} // Leaflet uses [lat, lng]
+                                    opacity={style.opacity}
+                                    zIndexOffset={style.current ? 1000 : 0}
+                                    summary={{ id: event._id, title: event.title, date: event.date }} // For cluster popups
+                                >
+                                    <Popup>
+                                        <div style={{ maxWidth: '200px' }}> {/* Set max width for popup content */}
+                                            <strong><Link to={`/events/${event._id}`}>{event.title || 'Untitled Event'}</Link></strong><br />
+                                            {/* Display Description - check if it exists and is not empty */}
+                                            {event.description && event.description.trim() !== '' && (
+                                                <p style={{ fontStyle: 'italic', margin: '5px 0', fontSize: '0.9em' }}>
+                                                    {event.description}
+                                                </p>
+                                            )}
+                                            <small>{event.location?.address || 'No Address'}</small><br />
+                                            <small>Date: {event.date ? new Date(event.date).toLocaleDateString(undefined, { timeZone: 'UTC' }) : 'N/A'}</small>
+                                            {/* Display Image */}
+                                            {Array.isArray(event.images) && event.images.length > 0 && event.images[0] && (
+                                                <div style={{ marginTop: '10px' }}>
+                                                    <img
+                                                        src={imageUrl(event.images[0], 'medium')}
+                                                        alt={imageAlt(event.images[0], event, 0)}
+                                                        style={{ maxWidth: '100%', height: 'auto', display: 'block', margin: 'auto', border: '1px solid #eee' }} // Adjusted styling
+                                                        onError={(e) => { e.target.style.display='none'; }}
+                                                    />
+                                                </div>
+                                            )}
+                                            {/* Display People and Tags */}
+                                            {Array.isArray(event.people) && event.people.length > 0 && (
+                                                <><br/><small>People: {event.people.join(', ')}</small></>
+                                            )}
+                                            {Array.isArray(event.tags) && event.tags.length > 0 && (
+                                                <><br/><small>Tags: {event.tags.join(', ')}</small></>
+                                            )}
+                                            {(event.createdBy?.displayName || event.createdBy?.username) && (
+                                                <><br/><small>Added by: {event.createdBy.displayName || event.createdBy.username}</small></>
+                                            )}
+                                            {/* Actions (only those the user's role allows) */}
+                                            <div className="event-actions" style={{ marginTop: '8px' }}>
+                                                {canModifyEvent(user, event) && (
+                                                    <Link to={`/events/${event._id}/edit`}>Edit</Link>
+                                                )}
+                                                {onHide && hasPermission(user, 'events:moderate') && (
+                                                    <button type="button" className="secondary" onClick={() => onHide(event)}>Hide</button>
+                                                )}
+                                                {onDelete && canDeleteEvent(user, event) && (
+                                                    <button type="button" onClick={() => onDelete(event)}>Delete</button>
+                                                )}
+                                            </div>
+                                        </div>
+                                    </Popup>
+                                </Marker>
+                            ) : null; // Don't render marker if event or _id is missing
+                        })}
+                    </EventClusters>
+                </LayersControl.Overlay>
+                <LayersControl.Overlay name="Heatmap">
+                    <HeatmapLayer points={heatPoints} radius={25} blur={15} maxZoom={12} />
+                </LayersControl.Overlay>
+            </LayersControl>
+            <MapViewController events={validEvents} view={view} onViewChange={onViewChange} />
         </MapContainer>
     );
 }
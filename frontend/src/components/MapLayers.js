@@ -0,0 +1,37 @@
+// Leaflet plugin layers as react-leaflet components, so they work inside MapContainer and LayersControl.
+import L from 'leaflet';
+import { createElementObject, createLayerComponent, extendContext } from '@react-leaflet/core';
+import 'leaflet.markercluster';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import 'leaflet.heat';
+
+// Count badge for a cluster, sized by how many markers it holds (styled in App.css)
+const clusterIcon = (cluster) => {
+    const count = cluster.getChildCount();
+    const size = count < 10 ? 'small' : count < 100 ? 'medium' : 'large';
+    return L.divIcon({
+        html: `<span>${count}</span>`,
+        className: `event-cluster event-cluster-${size}`,
+        iconSize: L.point(40, 40),
+    });
+};
+
+// Groups its <Marker> children into clusters. Other props are MarkerClusterGroup options;
+// cluster events (e.g. clusterclick) go in `eventHandlers` like on any react-leaflet layer.
+export const MarkerClusterGroup = createLayerComponent(
+    function createMarkerClusterGroup({ children, eventHandlers, ...options }, context) {
+        const group = L.markerClusterGroup({ iconCreateFunction: clusterIcon, ...options });
+        // Markers rendered as children are added to the group instead of the map
+        return createElementObject(group, extendContext(context, { layerContainer: group }));
+    }
+);
+
+// Heatmap of `points` ([lat, lng] or [lat, lng, intensity]); other props are leaflet.heat options.
+export const HeatmapLayer = createLayerComponent(
+    function createHeatmapLayer({ points, eventHandlers, ...options }, context) {
+        return createElementObject(L.heatLayer(points, options), context);
+    },
+    function updateHeatmapLayer(layer, props, prevProps) {
+        if (props.points !== prevProps.points) layer.setLatLngs(props.points);
+    }
+);
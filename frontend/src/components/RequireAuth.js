@@ -0,0 +1,24 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../permissions';
+
+// Renders its children only for logged in users; everyone else is sent to /login.
+// With `permission`, users whose role lacks it get a message instead.
+function RequireAuth({ children, permission }) {
+  const { user, checkingAuth } = useAuth();
+  const location = useLocation();
+
+  if (checkingAuth) {
+    return <div>Checking login...</div>;
+  }
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+  if (permission && !hasPermission(user, permission)) {
+    return <div style={{ color: 'red' }}>Your role ({user.role}) does not allow you to view this page.</div>;
+  }
+  return children;
+}
+
+export default RequireAuth;
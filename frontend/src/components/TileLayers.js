@@ -0,0 +1,31 @@
+import React from 'react';
+import { TileLayer, LayersControl } from 'react-leaflet';
+import { useTileLayers } from '../context/ConfigContext';
+import { BACKEND_BASE_URL } from '../images';
+
+// TileLayer props for a configured layer. Layers served by the backend have relative URLs.
+const tileLayerProps = (layer) => ({
+    url: layer.url.startsWith('/') ? `${BACKEND_BASE_URL}${layer.url}` : layer.url,
+    attribution: layer.attribution,
+    minZoom: layer.minZoom,
+    maxZoom: layer.maxZoom,
+    ...(layer.subdomains && { subdomains: layer.subdomains }),
+});
+
+// The default tile layer (nothing until the config has loaded, so no tiles are requested from the wrong server)
+export function DefaultTileLayer() {
+    const layers = useTileLayers();
+    return layers ? <TileLayer {...tileLayerProps(layers[0])} /> : null;
+}
+
+// All tile layers as base layers to choose from. Goes inside a LayersControl.
+export function BaseTileLayers() {
+    const layers = useTileLayers();
+    if (!layers) return null;
+    if (layers.length === 1) return <TileLayer {...tileLayerProps(layers[0])} />;
+    return layers.map((layer, index) => (
+        <LayersControl.BaseLayer key={layer.id} name={layer.name} checked={index === 0}>
+            <TileLayer {...tileLayerProps(layer)} />
+        </LayersControl.BaseLayer>
+    ));
+}
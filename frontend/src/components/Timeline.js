@@ -1,37 +1,351 @@
 // hello/frontend/src/components/Timeline.js
-import React, { useMemo } from 'react';
-import { format, startOfDay, compareAsc } from 'date-fns';
+import React, { useMemo, useState, useRef, useEffect } from 'react';
+import {
+  format, startOfDay, endOfDay, compareAsc, differenceInCalendarDays, subDays,
+  startOfYear, startOfMonth, startOfWeek, addYears, addMonths, addWeeks, addDays,
+} from 'date-fns';
 
-function Timeline({ events, selectedDate, onDateSelect }) {
+const BAR_AREA_HEIGHT = 70; // px for the histogram bars
+const AXIS_HEIGHT = 24; // px for the tick labels below them
 
-  // Memoize unique dates from events, sorted chronologically
-  const uniqueDates = useMemo(() => {
-    const dates = events.map(event => startOfDay(event.date).getTime());
-    const uniqueTimestamps = [...new Set(dates)];
-    return uniqueTimestamps.map(ts => new Date(ts)).sort(compareAsc);
-  }, [events]);
+// Zoom levels: one histogram bar per unit. `tick` says which bars get a label on the axis.
+const ZOOM_LEVELS = {
+  year: {
+    label: 'Year', width: 60, start: startOfYear, add: addYears,
+    tick: () => true, tickLabel: (date) => format(date, 'yyyy'),
+    barLabel: (date) => format(date, 'yyyy'),
+  },
+  month: {
+    label: 'Month', width: 28, start: startOfMonth, add: addMonths,
+    tick: () => true, tickLabel: (date) => (date.getMonth() === 0 ? format(date, 'yyyy') : format(date, 'MMM')),
+    barLabel: (date) => format(date, 'MMMM yyyy'),
+  },
+  week: {
+    label: 'Week', width: 14, start: (date) => startOfWeek(date, { weekStartsOn: 1 }), add: addWeeks,
+    // Label the week a month starts in
+    tick: (date) => date.getDate() === 1 || date.getMonth() !== addDays(date, 6).getMonth(),
+    tickLabel: (date) => format(addDays(date, 6), 'MMM yy'),
+    barLabel: (date) => `Week of ${format(date, 'MMM d, yyyy')}`,
+  },
+  day: {
+    label: 'Day', width: 10, start: startOfDay, add: addDays,
+    tick: (date) => date.getDay() === 1, tickLabel: (date) => format(date, 'MMM d'),
+    barLabel: (date) => format(date, 'EEE, MMM d, yyyy'),
+  },
+};
+const ZOOM_ORDER = ['year', 'month', 'week', 'day'];
+
+// Playback steps one bar at a time; markers of the previous FADE_STEPS bars fade out on the map
+const PLAYBACK_SPEEDS = [
+  { label: '0.5×', interval: 2000 },
+  { label: '1×', interval: 1000 },
+  { label: '2×', interval: 500 },
+  { label: '4×', interval: 250 },
+];
+const FADE_STEPS = 3;
+
+// A zoom level that keeps the axis readable for the time span of the events
+function defaultZoom(firstDate, lastDate) {
+  const days = differenceInCalendarDays(lastDate, firstDate);
+  if (days > 365 * 8) return 'year';
+  if (days > 365) return 'month';
+  if (days > 90) return 'week';
+  return 'day';
+}
+
+// Events per day -> [{ date, count }] for the Timeline's `days`, e.g. when every event is loaded anyway
+export function countEventsByDay(events) {
+  const counts = new Map();
+  events.forEach(event => {
+    const day = startOfDay(event.date);
+    const entry = counts.get(day.getTime()) || { date: day, count: 0 };
+    entry.count++;
+    counts.set(day.getTime(), entry);
+  });
+  return [...counts.values()].sort((a, b) => compareAsc(a.date, b.date));
+}
+
+// Horizontal time axis with a histogram of how many events happened per year, month, week or day.
+// `days` are the event counts per day ([{ date, count }]) the histogram is built from.
+// Click a day (at day zoom) to select it, click a bar or drag across bars to filter to that range.
+// Arrow keys step to the previous / next date with events, + and - zoom.
+// `range` is { from, to } (Dates or null); `onRangeChange(from, to)` gets null, null to clear it.
+// Playback steps through the bars at the current zoom: `onPlaybackChange` gets { from, to, fadeFrom }
+// (the current window and where its trailing fade starts) while playing or paused, and null once stopped.
+function Timeline({ days, selectedDate, onDateSelect, range, onRangeChange, onPlaybackChange }) {
+  const scrollRef = useRef(null);
+  const svgRef = useRef(null);
+  const [brush, setBrush] = useState(null); // { start, end } bar indexes while dragging
+  const [playDate, setPlayDate] = useState(null); // Start of the bar playback is at, or null when stopped
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1); // Index into PLAYBACK_SPEEDS
+  const [loop, setLoop] = useState(false);
+
+  // Days with events, sorted chronologically (the start of day keeps the dates' Date class,
+  // e.g. the UTC days of dates.js)
+  const uniqueDates = useMemo(() => days
+    .filter(day => day.count > 0)
+    .map(day => startOfDay(day.date))
+    .sort(compareAsc), [days]);
+
+  const firstDate = uniqueDates[0];
+  const lastDate = uniqueDates[uniqueDates.length - 1];
+  // Until a zoom level is picked, the one that suits the time span (the days may arrive after mounting)
+  const [chosenZoom, setZoom] = useState(null);
+  const zoom = chosenZoom || (firstDate ? defaultZoom(firstDate, lastDate) : 'month');
+  const level = ZOOM_LEVELS[zoom];
+
+  // One bar per unit from the first to the last event, with the number of events in it
+  const bars = useMemo(() => {
+    if (!firstDate) return [];
+    const counts = new Map();
+    days.forEach(day => {
+      const key = level.start(day.date).getTime();
+      counts.set(key, (counts.get(key) || 0) + day.count);
+    });
+    const result = [];
+    for (let start = level.start(firstDate); start <= lastDate; start = level.add(start, 1)) {
+      result.push({ start, end: subDays(level.add(start, 1), 1), count: counts.get(start.getTime()) || 0 });
+    }
+    return result;
+  }, [days, firstDate, lastDate, level]);
+
+  const maxCount = Math.max(1, ...bars.map(bar => bar.count));
+  const width = bars.length * level.width;
+  // bar.end is the start of the bar's last day, so compare days
+  const selectedDay = selectedDate ? startOfDay(selectedDate) : null;
+  const selectedIndex = selectedDay ? bars.findIndex(bar => selectedDay >= bar.start && selectedDay <= bar.end) : -1;
+  const rangeFrom = range?.from ? startOfDay(range.from) : null;
+  const rangeTo = range?.to ? startOfDay(range.to) : null;
+  const hasRange = Boolean(rangeFrom || rangeTo);
+  const isInRange = (bar) => (!rangeFrom || bar.end >= rangeFrom) && (!rangeTo || bar.start <= rangeTo);
+
+  // Bar playback is at; after a zoom change, the bar that contains the same date
+  const playIndex = playDate ? bars.findIndex(bar => playDate >= bar.start && playDate <= endOfDay(bar.end)) : -1;
+
+  // Advance one bar per tick; at the end either start over (loop) or pause on the last bar
+  useEffect(() => {
+    if (!playing || bars.length === 0) return;
+    const timer = setTimeout(() => {
+      if (playIndex < bars.length - 1) setPlayDate(bars[playIndex + 1].start);
+      else if (loop) setPlayDate(bars[0].start);
+      else setPlaying(false);
+    }, PLAYBACK_SPEEDS[speed].interval);
+    return () => clearTimeout(timer);
+  }, [playing, playIndex, speed, loop, bars]);
+
+  // Tell the map which window to highlight
+  const playbackFrom = playIndex === -1 ? null : bars[playIndex].start.getTime();
+  const playbackTo = playIndex === -1 ? null : endOfDay(bars[playIndex].end).getTime();
+  const fadeFrom = playIndex === -1 ? null : bars[Math.max(0, playIndex - FADE_STEPS)].start.getTime();
+  useEffect(() => {
+    if (!onPlaybackChange) return;
+    onPlaybackChange(playbackFrom === null ? null : { from: new Date(playbackFrom), to: new Date(playbackTo), fadeFrom: new Date(fadeFrom) });
+  }, [playbackFrom, playbackTo, fadeFrom, onPlaybackChange]);
+
+  // Stop playback when the timeline goes away
+  useEffect(() => () => onPlaybackChange?.(null), [onPlaybackChange]);
+
+  const handlePlayPause = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Start from the beginning when stopped or at the end
+    if (playIndex === -1 || playIndex === bars.length - 1) setPlayDate(bars[0].start);
+    setPlaying(true);
+  };
+  const handleStop = () => {
+    setPlaying(false);
+    setPlayDate(null);
+  };
+
+  // Keep the playhead in view
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container || playIndex === -1) return;
+    const x = playIndex * level.width;
+    if (x < container.scrollLeft || x + level.width > container.scrollLeft + container.clientWidth) {
+      container.scrollLeft = Math.max(0, x - container.clientWidth / 4);
+    }
+  }, [playIndex, level.width]);
+
+  // Keep the selected date (or the start of the range, or the latest events) in view after zooming.
+  // The selection is read from a ref: changing it alone shouldn't scroll.
+  const focusRef = useRef(null);
+  focusRef.current = { focusDate: selectedDate || range?.from || range?.to, bars };
+  useEffect(() => {
+    const container = scrollRef.current;
+    const { focusDate, bars: currentBars } = focusRef.current;
+    if (!container || currentBars.length === 0) return;
+    const index = focusDate ? currentBars.findIndex(bar => startOfDay(focusDate) <= bar.end) : currentBars.length - 1;
+    container.scrollLeft = Math.max(0, (index === -1 ? currentBars.length - 1 : index) * level.width - container.clientWidth / 2);
+  }, [zoom, bars.length, level.width]);
+
+  // Scroll a date selected with the keyboard into view
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container || selectedIndex === -1) return;
+    const x = selectedIndex * level.width;
+    if (x < container.scrollLeft || x + level.width > container.scrollLeft + container.clientWidth) {
+      container.scrollLeft = Math.max(0, x - container.clientWidth / 2);
+    }
+  }, [selectedIndex, level.width]);
 
   if (!uniqueDates.length) {
     return <div className="timeline-container"><p>No events found to display on timeline.</p></div>;
   }
 
+  // --- Brushing (pointer events, so it works with touch too) ---
+  const barAt = (e) => {
+    const x = e.clientX - svgRef.current.getBoundingClientRect().left;
+    return Math.min(bars.length - 1, Math.max(0, Math.floor(x / level.width)));
+  };
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    svgRef.current.setPointerCapture(e.pointerId);
+    const index = barAt(e);
+    setBrush({ start: index, end: index });
+  };
+  const handlePointerMove = (e) => {
+    if (brush) setBrush({ ...brush, end: barAt(e) });
+  };
+  const handlePointerUp = () => {
+    if (!brush) return;
+    const first = bars[Math.min(brush.start, brush.end)];
+    const last = bars[Math.max(brush.start, brush.end)];
+    setBrush(null);
+    if (brush.start !== brush.end) {
+      onRangeChange(first.start, last.end);
+    } else if (zoom === 'day') {
+      if (first.count > 0) onDateSelect(first.start);
+    } else if (rangeFrom?.getTime() === first.start.getTime() && rangeTo?.getTime() === first.end.getTime()) {
+      onRangeChange(null, null); // Clicking the bar the range is set to clears it
+    } else {
+      onRangeChange(first.start, first.end);
+    }
+  };
+  // --- End brushing ---
+
+  const changeZoom = (step) => {
+    const next = ZOOM_ORDER[ZOOM_ORDER.indexOf(zoom) + step];
+    if (next) setZoom(next);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      const current = selectedDate ? startOfDay(selectedDate).getTime() : null;
+      const next = e.key === 'ArrowRight'
+        ? uniqueDates.find(date => current === null || date.getTime() > current)
+        : [...uniqueDates].reverse().find(date => current === null || date.getTime() < current);
+      if (next) onDateSelect(next);
+    } else if (e.key === '+' || e.key === '=') {
+      changeZoom(1);
+    } else if (e.key === '-') {
+      changeZoom(-1);
+    } else if (e.key === ' ' && e.target === e.currentTarget) {
+      e.preventDefault(); // Don't scroll the page
+      handlePlayPause();
+    } else if (e.key === 'Escape' && hasRange) {
+      onRangeChange(null, null);
+    }
+  };
+
+  const brushFrom = brush && Math.min(brush.start, brush.end);
+  const brushTo = brush && Math.max(brush.start, brush.end);
+
   return (
-    <div className="timeline-container">
-      <h2>Timeline</h2>
-      {uniqueDates.map(date => {
-        const isSelected = selectedDate && startOfDay(selectedDate).getTime() === date.getTime();
-        return (
-          <button
-            key={date.getTime()}
-            className={`timeline-date ${isSelected ? 'selected' : ''}`}
-            onClick={() => onDateSelect(date)}
-          >
-            {format(date, 'MMM dd, yyyy')} {/* Format date nicely */}
-          </button>
-        );
-      })}
+    <div className="timeline-container" tabIndex={0} onKeyDown={handleKeyDown} aria-label="Timeline. Use the arrow keys to step between dates with events.">
+      <div className="timeline-toolbar">
+        <h2>Timeline</h2>
+        <div className="timeline-zoom" role="group" aria-label="Zoom">
+          {ZOOM_ORDER.map(name => (
+            <button key={name} type="button" className={name === zoom ? 'selected' : ''} onClick={() => setZoom(name)}>
+              {ZOOM_LEVELS[name].label}
+            </button>
+          ))}
+        </div>
+        <small>
+          {selectedDate && `Selected: ${format(selectedDate, 'MMM d, yyyy')}. `}
+          {hasRange
+            ? `Range: ${rangeFrom ? format(rangeFrom, 'MMM d, yyyy') : '…'} – ${rangeTo ? format(rangeTo, 'MMM d, yyyy') : '…'}`
+            : 'Drag across the bars to filter by a range.'}
+        </small>
+        {hasRange && <button type="button" className="secondary" onClick={() => onRangeChange(null, null)}>Clear Range</button>}
+      </div>
+
+      {/* Playback: replays the events on the map one bar at a time */}
+      <div className="timeline-playback">
+        <button type="button" onClick={handlePlayPause} aria-label={playing ? 'Pause' : 'Play'}>
+          {playing ? '❚❚ Pause' : '▶ Play'}
+        </button>
+        <button type="button" className="secondary" onClick={handleStop} disabled={playIndex === -1}>■ Stop</button>
+        <label>
+          Speed{' '}
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+            {PLAYBACK_SPEEDS.map((option, index) => <option key={option.label} value={index}>{option.label}</option>)}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={loop} onChange={(e) => setLoop(e.target.checked)} /> Loop
+        </label>
+        {/* Scrubbing moves the playhead; when stopped, playback starts out paused there */}
+        <input
+          type="range"
+          className="timeline-scrubber"
+          min={0}
+          max={bars.length - 1}
+          value={playIndex === -1 ? 0 : playIndex}
+          onChange={(e) => setPlayDate(bars[Number(e.target.value)].start)}
+          aria-label="Playback position"
+        />
+        <small>{playIndex === -1 ? 'Stopped' : level.barLabel(bars[playIndex].start)}</small>
+      </div>
+
+      <div className="timeline-scroll" ref={scrollRef}>
+        <svg
+          ref={svgRef}
+          width={width}
+          height={BAR_AREA_HEIGHT + AXIS_HEIGHT}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => setBrush(null)}
+        >
+          {bars.map((bar, index) => {
+            const height = bar.count > 0 ? Math.max(3, (bar.count / maxCount) * (BAR_AREA_HEIGHT - 4)) : 0;
+            const classNames = ['timeline-bar'];
+            if (hasRange && !isInRange(bar)) classNames.push('outside-range');
+            if (index === selectedIndex) classNames.push('selected');
+            return (
+              <g key={bar.start.getTime()} transform={`translate(${index * level.width}, 0)`}>
+                <rect className="timeline-bar-hit" width={level.width} height={BAR_AREA_HEIGHT}>
+                  <title>{`${level.barLabel(bar.start)}: ${bar.count} event${bar.count === 1 ? '' : 's'}`}</title>
+                </rect>
+                {height > 0 && (
+                  <rect className={classNames.join(' ')} x={1} y={BAR_AREA_HEIGHT - height} width={Math.max(1, level.width - 2)} height={height} />
+                )}
+                {level.tick(bar.start) && (
+                  <>
+                    <line className="timeline-tick" x1={0} x2={0} y1={BAR_AREA_HEIGHT} y2={BAR_AREA_HEIGHT + 5} />
+                    <text className="timeline-tick-label" x={2} y={BAR_AREA_HEIGHT + 16}>{level.tickLabel(bar.start)}</text>
+                  </>
+                )}
+              </g>
+            );
+          })}
+          <line className="timeline-axis" x1={0} x2={width} y1={BAR_AREA_HEIGHT} y2={BAR_AREA_HEIGHT} />
+          {playIndex !== -1 && (
+            <rect className="timeline-playhead" x={playIndex * level.width} y={0} width={level.width} height={BAR_AREA_HEIGHT} />
+          )}
+          {brush && (
+            <rect className="timeline-brush" x={brushFrom * level.width} y={0} width={(brushTo - brushFrom + 1) * level.width} height={BAR_AREA_HEIGHT} />
+          )}
+        </svg>
+      </div>
     </div>
   );
 }
 
-export default Timeline;
\ No newline at end of file
+export default Timeline;
@@ -0,0 +1,11 @@
+// Fix for Leaflet's default marker icon, whose image paths break when bundled.
+// Import this module in every component that renders markers.
+import L, { Icon } from 'leaflet';
+import markerIconPng from "leaflet/dist/images/marker-icon.png"
+import markerShadowPng from "leaflet/dist/images/marker-shadow.png"
+
+const defaultIcon = new Icon({
+    iconUrl: markerIconPng, shadowUrl: markerShadowPng, iconSize: [25, 41],
+    iconAnchor: [12, 41], popupAnchor: [1, -34], shadowSize: [41, 41]
+});
+L.Marker.prototype.options.icon = defaultIcon;
@@ -0,0 +1,77 @@
+// hello/frontend/src/context/AuthContext.js
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const TOKEN_KEY = 'authToken'; // localStorage key for the login token
+
+const AuthContext = createContext(null);
+
+// Send the token with every axios request
+function applyToken(token) {
+  if (token) {
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+  }
+}
+
+// Apply a stored token right away so requests made during the first render are authenticated
+applyToken(localStorage.getItem(TOKEN_KEY));
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null);
+  // True until a stored token has been checked with the server
+  const [checkingAuth, setCheckingAuth] = useState(() => Boolean(localStorage.getItem(TOKEN_KEY)));
+
+  const logout = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY);
+    applyToken(null);
+    setUser(null);
+  }, []);
+
+  const login = async (username, password) => {
+    const response = await axios.post(`${API_URL}/auth/login`, { username, password });
+    localStorage.setItem(TOKEN_KEY, response.data.token);
+    applyToken(response.data.token);
+    setUser(response.data.user);
+    return response.data.user;
+  };
+
+  // Validate a stored token on startup
+  useEffect(() => {
+    if (!localStorage.getItem(TOKEN_KEY)) return;
+    axios.get(`${API_URL}/auth/me`)
+      .then(response => setUser(response.data))
+      .catch(err => {
+        console.warn("Stored login is no longer valid:", err.response?.data?.message || err.message);
+        logout();
+      })
+      .finally(() => setCheckingAuth(false));
+  }, [logout]);
+
+  // Log out when the server rejects the token (e.g. it expired)
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && !error.config?.url?.endsWith('/auth/login')) {
+          logout();
+        }
+        return Promise.reject(error);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [logout]);
+
+  return (
+    <AuthContext.Provider value={{ user, checkingAuth, login, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
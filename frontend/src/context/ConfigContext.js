@@ -0,0 +1,45 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Used when the backend can't be reached: the public OpenStreetMap tiles
+const FALLBACK_CONFIG = {
+  map: {
+    tileLayers: [{
+      id: 'default',
+      name: 'OpenStreetMap',
+      url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+      attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      maxZoom: 19,
+    }],
+  },
+};
+
+const ConfigContext = createContext(null);
+
+// Loads the runtime settings (GET /api/config) once when the app starts
+export function ConfigProvider({ children }) {
+  const [config, setConfig] = useState(null); // null until loaded
+
+  useEffect(() => {
+    axios.get(`${API_URL}/config`)
+      .then(response => setConfig(response.data))
+      .catch(err => {
+        console.error("Error loading config, using defaults:", err.response?.data?.message || err.message);
+        setConfig(FALLBACK_CONFIG);
+      });
+  }, []);
+
+  return (
+    <ConfigContext.Provider value={config}>
+      {children}
+    </ConfigContext.Provider>
+  );
+}
+
+// The map tile layers ({ id, name, url, attribution, minZoom, maxZoom, subdomains }), default first;
+// null while the config is loading
+export function useTileLayers() {
+  return useContext(ConfigContext)?.map.tileLayers || null;
+}
@@ -0,0 +1,12 @@
+// Event days are UTC days everywhere: the backend stores an entry's date at UTC midnight and its
+// filters (date, from, to, weekday), stats and reports count UTC days. Dates parsed here are UTCDate
+// objects, so date-fns (startOfDay, format, ...) works on the same days whatever the browser's time zone.
+import { UTCDate } from '@date-fns/utc';
+import { isValid } from 'date-fns';
+
+// Parses an event date or a YYYY-MM-DD parameter, or null if it's missing or invalid
+export function parseDate(value) {
+  if (!value) return null;
+  const date = new UTCDate(value);
+  return isValid(date) ? date : null;
+}
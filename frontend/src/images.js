@@ -0,0 +1,22 @@
+// Helpers for event image URLs (the backend serves uploads outside of /api)
+export const BACKEND_BASE_URL = process.env.REACT_APP_BACKEND_BASE_URL || (process.env.REACT_APP_API_URL ? process.env.REACT_APP_API_URL.replace('/api', '') : 'http://localhost:5000');
+
+// Full URL of one rendition ('original', 'medium' or 'thumbnail') of an event image ({ path, urls, caption, alt }).
+// Falls back to the stored path, e.g. for images uploaded before renditions existed.
+export function imageUrl(image, rendition = 'original') {
+  const imagePath = image?.urls?.[rendition] || image?.path;
+  return imagePath ? `${BACKEND_BASE_URL}${imagePath}` : null;
+}
+
+// Alt text for an event image: its own alt text or caption, else a generic description
+export function imageAlt(image, event, index) {
+  return image?.alt || image?.caption || `${event?.title || 'Event'} image ${index + 1}`;
+}
+
+// Copy of `list` with the item at index `from` moved to index `to` (for reordering images)
+export function moveItem(list, from, to) {
+  const result = [...list];
+  const [item] = result.splice(from, 1);
+  result.splice(to, 0, item);
+  return result;
+}
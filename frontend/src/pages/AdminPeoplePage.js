@@ -0,0 +1,148 @@
+// hello/frontend/src/pages/AdminPeoplePage.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../permissions';
+import { errorMessage } from '../api';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const CONSENT_LABELS = {
+  public: 'Public (shown by name)',
+  anonymized: 'Anonymized',
+  'opted-out': 'Opted out',
+};
+
+// One editable row; changes are only sent when "Save" is clicked
+function PersonRow({ person, consentLevels, canForget, onSave, onForget }) {
+  const [draft, setDraft] = useState({
+    displayName: person.displayName,
+    aliases: (person.aliases || []).join(', '),
+    consent: person.consent,
+    consentNote: person.consentNote || '',
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  return (
+    <tr>
+      <td>
+        <input type="text" name="displayName" value={draft.displayName} onChange={handleChange} aria-label="Display name" />
+        {person.consent !== 'public' && <div><small>Shown as {person.placeholder}</small></div>}
+      </td>
+      <td>
+        <input type="text" name="aliases" value={draft.aliases} onChange={handleChange} placeholder="Comma separated" aria-label={`Aliases of ${person.displayName}`} />
+      </td>
+      <td>{person.eventCount > 0 ? <Link to={`/people/${encodeURIComponent(person.displayName)}`}>{person.eventCount}</Link> : 0}</td>
+      <td>
+        <select name="consent" value={draft.consent} onChange={handleChange} aria-label={`Consent of ${person.displayName}`}>
+          {consentLevels.map(level => <option key={level} value={level}>{CONSENT_LABELS[level] || level}</option>)}
+        </select>
+        <input type="text" name="consentNote" value={draft.consentNote} onChange={handleChange} placeholder="Note (e.g. asked by email)" aria-label={`Consent note for ${person.displayName}`} />
+      </td>
+      <td className="event-actions">
+        <button type="button" onClick={() => onSave(person, draft)}>Save</button>
+        {canForget && <button type="button" className="secondary" onClick={() => onForget(person)}>Forget</button>}
+      </td>
+    </tr>
+  );
+}
+
+function AdminPeoplePage() {
+  const { user } = useAuth();
+  const [people, setPeople] = useState([]);
+  const [consentLevels, setConsentLevels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/people`)
+      .then(response => {
+        setPeople(response.data.people || []);
+        setConsentLevels(response.data.consentLevels || []);
+      })
+      .catch(err => {
+        console.error("Error fetching people:", err);
+        setError(errorMessage(err, "Failed to load people."));
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleSave = async (person, draft) => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await axios.patch(`${API_URL}/people/${person._id}`, draft);
+      // Keep the entry count, which only the list endpoint returns
+      setPeople(prevPeople => prevPeople.map(p => p._id === person._id ? { ...response.data, eventCount: p.eventCount } : p));
+      setSuccess(`Saved ${response.data.displayName}.`);
+    } catch (err) {
+      console.error("Error updating person:", err);
+      setError(errorMessage(err, "Failed to update person."));
+    }
+  };
+
+  const handleForget = async (person) => {
+    if (!window.confirm(`Remove ${person.displayName} from all ${person.eventCount} entries and delete their record? This cannot be undone.`)) return;
+    setError('');
+    setSuccess('');
+    try {
+      const response = await axios.post(`${API_URL}/people/${person._id}/forget`);
+      setPeople(prevPeople => prevPeople.filter(p => p._id !== person._id));
+      setSuccess(`Removed from ${response.data.eventsChanged} entries.`);
+    } catch (err) {
+      console.error("Error forgetting person:", err);
+      setError(errorMessage(err, "Failed to remove person."));
+    }
+  };
+
+  if (loading) {
+    return <div><h2>People & Consent</h2><div>Loading people...</div></div>;
+  }
+
+  return (
+    <div className="page-container">
+      <h2>People & Consent</h2>
+      {error && <p style={{ color: 'red', border: '1px solid red', padding: '10px', borderRadius: '4px' }}>Error: {error}</p>}
+      {success && <p style={{ color: 'green', border: '1px solid green', padding: '10px', borderRadius: '4px' }}>{success}</p>}
+
+      <p>
+        <strong>Anonymized</strong> people are shown as "Anonymous #N" to everyone below moderator.{' '}
+        <strong>Opted out</strong> people are anonymized too and can't be added to new entries.{' '}
+        Aliases are other spellings of the same name.
+      </p>
+
+      <table className="event-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Aliases</th>
+            <th>Entries</th>
+            <th>Consent</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {people.map(person => (
+            <PersonRow
+              key={`${person._id}-${person.updatedAt}`} // Reset the draft after saving
+              person={person}
+              consentLevels={consentLevels}
+              canForget={hasPermission(user, 'people:forget')}
+              onSave={handleSave}
+              onForget={handleForget}
+            />
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default AdminPeoplePage;
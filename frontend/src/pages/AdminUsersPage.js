@@ -0,0 +1,133 @@
+// hello/frontend/src/pages/AdminUsersPage.js
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { ROLES } from '../permissions';
+import { errorMessage } from '../api';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+function AdminUsersPage() {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [newUser, setNewUser] = useState({ username: '', displayName: '', password: '', role: 'contributor' });
+
+  useEffect(() => {
+    axios.get(`${API_URL}/users`)
+      .then(response => setUsers(response.data.users || []))
+      .catch(err => {
+        console.error("Error fetching users:", err);
+        setError(errorMessage(err, "Failed to load users."));
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRoleChange = async (user, role) => {
+    setError('');
+    setSuccess('');
+    try {
+      const response = await axios.patch(`${API_URL}/users/${user._id}`, { role });
+      setUsers(prevUsers => prevUsers.map(u => u._id === user._id ? response.data : u));
+      setSuccess(`${response.data.username} is now a ${response.data.role}.`);
+    } catch (err) {
+      console.error("Error updating role:", err);
+      setError(errorMessage(err, "Failed to update role."));
+    }
+  };
+
+  const handleNewUserChange = (e) => {
+    const { name, value } = e.target;
+    setNewUser(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    try {
+      const response = await axios.post(`${API_URL}/users`, newUser);
+      setUsers(prevUsers => [...prevUsers, response.data].sort((a, b) => a.username.localeCompare(b.username)));
+      setSuccess(`User "${response.data.username}" created.`);
+      setNewUser({ username: '', displayName: '', password: '', role: 'contributor' });
+    } catch (err) {
+      console.error("Error creating user:", err);
+      setError(errorMessage(err, "Failed to create user."));
+    }
+  };
+
+  if (loading) {
+    return <div><h2>Users & Roles</h2><div>Loading users...</div></div>;
+  }
+
+  return (
+    <div className="page-container">
+      <h2>Users & Roles</h2>
+      {error && <p style={{ color: 'red', border: '1px solid red', padding: '10px', borderRadius: '4px' }}>Error: {error}</p>}
+      {success && <p style={{ color: 'green', border: '1px solid green', padding: '10px', borderRadius: '4px' }}>{success}</p>}
+
+      <p>
+        <strong>Viewers</strong> can read, <strong>contributors</strong> can add entries and change their own,{' '}
+        <strong>moderators</strong> can edit or hide anyone's entries and <strong>admins</strong> can also manage users.
+      </p>
+
+      <table className="event-table">
+        <thead>
+          <tr>
+            <th>Username</th>
+            <th>Display Name</th>
+            <th>Role</th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(user => (
+            <tr key={user._id}>
+              <td>{user.username}</td>
+              <td>{user.displayName || '-'}</td>
+              <td>
+                <select
+                  value={user.role}
+                  onChange={(e) => handleRoleChange(user, e.target.value)}
+                  aria-label={`Role of ${user.username}`}
+                  disabled={user._id === currentUser?._id} // Don't lock yourself out
+                >
+                  {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="form-container">
+        <h3>Add User</h3>
+        <form onSubmit={handleCreateUser}>
+          <div>
+            <label htmlFor="new-username">Username *</label>
+            <input type="text" id="new-username" name="username" value={newUser.username} onChange={handleNewUserChange} required />
+          </div>
+          <div>
+            <label htmlFor="new-displayName">Display Name</label>
+            <input type="text" id="new-displayName" name="displayName" value={newUser.displayName} onChange={handleNewUserChange} />
+          </div>
+          <div>
+            <label htmlFor="new-password">Password * (at least 8 characters)</label>
+            <input type="password" id="new-password" name="password" value={newUser.password} onChange={handleNewUserChange} autoComplete="new-password" required minLength={8} />
+          </div>
+          <div>
+            <label htmlFor="new-role">Role</label>
+            <select id="new-role" name="role" value={newUser.role} onChange={handleNewUserChange}>
+              {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+            </select>
+          </div>
+          <button type="submit">Create User</button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default AdminUsersPage;
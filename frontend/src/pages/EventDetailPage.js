@@ -0,0 +1,171 @@
+// hello/frontend/src/pages/EventDetailPage.js
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { MapContainer, Marker } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import EventHistory from '../components/EventHistory';
+import Lightbox from '../components/Lightbox';
+import { DefaultTileLayer } from '../components/TileLayers';
+import { useAuth } from '../context/AuthContext';
+import { canModifyEvent } from '../permissions';
+import { imageUrl, imageAlt } from '../images';
+import { parseDate } from '../dates';
+
+import '../components/leafletIcon'; // Default marker icon fix
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Link to the map and timeline with one filter applied (used for tags)
+const filterLink = (name, value) => `/?${new URLSearchParams({ [name]: value })}`;
+
+// Link to a person's profile page
+const personLink = (name) => `/people/${encodeURIComponent(name)}`;
+
+// Read-only input with the event's permalink and a button that copies it
+function Permalink({ eventId }) {
+  const [copied, setCopied] = useState(false);
+  const inputRef = useRef(null);
+  const url = `${window.location.origin}/events/${eventId}`;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      // Clipboard access can be denied (or unavailable over plain http); select the text instead
+      console.warn("Could not copy permalink:", err);
+      inputRef.current?.select();
+    }
+  };
+
+  return (
+    <div className="permalink">
+      <label htmlFor="permalink">Permalink</label>
+      <input id="permalink" ref={inputRef} type="text" value={url} readOnly onFocus={(e) => e.target.select()} />
+      <button type="button" onClick={handleCopy}>{copied ? 'Copied!' : 'Copy'}</button>
+    </div>
+  );
+}
+
+function EventDetailPage() {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [lightboxIndex, setLightboxIndex] = useState(null); // Image shown in the lightbox, or null
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    axios.get(`${API_URL}/events/${id}`)
+      .then(response => setEvent(response.data))
+      .catch(err => {
+        console.error("Error fetching event:", err);
+        setEvent(null);
+        // A deleted event still has a history authors and moderators can restore from
+        if (err.response?.status !== 404) {
+          setError(err.response?.data?.message || err.message || "Failed to load event.");
+        }
+      })
+      .finally(() => setLoading(false));
+  }, [id]);
+
+  // Show the event's title in the browser tab
+  useEffect(() => {
+    if (!event?.title) return;
+    const previousTitle = document.title;
+    document.title = event.title;
+    return () => { document.title = previousTitle; };
+  }, [event?.title]);
+
+  if (loading) {
+    return <div><h2>Event</h2><div>Loading event...</div></div>;
+  }
+
+  if (error) {
+    return <div><h2>Event</h2><div style={{ color: 'red' }}>Error: {error}</div></div>;
+  }
+
+  const date = parseDate(event?.date);
+  const coordinates = event?.location?.coordinates;
+  const position = Array.isArray(coordinates) && coordinates.length === 2 ? [coordinates[1], coordinates[0]] : null; // [lat, lng]
+  const images = Array.isArray(event?.images) ? event.images : [];
+
+  return (
+    <div className="page-container">
+      <Link to="/">&larr; Back to Map & Timeline</Link>
+      {event ? (
+        <>
+          <h2>{event.title || 'Untitled Event'}</h2>
+          {event.status !== 'approved' && <span className={`badge badge-${event.status}`}>{event.status}</span>}
+          <p><strong>Date:</strong> {date ? `${format(date, 'MMMM d, yyyy HH:mm')} UTC` : '-'}</p>
+          <p><strong>Address:</strong> {event.location?.address || '-'}</p>
+          {event.description && <p className="event-description">{event.description}</p>}
+          {Array.isArray(event.people) && event.people.length > 0 && (
+            <p>
+              <strong>People:</strong>{' '}
+              {event.people.map(name => <Link key={name} className="chip" to={personLink(name)}>{name}</Link>)}
+            </p>
+          )}
+          {Array.isArray(event.tags) && event.tags.length > 0 && (
+            <p>
+              <strong>Tags:</strong>{' '}
+              {event.tags.map(tag => <Link key={tag} className="chip" to={filterLink('tags', tag)}>{tag}</Link>)}
+            </p>
+          )}
+          <p><small>Added by {event.createdBy?.displayName || event.createdBy?.username || 'unknown'}</small></p>
+          {canModifyEvent(user, event) && <Link to={`/events/${event._id}/edit`}>Edit</Link>}
+
+          {images.length > 0 && (
+            <div className="event-gallery">
+              {images.map((image, index) => (
+                <figure key={image._id || index}>
+                  <button type="button" onClick={() => setLightboxIndex(index)} title="View larger">
+                    <img src={imageUrl(image, 'thumbnail')} alt={imageAlt(image, event, index)} />
+                  </button>
+                  {image.caption && <figcaption>{image.caption}</figcaption>}
+                </figure>
+              ))}
+            </div>
+          )}
+          {lightboxIndex !== null && (
+            <Lightbox event={event} index={lightboxIndex} onIndexChange={setLightboxIndex} onClose={() => setLightboxIndex(null)} />
+          )}
+
+          {position && (
+            <MapContainer
+              key={position.join(',')} // Re-center when a restore moves the event
+              center={position}
+              zoom={14}
+              scrollWheelZoom={false}
+              style={{ height: '250px', width: '100%' }}
+              className="event-mini-map"
+            >
+              <DefaultTileLayer />
+              <Marker position={position} />
+            </MapContainer>
+          )}
+
+          <Permalink eventId={event._id} />
+        </>
+      ) : (
+        <h2>Event not found</h2>
+      )}
+
+      {/* The server decides who may see the history (authors and moderators) */}
+      {(!event || canModifyEvent(user, event)) && (
+        <>
+          <h3>History</h3>
+          <EventHistory eventId={id} onRestored={setEvent} />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default EventDetailPage;
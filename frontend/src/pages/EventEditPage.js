@@ -0,0 +1,60 @@
+// hello/frontend/src/pages/EventEditPage.js
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import EventForm from '../components/EventForm';
+import { useAuth } from '../context/AuthContext';
+import { canModifyEvent } from '../permissions';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+function EventEditPage() {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch the event to edit whenever the id changes
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    axios.get(`${API_URL}/events/${id}`)
+      .then(response => {
+        setEvent(response.data);
+      })
+      .catch(err => {
+        console.error("Error fetching event:", err);
+        const message = err.response?.data?.message || err.message || "Failed to load event.";
+        setError(message);
+        setEvent(null);
+      })
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [id]);
+
+  if (loading) {
+    return <div><h2>Edit Event</h2><div>Loading event...</div></div>;
+  }
+
+  if (error || !event) {
+    return <div><h2>Edit Event</h2><div style={{ color: 'red' }}>Error: {error || 'Event not found.'}</div></div>;
+  }
+
+  if (!canModifyEvent(user, event)) {
+    return <div><h2>Edit Event</h2><div style={{ color: 'red' }}>Only the author or a moderator can edit this event.</div></div>;
+  }
+
+  return (
+    <div>
+      <h2>Edit Event</h2>
+      <Link to="/">&larr; Back to Map & Timeline</Link>
+      {/* Key on _id so the form re-initializes its fields for a different event */}
+      <EventForm key={event._id} event={event} onSaved={setEvent} />
+    </div>
+  );
+}
+
+export default EventEditPage;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { errorMessage } from '../api';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Event fields a CSV column can be mapped to (see backend/events/import.js)
+const FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'date', label: 'Date' },
+  { name: 'address', label: 'Address' },
+  { name: 'description', label: 'Description' },
+  { name: 'people', label: 'People' },
+  { name: 'tags', label: 'Tags' },
+  { name: 'lat', label: 'Latitude' },
+  { name: 'lon', label: 'Longitude' },
+];
+const IGNORE = '(ignore)'; // Mapping choice for leaving a field out
+
+const STATUS_LABELS = {
+  valid: 'Valid',
+  invalid: 'Invalid',
+  duplicate: 'Duplicate',
+  imported: 'Imported',
+};
+
+const isCsv = (file, text) => /\.(csv|tsv)$/i.test(file.name) || !/^\s*[[{]/.test(text);
+
+// Column headers of a CSV file: the first line, split on its most common separator
+function csvHeaders(text) {
+  const line = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].sort((a, b) => line.split(b).length - line.split(a).length)[0];
+  return line.split(delimiter).map(header => header.trim().replace(/^"|"$/g, '')).filter(Boolean);
+}
+
+// Where a row's "duplicate of" points to
+function DuplicateOf({ duplicateOf }) {
+  if (duplicateOf.eventId) return <>of <Link to={`/events/${duplicateOf.eventId}`}>an existing event</Link></>;
+  return <>of row {duplicateOf.row}</>;
+}
+
+function ImportPage() {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState(''); // '' = detect
+  const [headers, setHeaders] = useState([]); // CSV columns, for the mapping
+  const [mapping, setMapping] = useState({}); // field -> column or IGNORE; unset fields are matched by name
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0] || null;
+    setFile(chosen);
+    setReport(null);
+    setMapping({});
+    setHeaders([]);
+    setError('');
+    if (!chosen) return;
+    const text = await chosen.slice(0, 64 * 1024).text(); // The header is all that's needed
+    setHeaders(isCsv(chosen, text) ? csvHeaders(text) : []);
+  };
+
+  // Uploads the file; with dryRun the server only checks it
+  const submit = async (dryRun) => {
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    const formData = new FormData();
+    formData.append('file', file);
+    if (format) formData.append('format', format);
+    if (headers.length > 0 && Object.keys(mapping).length > 0) {
+      formData.append('mapping', JSON.stringify(Object.fromEntries(
+        Object.entries(mapping).map(([field, column]) => [field, column === IGNORE ? null : column])
+      )));
+    }
+    formData.append('dryRun', String(dryRun));
+    try {
+      const response = await axios.post(`${API_URL}/events/import`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      setReport(response.data);
+    } catch (err) {
+      console.error("Error importing events:", err);
+      setError(errorMessage(err, "Failed to import events."));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateMapping = (field, column) => setMapping(prev => {
+    const { [field]: _previous, ...rest } = prev;
+    return column ? { ...rest, [field]: column } : rest;
+  });
+
+  const summary = report?.summary;
+
+  return (
+    <div className="page-container">
+      <h2>Import Events</h2>
+      <p>
+        Import old entries from a spreadsheet (CSV), a JSON list of events or a GeoJSON FeatureCollection.
+        Entries without coordinates are placed by geocoding their address; only a few dozen different addresses per file with the public geocoder.
+        Check the file first: nothing is saved until you import it, and rows that are invalid or already exist are skipped.
+      </p>
+      {error && <p style={{ color: 'red', border: '1px solid red', padding: '10px', borderRadius: '4px' }}>Error: {error}</p>}
+
+      <div className="import-options">
+        <label>
+          File{' '}
+          <input type="file" accept=".csv,.tsv,.json,.geojson,text/csv,application/json,application/geo+json" onChange={handleFileChange} />
+        </label>
+        <label>
+          Format{' '}
+          <select value={format} onChange={(e) => { setFormat(e.target.value); setReport(null); }}>
+            <option value="">Detect</option>
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+            <option value="geojson">GeoJSON</option>
+          </select>
+        </label>
+      </div>
+
+      {/* Column mapping for CSV files; by default columns are matched by their header */}
+      {headers.length > 0 && (format === '' || format === 'csv') && (
+        <fieldset className="import-mapping">
+          <legend>Columns</legend>
+          {FIELDS.map(field => (
+            <label key={field.name}>
+              {field.label}{' '}
+              <select value={mapping[field.name] || ''} onChange={(e) => { updateMapping(field.name, e.target.value); setReport(null); }}>
+                <option value="">(match by name)</option>
+                {headers.map(header => <option key={header} value={header}>{header}</option>)}
+                <option value={IGNORE}>{IGNORE}</option>
+              </select>
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      <div className="event-actions">
+        <button type="button" onClick={() => submit(true)} disabled={!file || busy}>
+          {busy ? 'Working...' : 'Check File'}
+        </button>
+        {/* Only offered after a check found something to import */}
+        {report?.dryRun && summary.valid > 0 && (
+          <button type="button" onClick={() => submit(false)} disabled={busy}>
+            Import {summary.valid} {summary.valid === 1 ? 'Event' : 'Events'}
+          </button>
+        )}
+      </div>
+
+      {report && (
+        <>
+          <p className="import-summary">
+            {report.dryRun ? 'Checked' : 'Imported'} {summary.total} rows:{' '}
+            {report.dryRun ? `${summary.valid} valid` : `${summary.imported} imported (waiting for moderation)`},{' '}
+            {summary.invalid} invalid, {summary.duplicate} duplicates.
+          </p>
+          <div className="event-table-container">
+            <table className="event-table import-report">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Status</th>
+                  <th>Title</th>
+                  <th>Date</th>
+                  <th>Address</th>
+                  <th>People</th>
+                  <th>Tags</th>
+                  <th>Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(row => (
+                  <tr key={row.row} className={`import-${row.status}`}>
+                    <td>{row.row}</td>
+                    <td>{STATUS_LABELS[row.status]}</td>
+                    <td>{row.eventId ? <Link to={`/events/${row.eventId}`}>{row.title}</Link> : row.title}</td>
+                    <td>{row.date ? row.date.slice(0, 10) : ''}</td>
+                    <td>
+                      {row.address}
+                      {row.coordinates && <div><small>{row.coordinates[1].toFixed(5)}, {row.coordinates[0].toFixed(5)}</small></div>}
+                    </td>
+                    <td>{row.people.join(', ')}</td>
+                    <td>{row.tags.join(', ')}</td>
+                    <td>
+                      {row.errors.join(' ')}
+                      {row.duplicateOf && <>Duplicate <DuplicateOf duplicateOf={row.duplicateOf} /></>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ImportPage;
@@ -0,0 +1,60 @@
+// hello/frontend/src/pages/LoginPage.js
+import React, { useState } from 'react';
+import { useNavigate, useLocation, Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+function LoginPage() {
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Go back to the page that required the login
+  const redirectTo = location.state?.from?.pathname || '/';
+
+  if (user) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      await login(username, password);
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      console.error("Login failed:", err);
+      setError(err.response?.data?.message || 'Network error: Could not reach the server.');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div>
+      <h2>Log In</h2>
+      <div className="form-container">
+        <form onSubmit={handleSubmit}>
+          {error && <p style={{ color: 'red', border: '1px solid red', padding: '10px', borderRadius: '4px' }}>Error: {error}</p>}
+
+          <div>
+            <label htmlFor="username">Username</label>
+            <input type="text" id="username" value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" required />
+          </div>
+
+          <div>
+            <label htmlFor="password">Password</label>
+            <input type="password" id="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" required />
+          </div>
+
+          <button type="submit" disabled={submitting}>{submitting ? 'Logging in...' : 'Log In'}</button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default LoginPage;
@@ -1,130 +1,333 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import axios from 'axios';
-import { format, parseISO, startOfDay, isValid } from 'date-fns';
+import { useSearchParams } from 'react-router-dom';
+import { format, startOfDay, isValid } from 'date-fns';
 
 import MapDisplay from '../components/MapDisplay';
 import Timeline from '../components/Timeline';
 import EventTable from '../components/EventTable';
-import EventFilter from '../components/EventFilter'; // Ensure correct component name
+import ExportButton from '../components/ExportButton';
+import EventFilter, { EMPTY_FILTERS } from '../components/EventFilter'; // Ensure correct component name
+import { parseDate } from '../dates';
 
 // Define API URL (use environment variable)
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const PAGE_SIZE = 200; // Events fetched per request
+const SEARCH_DELAY = 400; // ms to wait after typing before searching
+
+// Fetch one page of events matching `query` (GET /api/events filters, see filterParams) and parse
+// date strings into Date objects. Without a search events come newest first, with one they are ranked by relevance.
+async function fetchEventsPage(cursor, query) {
+  const response = await axios.get(`${API_URL}/events`, {
+    params: {
+      ...query,
+      limit: PAGE_SIZE,
+      ...(!query.search && { sort: '-date' }),
+      ...(cursor && { cursor }),
+    },
+    paramsSerializer: { indexes: null }, // Lists as repeated parameters (people=a&people=b)
+  });
+  // console.log("Raw events received:", response.data);
+  if (!Array.isArray(response.data?.events)) {
+     throw new Error("Invalid data format received from server.");
+  }
+  // Parse date strings into Date objects (UTC days, see dates.js) safely
+  const eventsWithDates = response.data.events.map(event => ({
+      ...event,
+      // Store Date object if valid, otherwise null
+      date: parseDate(event?.date)
+  })).filter(event => event?.date !== null); // Filter out events with invalid/missing dates
+
+  return { events: eventsWithDates, total: response.data.total, nextCursor: response.data.nextCursor };
+}
+
+// --- View state in the query string ---
+// The selected date, filters, date range and map view live in the URL so reloading or sharing
+// a link shows the same view, e.g. ?date=2024-05-01&people=Alice&people=Bob&peopleMode=all&notTags=work
+// &from=2024-01-01&weekday=5&center=52.52,13.405&zoom=12
+// Filter changes add a history entry; moving the map replaces the current one.
+
+// Filter fields and their query parameters (lists are repeated parameters)
+const LIST_PARAMS = { people: 'people', excludePeople: 'notPeople', tags: 'tags', excludeTags: 'notTags' };
+const VALUE_PARAMS = { peopleMode: 'peopleMode', tagsMode: 'tagsMode', from: 'from', to: 'to', weekday: 'weekday' };
+
+// Filters (except the search, see below) from the query string
+function parseFilterParams(searchParams) {
+  const filters = { ...EMPTY_FILTERS };
+  Object.entries(LIST_PARAMS).forEach(([field, name]) => { filters[field] = searchParams.getAll(name).filter(v => v); });
+  Object.entries(VALUE_PARAMS).forEach(([field, name]) => { filters[field] = searchParams.get(name) || EMPTY_FILTERS[field]; });
+  if (filters.peopleMode !== 'all') filters.peopleMode = 'any';
+  if (filters.tagsMode !== 'all') filters.tagsMode = 'any';
+  return filters;
+}
+
+// Query parameter changes for filters; defaults are left out of the URL.
+// The parameters are the same as those of GET /api/events, which does the filtering.
+function filterParams(filters) {
+  const changes = {};
+  Object.entries(LIST_PARAMS).forEach(([field, name]) => { changes[name] = filters[field]; });
+  Object.entries(VALUE_PARAMS).forEach(([field, name]) => { changes[name] = filters[field] === EMPTY_FILTERS[field] ? null : filters[field]; });
+  return changes;
+}
+
+const formatDateParam = (date) => (date && isValid(date) ? format(date, 'yyyy-MM-dd') : null);
+
+// Parses center=lat,lng and zoom=z, or null if either is missing or invalid
+function parseMapView(center, zoom) {
+  const [lat, lng] = (center || '').split(',').map(parseFloat);
+  const zoomLevel = parseInt(zoom, 10);
+  if ([lat, lng, zoomLevel].some(isNaN) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { center: [lat, lng], zoom: zoomLevel };
+}
+
+const formatCoordinate = (value) => String(Math.round(value * 1e5) / 1e5); // ~1 m precision
+// --- End view state ---
 
 function MapTimelinePage() {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [allEvents, setAllEvents] = useState([]);
-  const [selectedDate, setSelectedDate] = useState(null); // Store Date object or null
-  const [filters, setFilters] = useState({ title: '', people: '', tags: '' }); // people/tags store selected value
+
+  // Everything below is read from the URL (see "View state in the query string")
+  const dateParam = searchParams.get('date');
+  // Only recompute the filters when one of their parameters changes (not when the map moves)
+  const filterQuery = new URLSearchParams([...Object.values(LIST_PARAMS), ...Object.values(VALUE_PARAMS)]
+    .flatMap(name => searchParams.getAll(name).map(value => [name, value]))).toString();
+  const centerParam = searchParams.get('center');
+  const zoomParam = searchParams.get('zoom');
+  // Search text the loaded events were fetched with (the search box updates it after a pause)
+  const activeSearch = (searchParams.get('search') || '').trim();
+
+  const selectedDate = useMemo(() => parseDate(dateParam), [dateParam]); // Date object or null
+  const mapView = useMemo(() => parseMapView(centerParam, zoomParam), [centerParam, zoomParam]);
+  const [searchInput, setSearchInput] = useState(activeSearch); // What is typed in the search box
+  const urlFilters = useMemo(() => parseFilterParams(new URLSearchParams(filterQuery)), [filterQuery]);
+  const filters = useMemo(() => ({ ...urlFilters, search: searchInput }), [urlFilters, searchInput]);
+  const dateRange = useMemo(() => ({ from: parseDate(urlFilters.from), to: parseDate(urlFilters.to) }), [urlFilters]);
+  // The filters as GET /api/events parameters: events are fetched with them
+  const query = useMemo(() => ({ ...filterParams(urlFilters), search: activeSearch || null }), [urlFilters, activeSearch]);
+  const isFiltered = Object.values(query).some(value => (Array.isArray(value) ? value.length > 0 : value));
+  // An export covers every matching event, not just the loaded ones
+  const exportParams = useMemo(() => ({ ...query, date: formatDateParam(selectedDate) }), [query, selectedDate]);
+
+  // Sets or removes (null/empty) query parameters, keeping the others. Arrays become repeated parameters.
+  const updateParams = useCallback((changes, options) => {
+    setSearchParams(prevParams => {
+      const params = new URLSearchParams(prevParams);
+      Object.entries(changes).forEach(([name, value]) => {
+        params.delete(name);
+        if (Array.isArray(value)) value.forEach(item => params.append(name, item));
+        else if (value !== null && value !== undefined && value !== '') params.set(name, value);
+      });
+      return params;
+    }, options);
+  }, [setSearchParams]);
+
+  const [playback, setPlayback] = useState(null); // Timeline playback window for the map, see Timeline
   const [loading, setLoading] = useState(true);
+  const [searching, setSearching] = useState(false);
   const [error, setError] = useState(null);
 
-  // Fetch all events on mount
+  const [total, setTotal] = useState(0); // Number of events on the server
+  const [nextCursor, setNextCursor] = useState(null); // Cursor for the next (older) page
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Search on the server once the user stops typing
+  const typedSearch = useRef(activeSearch); // Last search the search box put in the URL
+  useEffect(() => {
+    const search = searchInput.trim();
+    if (search === activeSearch) return;
+    const timeout = setTimeout(() => {
+      typedSearch.current = search;
+      updateParams({ search });
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timeout);
+  }, [searchInput, activeSearch, updateParams]);
+
+  // Show the search from the URL when going back or forward
   useEffect(() => {
-    setLoading(true);
+    if (activeSearch === typedSearch.current) return; // Came from the search box, which may already have more text
+    typedSearch.current = activeSearch;
+    setSearchInput(activeSearch);
+  }, [activeSearch]);
+
+  // Fetch the first page of events on mount and whenever the search or a filter changes
+  const isFirstFetch = useRef(true);
+  useEffect(() => {
+    let cancelled = false; // Ignore responses for outdated filters
+    // Only the very first fetch replaces the page with a loading message,
+    // so the search box keeps focus while typing
+    if (isFirstFetch.current) setLoading(true);
+    else setSearching(true);
     setError(null); // Reset error on new fetch
     // console.log("Fetching events from:", `${API_URL}/events`);
-    axios.get(`${API_URL}/events`)
-      .then(response => {
-        // console.log("Raw events received:", response.data);
-        if (!Array.isArray(response.data)) {
-           throw new Error("Invalid data format received from server.");
-        }
-        // Parse date strings into Date objects safely
-        const eventsWithDates = response.data.map(event => {
-           const parsedDate = event?.date ? parseISO(event.date) : null;
-           return {
-            ...event,
-            // Store Date object if valid, otherwise null
-            date: parsedDate && isValid(parsedDate) ? parsedDate : null
-           }
-        }).filter(event => event?.date !== null); // Filter out events with invalid/missing dates
-
-        // console.log("Processed events with dates:", eventsWithDates);
-        setAllEvents(eventsWithDates);
+    fetchEventsPage(null, query)
+      .then(page => {
+        if (cancelled) return;
+        setAllEvents(page.events);
+        setTotal(page.total);
+        setNextCursor(page.nextCursor);
         setError(null);
       })
       .catch(err => {
+        if (cancelled) return;
         console.error("Error fetching events:", err);
         const message = err.response?.data?.message || err.message || "Failed to load events. Please try again later.";
         setError(message);
         setAllEvents([]); // Clear events on error
       })
       .finally(() => {
+        if (cancelled) return;
+        isFirstFetch.current = false;
         setLoading(false);
+        setSearching(false);
         // console.log("Finished fetching events.");
       });
-  }, []); // Empty dependency array ensures this runs only once on mount
-
-  // --- Generate unique lists for dropdowns ---
-  const uniquePeople = useMemo(() => {
-      if (!allEvents) return [];
-      // Flatten all people arrays, filter out empty/null/undefined, create Set, sort
-      const allPeople = allEvents.flatMap(event => event?.people || []).filter(p => p);
-      return [...new Set(allPeople)].sort();
-  }, [allEvents]);
-
-  const uniqueTags = useMemo(() => {
-      if (!allEvents) return [];
-      // Flatten all tags arrays, filter out empty/null/undefined, create Set, sort
-      const allTags = allEvents.flatMap(event => event?.tags || []).filter(t => t);
-      return [...new Set(allTags)].sort();
-  }, [allEvents]);
-  // --- End unique list generation ---
-
-  // Memoize filtered events based on date and text/dropdown filters
-  const filteredEvents = useMemo(() => {
-    // console.log("Recalculating filteredEvents. Selected Date:", selectedDate, "Filters:", filters);
-    return allEvents.filter(event => {
-        // Ensure event and event.date are valid before comparing
-        if (!event || !event.date) return false;
-
-        // Date filter: Check if event date matches the START of the selected date
-        const matchesDate = !selectedDate || (startOfDay(event.date).getTime() === startOfDay(selectedDate).getTime());
+    return () => { cancelled = true; };
+  }, [query]);
 
-        // Title Filter (case-insensitive partial match)
-        const lowerTitleFilter = filters.title.toLowerCase();
-        const matchesTitle = !lowerTitleFilter || (event.title && event.title.toLowerCase().includes(lowerTitleFilter));
+  // Append the next page of (older) events
+  const handleLoadMore = () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    fetchEventsPage(nextCursor, query)
+      .then(page => {
+        setAllEvents(prevEvents => [...prevEvents, ...page.events]);
+        setTotal(page.total);
+        setNextCursor(page.nextCursor);
+      })
+      .catch(err => {
+        console.error("Error fetching more events:", err);
+        const message = err.response?.data?.message || err.message || "Failed to load more events.";
+        window.alert(`Error: ${message}`);
+      })
+      .finally(() => {
+        setLoadingMore(false);
+      });
+  };
 
-        // People Filter (exact match from dropdown)
-        // Check if the event's people array includes the selected person filter (if a person is selected)
-        const matchesPeople = !filters.people || (Array.isArray(event.people) && event.people.includes(filters.people));
+  // --- Option lists (with event counts) for the filter dropdowns ---
+  // Counted on the server over every matching event, not just the loaded pages
+  const [peopleOptions, setPeopleOptions] = useState([]);
+  const [tagOptions, setTagOptions] = useState([]);
+  useEffect(() => {
+    let cancelled = false;
+    axios.get(`${API_URL}/events/facets`, { params: query, paramsSerializer: { indexes: null } })
+      .then(response => {
+        if (cancelled) return;
+        setPeopleOptions(response.data.people);
+        setTagOptions(response.data.tags);
+      })
+      .catch(err => console.error("Error fetching filter options:", err));
+    return () => { cancelled = true; };
+  }, [query]);
+  // --- End option lists ---
 
-        // Tags Filter (exact match from dropdown)
-        // Check if the event's tags array includes the selected tag filter (if a tag is selected)
-        const matchesTags = !filters.tags || (Array.isArray(event.tags) && event.tags.includes(filters.tags));
+  // Events per day for the timeline, counted on the server over every matching event. The range brushed
+  // on the timeline is left out, so the axis keeps showing everything and the range is a highlight on it.
+  const [days, setDays] = useState([]);
+  const timelineQuery = JSON.stringify({ ...query, from: null, to: null });
+  useEffect(() => {
+    let cancelled = false;
+    axios.get(`${API_URL}/stats/days`, { params: JSON.parse(timelineQuery), paramsSerializer: { indexes: null } })
+      .then(response => {
+        if (!cancelled) setDays(response.data.days.map(({ date, count }) => ({ date: parseDate(date), count })));
+      })
+      .catch(err => console.error("Error fetching the timeline:", err));
+    return () => { cancelled = true; };
+  }, [timelineQuery]);
 
-        return matchesDate && matchesTitle && matchesPeople && matchesTags;
-    });
-  }, [allEvents, selectedDate, filters]);
+  // The loaded events already match the filters (the server applies them, see fetchEventsPage);
+  // the map only narrows them down to the date selected on the timeline
+  const filteredEvents = useMemo(() => {
+    // console.log("Recalculating filteredEvents. Selected Date:", selectedDate, "Filters:", filters);
+    return allEvents.filter(event =>
+        // Date filter: Check if event date matches the START of the selected date
+        !selectedDate || (startOfDay(event.date).getTime() === startOfDay(selectedDate).getTime())
+    );
+  }, [allEvents, selectedDate]);
 
-  // Derive events specifically for the table (only those matching selected date and filters)
+  // Derive events specifically for the table (only those matching selected date and filters,
+  // or everything in the date range brushed on the timeline)
   const tableEvents = useMemo(() => {
-    if (!selectedDate) return []; // Show empty table if no date selected
+    if (!selectedDate) return dateRange.from || dateRange.to ? filteredEvents : []; // Show empty table if neither is set
     // Filter from the already filtered events for efficiency
     // Ensure event and event.date are valid
     return filteredEvents.filter(event =>
         event?.date && startOfDay(event.date).getTime() === startOfDay(selectedDate).getTime()
     );
-  }, [filteredEvents, selectedDate]);
+  }, [filteredEvents, selectedDate, dateRange]);
 
 
   const handleDateSelect = (date) => {
     // console.log("Date selected on timeline:", date);
     // Toggle selection: if clicking the same date, deselect it (set to null)
     // Ensure date is valid before comparing
-    setSelectedDate(prevDate =>
-        prevDate && date && isValid(date) && isValid(prevDate) &&
-        startOfDay(prevDate).getTime() === startOfDay(date).getTime()
-        ? null
-        : (date && isValid(date) ? date : null) // Set to the new valid date or null
-    );
+    const isSameDate = selectedDate && date && isValid(date) &&
+        startOfDay(selectedDate).getTime() === startOfDay(date).getTime();
+    updateParams({ date: isSameDate ? null : formatDateParam(date) });
+  };
+
+  // Drops a deleted or hidden event from the loaded pages and the timeline's counts
+  const removeEvent = (event) => {
+    setAllEvents(prevEvents => prevEvents.filter(e => e._id !== event._id));
+    setTotal(prevTotal => Math.max(prevTotal - 1, 0));
+    const day = startOfDay(event.date).getTime();
+    setDays(prevDays => prevDays.map(entry => (entry.date.getTime() === day ? { ...entry, count: entry.count - 1 } : entry)));
+  };
+
+  // Delete an event after confirmation and drop it from local state
+  const handleDeleteEvent = async (event) => {
+    if (!event?._id) return;
+    if (!window.confirm(`Delete "${event.title || 'Untitled Event'}"? This cannot be undone.`)) return;
+    try {
+      await axios.delete(`${API_URL}/events/${event._id}`);
+      removeEvent(event);
+    } catch (err) {
+      console.error("Error deleting event:", err);
+      const message = err.response?.data?.message || err.message || "Failed to delete event.";
+      window.alert(`Error: ${message}`);
+    }
+  };
+
+  // Hide an event (moderators) with a reason and drop it from local state
+  const handleHideEvent = async (event) => {
+    if (!event?._id) return;
+    const reason = window.prompt(`Why should "${event.title || 'Untitled Event'}" be hidden?`);
+    if (reason === null) return; // Cancelled
+    try {
+      await axios.post(`${API_URL}/events/${event._id}/moderate`, { status: 'hidden', reason });
+      removeEvent(event);
+    } catch (err) {
+      console.error("Error hiding event:", err);
+      const message = err.response?.data?.message || err.message || "Failed to hide event.";
+      window.alert(`Error: ${message}`);
+    }
   };
 
   const handleFilterChange = (newFilters) => {
     // console.log("Filters changed:", newFilters);
-    setFilters(newFilters);
+    // The search goes to the URL once typing pauses, everything else right away
+    setSearchInput(newFilters.search);
+    const changes = filterParams(newFilters);
+    if (JSON.stringify(changes) !== JSON.stringify(filterParams(urlFilters))) {
+      updateParams(changes);
+    }
     // When filters change, keep the selected date, but filters will re-apply via useMemo
   };
 
+  // A range brushed on the timeline becomes the from/to filter (null, null clears it)
+  const handleRangeChange = (from, to) => {
+    updateParams({ from: formatDateParam(from), to: formatDateParam(to) });
+  };
+
+  // Keep the map position in the URL without adding a history entry for every pan
+  const handleMapViewChange = useCallback((view) => {
+    updateParams({
+      center: `${formatCoordinate(view.center[0])},${formatCoordinate(view.center[1])}`,
+      zoom: view.zoom,
+    }, { replace: true });
+  }, [updateParams]);
+
   // Render different states: Loading, Error, No Events, Events available
   if (loading) {
     // console.log("Rendering: Loading state");
@@ -137,7 +340,7 @@ function MapTimelinePage() {
   }
 
   // Check after loading and no error if there are still no events fetched
-  if (!loading && !error && allEvents.length === 0) {
+  if (!loading && !error && !isFiltered && allEvents.length === 0) {
     // console.log("Rendering: No events found state");
     return (
         <div className="page-container">
@@ -159,25 +362,62 @@ function MapTimelinePage() {
       <EventFilter
           currentFilters={filters}
           onFilterChange={handleFilterChange}
-          peopleOptions={uniquePeople}
-          tagOptions={uniqueTags}
+          peopleOptions={peopleOptions}
+          tagOptions={tagOptions}
       />
 
-      <MapDisplay events={filteredEvents} />
+      {/* Older events are fetched page by page */}
+      <div className="load-more">
+        {searching ? (
+          <small>Searching...</small>
+        ) : activeSearch ? (
+          <small>Showing the {allEvents.length} best of {total} events matching "{activeSearch}".</small>
+        ) : isFiltered ? (
+          <small>Showing the {allEvents.length} most recent of {total} events matching the filters.</small>
+        ) : (
+          <small>Showing the {allEvents.length} most recent of {total} events.</small>
+        )}
+        {nextCursor && (
+          <button type="button" onClick={handleLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load Older Events'}
+          </button>
+        )}
+        <ExportButton params={exportParams} label="Export current view" />
+      </div>
+
+      <MapDisplay
+          events={filteredEvents}
+          onDelete={handleDeleteEvent}
+          onHide={handleHideEvent}
+          view={mapView}
+          onViewChange={handleMapViewChange}
+          playback={playback}
+      />
 
       <Timeline
-          events={allEvents} // Timeline shows dates derived from all events
+          days={days} // Every event matching the filters, not just the loaded pages
           selectedDate={selectedDate}
           onDateSelect={handleDateSelect}
+          range={dateRange}
+          onRangeChange={handleRangeChange}
+          onPlaybackChange={setPlayback}
       />
 
-      {/* Table only shows events for the specifically selected date + filters */}
+      {/* Table only shows events for the specifically selected date (or brushed range) + filters */}
        {selectedDate ? (
          // Pass the correctly filtered tableEvents
-         <EventTable events={tableEvents} selectedDate={selectedDate} />
+         <EventTable events={tableEvents} selectedDate={selectedDate} onDelete={handleDeleteEvent} onHide={handleHideEvent} />
+       ) : dateRange.from || dateRange.to ? (
+         <EventTable
+           events={tableEvents}
+           selectedDate={null}
+           heading={`Events ${dateRange.from ? `from ${format(dateRange.from, 'MMMM dd, yyyy')} ` : ''}${dateRange.to ? `until ${format(dateRange.to, 'MMMM dd, yyyy')}` : ''}`}
+           onDelete={handleDeleteEvent}
+           onHide={handleHideEvent}
+         />
        ) : (
          // Show message only if there are events overall but no date selected
-         allEvents.length > 0 && <p>Select a date on the timeline to see event details for that day.</p>
+         allEvents.length > 0 && <p>Select a date on the timeline or drag across it to see event details.</p>
        )}
     </div>
   );
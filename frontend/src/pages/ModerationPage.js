@@ -0,0 +1,151 @@
+// hello/frontend/src/pages/ModerationPage.js
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { imageUrl, imageAlt } from '../images';
+import { parseDate } from '../dates';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const STATUSES = ['pending', 'approved', 'rejected', 'hidden'];
+// Actions offered for an entry, depending on its current status
+const ACTIONS = [
+  { status: 'approved', label: 'Approve' },
+  { status: 'rejected', label: 'Reject', needsReason: true },
+  { status: 'hidden', label: 'Hide', needsReason: true },
+  { status: 'pending', label: 'Back to Queue' },
+];
+
+const formatDate = (value) => {
+  const parsed = parseDate(value);
+  return parsed ? format(parsed, 'MMM dd, yyyy') : 'N/A';
+};
+
+function ModerationPage() {
+  const [status, setStatus] = useState('pending'); // Status currently listed
+  const [events, setEvents] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [reasons, setReasons] = useState({}); // Reason text per event id
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchCounts = useCallback(() => {
+    axios.get(`${API_URL}/moderation/counts`)
+      .then(response => setCounts(response.data))
+      .catch(err => console.error("Error fetching moderation counts:", err));
+  }, []);
+
+  // Oldest entries first, so the queue is worked through in order
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    axios.get(`${API_URL}/events`, { params: { status, sort: 'date', limit: 100 } })
+      .then(response => setEvents(response.data.events || []))
+      .catch(err => {
+        console.error("Error fetching moderation queue:", err);
+        setError(err.response?.data?.message || err.message || "Failed to load entries.");
+        setEvents([]);
+      })
+      .finally(() => setLoading(false));
+    fetchCounts();
+  }, [status, fetchCounts]);
+
+  const handleModerate = async (event, newStatus) => {
+    setError('');
+    try {
+      await axios.post(`${API_URL}/events/${event._id}/moderate`, {
+        status: newStatus,
+        reason: reasons[event._id] || '',
+      });
+      // The entry no longer belongs in this list
+      setEvents(prevEvents => prevEvents.filter(e => e._id !== event._id));
+      fetchCounts();
+    } catch (err) {
+      console.error("Error moderating event:", err);
+      setError(err.response?.data?.message || err.message || "Failed to update entry.");
+    }
+  };
+
+  return (
+    <div className="page-container">
+      <h2>Moderation</h2>
+
+      <div className="status-tabs">
+        {STATUSES.map(s => (
+          <button
+            key={s}
+            type="button"
+            className={`timeline-date ${s === status ? 'selected' : ''}`}
+            onClick={() => setStatus(s)}
+          >
+            {s} ({counts[s] ?? '…'})
+          </button>
+        ))}
+      </div>
+
+      {error && <p style={{ color: 'red', border: '1px solid red', padding: '10px', borderRadius: '4px' }}>Error: {error}</p>}
+
+      {loading ? (
+        <div>Loading entries...</div>
+      ) : events.length === 0 ? (
+        <p>No {status} entries.</p>
+      ) : (
+        events.map(event => (
+          <div key={event._id} className="moderation-card">
+            <h3>
+              {event.title || 'Untitled Event'}
+              <span className={`badge badge-${event.status}`}>{event.status}</span>
+            </h3>
+            <small>
+              {formatDate(event.date)} · {event.location?.address || 'No Address'} ·
+              Added by {event.createdBy?.displayName || event.createdBy?.username || 'unknown'}
+            </small>
+            {event.description && <p>{event.description}</p>}
+            {Array.isArray(event.people) && event.people.length > 0 && <div><small>People: {event.people.join(', ')}</small></div>}
+            {Array.isArray(event.tags) && event.tags.length > 0 && <div><small>Tags: {event.tags.join(', ')}</small></div>}
+            {Array.isArray(event.images) && event.images.length > 0 && (
+              <div style={{ marginTop: '8px' }}>
+                {event.images.map((image, index) => (
+                  <a key={image._id || `${event._id}-img-${index}`} href={imageUrl(image)} target="_blank" rel="noreferrer" title={image.caption || undefined}>
+                    <img
+                      src={imageUrl(image, 'thumbnail')}
+                      alt={imageAlt(image, event, index)}
+                      onError={(e) => { e.target.style.display='none'; }}
+                      style={{ maxWidth: '120px', maxHeight: '120px', marginRight: '5px', border: '1px solid #eee' }}
+                    />
+                  </a>
+                ))}
+              </div>
+            )}
+            {event.moderationReason && (
+              <p><small>Reason ({event.moderatedBy?.username || 'moderator'}): {event.moderationReason}</small></p>
+            )}
+
+            <div className="moderation-actions">
+              <input
+                type="text"
+                placeholder="Reason (required to reject or hide)"
+                value={reasons[event._id] || ''}
+                onChange={(e) => setReasons(prev => ({ ...prev, [event._id]: e.target.value }))}
+                aria-label={`Moderation reason for ${event.title || 'event'}`}
+              />
+              {ACTIONS.filter(action => action.status !== event.status).map(action => (
+                <button
+                  key={action.status}
+                  type="button"
+                  onClick={() => handleModerate(event, action.status)}
+                  disabled={action.needsReason && !(reasons[event._id] || '').trim()}
+                >
+                  {action.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default ModerationPage;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { format, isValid, startOfDay, endOfDay } from 'date-fns';
+
+import MapDisplay from '../components/MapDisplay';
+import Timeline, { countEventsByDay } from '../components/Timeline';
+import Lightbox from '../components/Lightbox';
+import { imageUrl, imageAlt } from '../images';
+import { parseDate } from '../dates';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Images shown in the strip (newest events first)
+const MAX_STRIP_IMAGES = 30;
+
+// Link to a person's profile page
+const personLink = (name) => `/people/${encodeURIComponent(name)}`;
+
+// Link to the map and timeline filtered by this person (and optionally more filters)
+const mapLink = (params) => `/?${new URLSearchParams(params)}`;
+
+const formatDay = (date) => (date && isValid(date) ? format(date, 'MMMM d, yyyy') : '-');
+
+// Profile of one person (GET /api/people/:name/profile): their events on a map and timeline,
+// the people named with them most often, their top tags and their images
+function PersonPage() {
+  const { name } = useParams();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [range, setRange] = useState({ from: null, to: null });
+  const [playback, setPlayback] = useState(null); // Timeline playback window for the map, see Timeline
+  const [lightbox, setLightbox] = useState(null); // { event, index } of the image shown, or null
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    setSelectedDate(null);
+    setRange({ from: null, to: null });
+    axios.get(`${API_URL}/people/${encodeURIComponent(name)}/profile`)
+      .then(response => {
+        // Parse date strings into Date objects (the map and timeline need them)
+        const events = response.data.events
+          .map(event => ({ ...event, date: parseDate(event.date) }))
+          .filter(event => event.date);
+        setProfile({ ...response.data, events });
+      })
+      .catch(err => {
+        console.error("Error fetching person:", err);
+        setProfile(null);
+        setError(err.response?.data?.message || err.message || "Failed to load person.");
+      })
+      .finally(() => setLoading(false));
+  }, [name]);
+
+  // Show the person's name in the browser tab
+  useEffect(() => {
+    if (!profile?.name) return;
+    const previousTitle = document.title;
+    document.title = profile.name;
+    return () => { document.title = previousTitle; };
+  }, [profile?.name]);
+
+  // Events on the selected day or in the range brushed on the timeline (all of them otherwise)
+  const shownEvents = useMemo(() => (profile?.events || []).filter(event =>
+    (!selectedDate || startOfDay(event.date).getTime() === startOfDay(selectedDate).getTime())
+      && (!range.from || event.date >= startOfDay(range.from))
+      && (!range.to || event.date <= endOfDay(range.to))
+  ), [profile, selectedDate, range]);
+
+  // Timeline histogram of all the person's events (the range only highlights part of it)
+  const days = useMemo(() => countEventsByDay(profile?.events || []), [profile]);
+
+  // Images of the shown events, newest first
+  const stripImages = useMemo(() => [...shownEvents].reverse()
+    .flatMap(event => (event.images || []).map((image, index) => ({ event, image, index })))
+    .slice(0, MAX_STRIP_IMAGES), [shownEvents]);
+
+  if (loading) {
+    return <div className="page-container"><h2>{name}</h2><div>Loading...</div></div>;
+  }
+
+  if (error) {
+    return (
+      <div className="page-container">
+        <Link to="/">&larr; Back to Map & Timeline</Link>
+        <h2>{name}</h2>
+        <div style={{ color: 'red' }}>Error: {error}</div>
+      </div>
+    );
+  }
+
+  const handleDateSelect = (date) => {
+    const isSameDate = selectedDate && date && startOfDay(selectedDate).getTime() === startOfDay(date).getTime();
+    setSelectedDate(isSameDate ? null : date);
+  };
+
+  return (
+    <div className="page-container">
+      <Link to="/">&larr; Back to Map & Timeline</Link>
+      <h2>{profile.name}</h2>
+      <p>
+        {profile.count} {profile.count === 1 ? 'entry' : 'entries'}, {formatDay(parseDate(profile.first))}
+        {profile.count > 1 && <> to {formatDay(parseDate(profile.last))}</>}
+        {' · '}<Link to={mapLink({ people: profile.name })}>Show on the map</Link>
+      </p>
+
+      <div className="profile-facets">
+        <div>
+          <strong>Often with:</strong>{' '}
+          {profile.coPeople.length > 0
+            ? profile.coPeople.map(person => (
+              <Link key={person.name} className="chip" to={personLink(person.name)} title={`${person.count} shared entries`}>
+                {person.name} ({person.count})
+              </Link>
+            ))
+            : 'nobody else'}
+        </div>
+        <div>
+          <strong>Top tags:</strong>{' '}
+          {profile.tags.length > 0
+            ? profile.tags.map(({ tag, count }) => (
+              <Link key={tag} className="chip" to={mapLink({ people: profile.name, tags: tag })}>{tag} ({count})</Link>
+            ))
+            : 'none'}
+        </div>
+      </div>
+
+      {stripImages.length > 0 && (
+        <div className="image-strip">
+          {stripImages.map(({ event, image, index }) => (
+            <button key={`${event._id}-${image._id || index}`} type="button" onClick={() => setLightbox({ event, index })} title={event.title}>
+              <img src={imageUrl(image, 'thumbnail')} alt={imageAlt(image, event, index)} loading="lazy" />
+            </button>
+          ))}
+        </div>
+      )}
+      {lightbox && (
+        <Lightbox
+          event={lightbox.event}
+          index={lightbox.index}
+          onIndexChange={(index) => setLightbox(prev => ({ ...prev, index }))}
+          onClose={() => setLightbox(null)}
+        />
+      )}
+
+      <MapDisplay events={shownEvents} playback={playback} />
+
+      <Timeline
+        days={days}
+        selectedDate={selectedDate}
+        onDateSelect={handleDateSelect}
+        range={range}
+        onRangeChange={(from, to) => setRange({ from, to })}
+        onPlaybackChange={setPlayback}
+      />
+
+      <h3>Entries</h3>
+      <ol className="profile-timeline">
+        {[...shownEvents].reverse().map(event => (
+          <li key={event._id}>
+            <span className="profile-timeline-date">{format(event.date, 'MMM d, yyyy')}</span>
+            <span>
+              <Link to={`/events/${event._id}`}>{event.title || 'Untitled Event'}</Link>
+              <br /><small>{event.location?.address}</small>
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default PersonPage;
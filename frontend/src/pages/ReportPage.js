@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { errorMessage, readBlobError, downloadBlob } from '../api';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const THIS_YEAR = new Date().getFullYear();
+const YEARS = Array.from({ length: 10 }, (_, index) => THIS_YEAR - index);
+
+// Downloads the printable yearbook of GET /api/events/report for a date range and filters
+function ReportPage() {
+  const [from, setFrom] = useState(`${THIS_YEAR}-01-01`);
+  const [to, setTo] = useState(`${THIS_YEAR}-12-31`);
+  const [people, setPeople] = useState('');
+  const [tags, setTags] = useState('');
+  const [search, setSearch] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const chooseYear = (year) => {
+    if (!year) return;
+    setFrom(`${year}-01-01`);
+    setTo(`${year}-12-31`);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (from && to && from > to) {
+      setError("The start date must be before the end date.");
+      return;
+    }
+    setCreating(true);
+    setError('');
+    const params = Object.fromEntries(
+      Object.entries({ from, to, people, tags, search }).map(([name, value]) => [name, value.trim()]).filter(([, value]) => value)
+    );
+    try {
+      const response = await axios.get(`${API_URL}/events/report`, { params, responseType: 'blob' });
+      downloadBlob(response, `report-${from || 'start'}-to-${to || 'today'}.html`);
+    } catch (err) {
+      console.error("Error creating report:", err);
+      setError(errorMessage(await readBlobError(err), "Failed to create the report."));
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="page-container">
+      <h2>Printable Report</h2>
+      <p>
+        Download a yearbook of the entries in a date range: one page per entry with its description, people, tags,
+        first images and a map, followed by an index of people and tags. Open the file in a browser and print it
+        (or save it as a PDF).
+      </p>
+      {error && <p style={{ color: 'red', border: '1px solid red', padding: '10px', borderRadius: '4px' }}>Error: {error}</p>}
+
+      <form onSubmit={handleSubmit}>
+        <div className="report-options">
+          <label>
+            Year{' '}
+            <select value="" onChange={(e) => chooseYear(e.target.value)}>
+              <option value="">Choose...</option>
+              {YEARS.map(year => <option key={year} value={year}>{year}</option>)}
+            </select>
+          </label>
+          <label>
+            From{' '}
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+          </label>
+          <label>
+            To{' '}
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+          </label>
+        </div>
+        <div className="report-options">
+          <label>
+            People{' '}
+            <input type="text" value={people} onChange={(e) => setPeople(e.target.value)} placeholder="Comma separated" />
+          </label>
+          <label>
+            Tags{' '}
+            <input type="text" value={tags} onChange={(e) => setTags(e.target.value)} placeholder="Comma separated" />
+          </label>
+          <label>
+            Search{' '}
+            <input type="text" value={search} onChange={(e) => setSearch(e.target.value)} />
+          </label>
+        </div>
+        <div className="event-actions">
+          <button type="submit" disabled={creating}>
+            {creating ? 'Creating report...' : 'Download Report'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default ReportPage;
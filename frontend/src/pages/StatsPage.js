@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { format, parseISO, endOfMonth } from 'date-fns';
+
+import BarChart from '../components/BarChart';
+import { WEEKDAYS } from '../components/EventFilter';
+import { parseDate } from '../dates';
+import { errorMessage } from '../api';
+
+// Define API URL (use environment variable)
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const THIS_YEAR = new Date().getFullYear();
+const YEARS = Array.from({ length: 10 }, (_, index) => THIS_YEAR - index);
+
+const formatDay = (value) => format(parseDate(value), 'd MMM yyyy');
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Link to the map and timeline with filters applied (see "View state in the query string" in MapTimelinePage)
+function mapLink(params) {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([name, value]) => { if (value) searchParams.set(name, value); });
+  return `/?${searchParams}`;
+}
+
+// Charts of GET /api/stats/*, filtered by a date range kept in the URL (?from=&to=)
+function StatsPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+  const [groupBy, setGroupBy] = useState('coordinates'); // How locations are grouped
+  const [stats, setStats] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = { ...(from && { from }), ...(to && { to }) };
+    setLoading(true);
+    setError('');
+    Promise.all([
+      axios.get(`${API_URL}/stats/people`, { params }),
+      axios.get(`${API_URL}/stats/tags`, { params }),
+      axios.get(`${API_URL}/stats/timeline`, { params }),
+    ])
+      .then(([people, tags, timeline]) => {
+        if (!cancelled) setStats({ ...people.data, tags: tags.data.tags, timeline: timeline.data });
+      })
+      .catch(err => {
+        console.error("Error fetching stats:", err);
+        if (!cancelled) setError(errorMessage(err, "Failed to load stats."));
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [from, to]);
+
+  // Fetched on their own so switching the grouping doesn't reload everything
+  useEffect(() => {
+    let cancelled = false;
+    axios.get(`${API_URL}/stats/locations`, { params: { groupBy, ...(from && { from }), ...(to && { to }) } })
+      .then(response => { if (!cancelled) setLocations(response.data.locations); })
+      .catch(err => {
+        console.error("Error fetching location stats:", err);
+        if (!cancelled) setError(errorMessage(err, "Failed to load stats."));
+      });
+    return () => { cancelled = true; };
+  }, [from, to, groupBy]);
+
+  const updateRange = (changes) => {
+    const next = { from, to, ...changes };
+    setSearchParams(Object.fromEntries(Object.entries(next).filter(([, value]) => value)));
+  };
+
+  const range = { from, to }; // Bars link to the map with the same date range
+
+  return (
+    <div className="page-container">
+      <h2>Statistics</h2>
+      <div className="report-options">
+        <label>
+          Year{' '}
+          <select value="" onChange={(e) => e.target.value && updateRange({ from: `${e.target.value}-01-01`, to: `${e.target.value}-12-31` })}>
+            <option value="">Choose...</option>
+            {YEARS.map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </label>
+        <label>
+          From{' '}
+          <input type="date" value={from} max={to || undefined} onChange={(e) => updateRange({ from: e.target.value })} />
+        </label>
+        <label>
+          To{' '}
+          <input type="date" value={to} min={from || undefined} onChange={(e) => updateRange({ to: e.target.value })} />
+        </label>
+        <button type="button" onClick={() => setSearchParams({})} disabled={!from && !to}>All Time</button>
+      </div>
+      {error && <p style={{ color: 'red', border: '1px solid red', padding: '10px', borderRadius: '4px' }}>Error: {error}</p>}
+      {loading && !stats && <p>Loading stats...</p>}
+
+      {stats && (
+        <div className="stats-grid" style={{ opacity: loading ? 0.5 : 1 }}>
+          <section className="stats-card stats-card-wide">
+            <h3>Events per Month ({stats.timeline.total} in total)</h3>
+            <BarChart
+              orientation="vertical"
+              bars={stats.timeline.months.map(({ month, count }) => {
+                const start = parseISO(`${month}-01`);
+                return {
+                  key: month,
+                  label: format(start, 'MMM yy'),
+                  value: count,
+                  title: `${format(start, 'MMMM yyyy')}: ${plural(count, 'event')}`,
+                  to: mapLink({ from: month === from.slice(0, 7) ? from : `${month}-01`, to: month === to.slice(0, 7) ? to : format(endOfMonth(start), 'yyyy-MM-dd') }),
+                };
+              })}
+            />
+          </section>
+
+          <section className="stats-card">
+            <h3>Leaderboard</h3>
+            <BarChart bars={stats.leaderboard.map(person => ({
+              key: person.name,
+              label: person.name,
+              value: person.count,
+              title: `${person.name}: ${plural(person.count, 'event')}, ${formatDay(person.first)} to ${formatDay(person.last)}`,
+              to: mapLink({ people: person.name, ...range }),
+            }))} />
+          </section>
+
+          <section className="stats-card">
+            <h3>Longest Gap Between Events</h3>
+            <BarChart
+              valueLabel={(days) => plural(days, 'day')}
+              emptyText="Nobody has more than one event."
+              bars={stats.longestGaps.map(person => ({
+                key: person.name,
+                label: person.name,
+                value: person.longestGap.days,
+                title: `${person.name}: nothing from ${formatDay(person.longestGap.from)} to ${formatDay(person.longestGap.to)}`,
+                to: mapLink({ people: person.name, from: person.longestGap.from.slice(0, 10), to: person.longestGap.to.slice(0, 10) }),
+              }))}
+            />
+          </section>
+
+          <section className="stats-card">
+            <h3>Tags</h3>
+            <BarChart bars={stats.tags.map(({ tag, count }) => ({
+              key: tag,
+              label: tag,
+              value: count,
+              to: mapLink({ tags: tag, ...range }),
+            }))} />
+          </section>
+
+          <section className="stats-card">
+            <h3>Day of the Week</h3>
+            <BarChart bars={stats.timeline.weekdays.map(({ weekday, count }) => ({
+              key: weekday,
+              label: WEEKDAYS[weekday - 1],
+              value: count,
+              to: mapLink({ weekday, ...range }),
+            }))} />
+          </section>
+
+          <section className="stats-card stats-card-wide">
+            <h3>
+              Top Locations{' '}
+              <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} aria-label="Group locations by">
+                <option value="coordinates">by place (about 100 m)</option>
+                <option value="address">by address</option>
+              </select>
+            </h3>
+            <BarChart bars={locations.map(({ address, coordinates, count }) => ({
+              key: `${coordinates.join(',')} ${address}`,
+              label: address,
+              value: count,
+              to: mapLink({ center: `${coordinates[1].toFixed(5)},${coordinates[0].toFixed(5)}`, zoom: 17, ...range }),
+            }))} />
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StatsPage;
@@ -0,0 +1,42 @@
+// Mirrors backend/auth/permissions.js so the UI only offers actions the user's role allows.
+// Roles are ordered: each role has every permission of the roles before it.
+export const ROLES = ['viewer', 'contributor', 'moderator', 'admin'];
+
+// Lowest role that has each permission
+const PERMISSIONS = {
+  'events:read': 'viewer',
+  'events:create': 'contributor',
+  'events:edit-own': 'contributor',
+  'events:delete-own': 'contributor',
+  'events:edit-any': 'moderator',
+  'events:moderate': 'moderator',
+  'people:manage': 'moderator',
+  'events:delete-any': 'admin',
+  'people:forget': 'admin',
+  'users:manage': 'admin',
+  'settings:manage': 'admin',
+};
+
+export function hasPermission(user, permission) {
+  const requiredRole = PERMISSIONS[permission];
+  if (!user || !requiredRole) return false;
+  const roleIndex = ROLES.indexOf(user.role);
+  return roleIndex !== -1 && roleIndex >= ROLES.indexOf(requiredRole);
+}
+
+const isAuthor = (user, event) => {
+  const authorId = event.createdBy?._id ?? event.createdBy;
+  return Boolean(authorId) && String(authorId) === String(user._id);
+};
+
+// Contributors may edit their own events; moderators and admins any event
+export function canModifyEvent(user, event) {
+  if (!user || !event) return false;
+  return hasPermission(user, 'events:edit-any') || (hasPermission(user, 'events:edit-own') && isAuthor(user, event));
+}
+
+// Contributors may delete their own events; admins any event (moderators hide instead)
+export function canDeleteEvent(user, event) {
+  if (!user || !event) return false;
+  return hasPermission(user, 'events:delete-any') || (hasPermission(user, 'events:delete-own') && isAuthor(user, event));
+}